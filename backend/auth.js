@@ -0,0 +1,323 @@
+/**
+ * Password hashing, login sessions and route guards
+ */
+const crypto = require('crypto');
+
+const {
+  createAuthSession,
+  getAuthSessionUser,
+  deleteAuthSession,
+  createGuestToken,
+  getActiveGuestToken
+} = require('./database');
+
+const SESSION_COOKIE = 'cclt_session';
+const GUEST_COOKIE = 'cclt_guest';
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const SCRYPT_KEY_LENGTH = 64;
+
+// Guest permission levels, lowest first
+const GUEST_PERMISSIONS = ['view', 'control'];
+const MAX_GUEST_HOURS = 7 * 24;
+
+/*****************************************************************
+ * PASSWORDS
+ *****************************************************************/
+
+/**
+ * Hash a password with a random salt, stored as "salt:hash"
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+/**
+ * Check a password against a stored "salt:hash" value
+ */
+function verifyPassword(password, storedHash) {
+  const [salt, hash] = (storedHash || '').split(':');
+  if (!salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Validate registration credentials
+ */
+function validateCredentials({ username, password } = {}) {
+  const errors = [];
+
+  if (typeof username !== 'string' || !/^[A-Za-z0-9_.-]{3,32}$/.test(username)) {
+    errors.push('Username must be 3-32 characters: letters, numbers, "_", "." or "-"');
+  }
+
+  if (typeof password !== 'string' || password.length < 8) {
+    errors.push('Password must be at least 8 characters');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/*****************************************************************
+ * COOKIES & SESSIONS
+ *****************************************************************/
+
+/**
+ * Parse the Cookie header into a plain object
+ */
+function parseCookies(req) {
+  const cookies = {};
+  const header = req.headers.cookie;
+  if (!header) {
+    return cookies;
+  }
+
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    const name = part.slice(0, index).trim();
+    const value = part.slice(index + 1).trim();
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch {
+      cookies[name] = value;
+    }
+  }
+
+  return cookies;
+}
+
+/**
+ * Start a login session for a user and set the session cookie
+ */
+function startSession(res, user) {
+  const token = crypto.randomBytes(32).toString('hex');
+  createAuthSession(token, user.id, SESSION_TTL_MS);
+
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.COOKIE_SECURE === 'true',
+    maxAge: SESSION_TTL_MS
+  });
+}
+
+/**
+ * End the login or guest session of the current request and clear the cookies
+ */
+function endSession(req, res) {
+  const token = parseCookies(req)[SESSION_COOKIE];
+  if (token) {
+    deleteAuthSession(token);
+  }
+  res.clearCookie(SESSION_COOKIE);
+  res.clearCookie(GUEST_COOKIE);
+}
+
+/**
+ * Get the logged-in user for a request, or null
+ */
+function getSessionUser(req) {
+  const token = parseCookies(req)[SESSION_COOKIE];
+  return token ? getAuthSessionUser(token) : null;
+}
+
+/*****************************************************************
+ * GUEST TOKENS
+ *****************************************************************/
+
+/**
+ * Hash a guest token for storage and lookup
+ */
+function hashGuestToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Validate a guest token request from the owner
+ */
+function validateGuestTokenRequest({ label, permission, expiresInHours } = {}) {
+  const errors = [];
+
+  if (typeof label !== 'string' || label.trim().length === 0 || label.length > 64) {
+    errors.push('Label is required (max 64 characters)');
+  }
+
+  if (!GUEST_PERMISSIONS.includes(permission)) {
+    errors.push('Invalid permission. Must be "view" or "control"');
+  }
+
+  if (typeof expiresInHours !== 'number' || expiresInHours <= 0 || expiresInHours > MAX_GUEST_HOURS) {
+    errors.push(`Expiry must be more than 0 and at most ${MAX_GUEST_HOURS} hours`);
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Mint a guest token for an owner.
+ * The raw token is only returned here - the database keeps its hash.
+ */
+function mintGuestToken(ownerId, { label, permission, expiresInHours }) {
+  const token = crypto.randomBytes(24).toString('hex');
+  const expiresAt = new Date(Date.now() + expiresInHours * 60 * 60 * 1000).toISOString();
+
+  const guestToken = createGuestToken(ownerId, hashGuestToken(token), {
+    label: label.trim(),
+    permission,
+    expiresAt
+  });
+
+  return { ...guestToken, token };
+}
+
+/**
+ * Get the active guest token record for a raw token, or null
+ */
+function lookupGuestToken(token) {
+  if (typeof token !== 'string' || token.length === 0) {
+    return null;
+  }
+  return getActiveGuestToken(hashGuestToken(token));
+}
+
+/**
+ * Exchange a raw guest token for a guest cookie.
+ * Returns the guest, or null if the token is not valid.
+ */
+function startGuestSession(res, token) {
+  const guestToken = lookupGuestToken(token);
+  if (!guestToken) {
+    return null;
+  }
+
+  res.cookie(GUEST_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.COOKIE_SECURE === 'true',
+    expires: new Date(`${guestToken.expiresAt}Z`)
+  });
+
+  return toGuest(guestToken);
+}
+
+/**
+ * Shape a guest token record as the "user" of a guest request
+ */
+function toGuest(guestToken) {
+  return {
+    id: guestToken.id,
+    username: guestToken.label,
+    role: 'guest',
+    permission: guestToken.permission,
+    expiresAt: guestToken.expiresAt
+  };
+}
+
+/**
+ * Get the guest for a request from the guest cookie, or null.
+ * Re-checked on every request so revoked or expired tokens stop working at once.
+ */
+function getRequestGuest(req) {
+  const guestToken = lookupGuestToken(parseCookies(req)[GUEST_COOKIE]);
+  return guestToken ? toGuest(guestToken) : null;
+}
+
+/*****************************************************************
+ * MIDDLEWARE
+ *****************************************************************/
+
+/**
+ * Reject requests without a valid login session.
+ * Sets req.user to { id, username, role } on success.
+ */
+function requireAuth(req, res, next) {
+  const user = getSessionUser(req);
+
+  if (!user) {
+    return res.status(401).json({
+      status: 'error',
+      error: 'Authentication required'
+    });
+  }
+
+  req.user = user;
+  next();
+}
+
+/**
+ * Reject requests from anyone but the device owner.
+ * Use after requireAuth.
+ */
+function requireOwner(req, res, next) {
+  if (req.user?.role !== 'owner') {
+    return res.status(403).json({
+      status: 'error',
+      error: 'Only the device owner can do this'
+    });
+  }
+  next();
+}
+
+/**
+ * Accept either a logged-in user or a guest with at least `permission`.
+ * Sets req.user for users, req.guest for guests.
+ */
+function allowGuest(permission) {
+  const required = GUEST_PERMISSIONS.indexOf(permission);
+
+  return (req, res, next) => {
+    const user = getSessionUser(req);
+    if (user) {
+      req.user = user;
+      return next();
+    }
+
+    const guest = getRequestGuest(req);
+    if (!guest) {
+      return res.status(401).json({
+        status: 'error',
+        error: 'Authentication required'
+      });
+    }
+
+    if (GUEST_PERMISSIONS.indexOf(guest.permission) < required) {
+      return res.status(403).json({
+        status: 'error',
+        error: 'Guest link does not allow this action'
+      });
+    }
+
+    req.guest = guest;
+    next();
+  };
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  validateCredentials,
+  parseCookies,
+  startSession,
+  endSession,
+  getSessionUser,
+  validateGuestTokenRequest,
+  mintGuestToken,
+  startGuestSession,
+  getRequestGuest,
+  requireAuth,
+  requireOwner,
+  allowGuest
+};
@@ -4,14 +4,89 @@
  */
 const axios = require('axios');
 
+const { findQuietWindow, resolvePresence, findDueSlot, findNextSlot, findQuietEnd } = require('./schedules');
+const { getStrategy, pickStrategy } = require('./strategy-player');
+
+const ZONE_CHECK_MS = 500; // how often the laser position is checked against no-go zones during a session
+const MIN_RESUME_MS = 30 * 1000; // interrupted sessions with less time left are finished instead of resumed
+const EXTEND_STEP_MS = 60 * 1000; // a detection near the end pushes it this far out, up to the cap
+const DEFAULT_TAKEOVER_IDLE_MS = 60 * 1000; // manual control hands back after this long without input
+
+/*
+ * Why a session ended:
+ *   duration       - ran its planned length
+ *   max-length     - was extended by detections up to settings.maxSessionMinutes
+ *   no-detection   - no detection within settings.engagementGraceSeconds
+ *   stopped        - ended from the app
+ *   emergency-stop - emergency stop
+ *   watchdog       - the laser watchdog turned the laser off
+ *   budget         - the daily play budget ran out
+ *   shutdown       - the server shut down
+ *   interrupted    - the server restarted and the session could not be resumed
+ */
+
+/**
+ * Whether a detection payload reports a cat - payloads without a status count as one
+ */
+function isCatSeen(detectionData) {
+  return detectionData?.status === undefined || detectionData.status === 'ok';
+}
+
 class AutonomousModeManager {
-  constructor(getSettingsFunc, getFlaskUrlFunc) {
+  /**
+   * options:
+   *   getZoneCheck    () => position check for no-go zones, or null
+   *   patternPlayer   PatternPlayer for sessions that replay a saved pattern
+   *   getPattern      (id) => saved pattern with commands
+   *   onSessionChange ({ active, durationMs, takeover, ended }) => void, called when a session
+   *                   starts, is extended, is taken over by a person (takeover: { by, at, idleMs })
+   *                   or ends (ended: the finished session with its endReason)
+   *   getSchedules    () => play schedules and quiet hours of the device
+   *   loadState       () => state saved by saveState, or null
+   *   saveState       ({ lastActivationTime, session, halted, lastSession }) => void, persists across restarts
+   *   getBudgetBlock  () => why the daily play budget or rest period forbids a session, or null
+   *   catTracker      CatTracker for sessions that chase the detected cat
+   *   strategyPlayer  StrategyPlayer for sessions that run a play strategy
+   */
+  constructor(getSettingsFunc, getFlaskUrlFunc, options = {}) {
     this.getSettings = getSettingsFunc;
     this.getFlaskUrl = getFlaskUrlFunc;
+    this.getZoneCheck = options.getZoneCheck || (() => null);
+    // Saved patterns can replace the Flask autonomous routine
+    this.patternPlayer = options.patternPlayer || null;
+    this.getPattern = options.getPattern || (() => null);
+    this.onSessionChange = options.onSessionChange || (() => {});
+    this.getSchedules = options.getSchedules || (() => []);
+    this.loadState = options.loadState || (() => null);
+    this.persistState = options.saveState || (() => {});
+    this.getBudgetBlock = options.getBudgetBlock || (() => null);
+    this.catTracker = options.catTracker || null;
+    this.strategyPlayer = options.strategyPlayer || null;
+    // Play slots are due when their minute falls between two checks
+    this.lastScheduleCheck = Date.now();
+    this.sessionPatternId = null;
     this.isSessionActive = false;
+    // Running session: { trigger, startedAt, endsAt, maxEndsAt, graceMs, lastDetectionAt,
+    // extended, takeovers, pausedRemainingMs, patternId, strategyId, tracking }
+    this.session = null;
+    // Someone took manual control mid-session: { by, at, idleMs }. The session is
+    // paused with its time frozen and resumes after idleMs without manual input.
+    this.takeover = null;
+    this.takeoverTimer = null;
+    // The session before: { trigger, startedAt, endedAt, endReason, extended, takeovers, strategyId }
+    this.lastSession = null;
+    // Last time a trigger fired but didn't start a session: { trigger, reason, at }
+    this.lastSkip = null;
     this.sessionTimer = null;
     this.intervalTimer = null;
+    // Flask runs the autonomous routine itself, so no-go zones are enforced by
+    // watching its position and blanking the laser while it is inside one
+    this.zoneTimer = null;
+    this.zoneCheckInFlight = false;
+    this.blankedByZone = null;
     this.lastActivationTime = null;
+    // Set by an emergency stop: { by, at }. No session starts until re-armed.
+    this.halted = null;
     this.configurationSaveTime = Date.now();
     
     console.log('Autonomous Mode Manager initialized');
@@ -22,6 +97,10 @@ class AutonomousModeManager {
    */
   async initialize() {
     console.log('Starting autonomous mode monitoring...');
+
+    // Pick up where the last run left off, so a restart neither resets the
+    // interval clock nor leaves a session's laser running
+    await this.restoreState();
     
     // Check settings every 60 seconds to see if time-based trigger should activate
     this.intervalTimer = setInterval(() => {
@@ -32,13 +111,148 @@ class AutonomousModeManager {
     await this.checkTimeBasedTrigger();
   }
 
+  /**
+   * Save the state that has to survive a restart
+   */
+  saveState() {
+    try {
+      this.persistState({
+        lastActivationTime: this.lastActivationTime,
+        session: this.session,
+        halted: this.halted,
+        lastSession: this.lastSession
+      });
+    } catch (error) {
+      console.error('Error saving autonomous state:', error.message);
+    }
+  }
+
+  /**
+   * Restore saved state and reconcile an interrupted session with the device:
+   * resume it if there is time left and a trigger could start it now,
+   * otherwise make sure the laser is off
+   */
+  async restoreState() {
+    const saved = this.loadState();
+    if (!saved) {
+      return;
+    }
+
+    this.lastActivationTime = saved.lastActivationTime;
+    this.halted = saved.halted;
+    this.lastSession = saved.lastSession ?? null;
+    if (!saved.session) {
+      return;
+    }
+
+    const flaskUrl = this.getFlaskUrl();
+    const session = this.unpauseSession(saved.session);
+    const remainingMs = session.endsAt - Date.now();
+    let blocked = 'Device unreachable';
+    try {
+      const { data } = await axios.get(`${flaskUrl}/status`, { timeout: 5000 });
+      const laserOn = data.laser_on ?? data.details?.laser_on;
+      console.log(`Interrupted autonomous session found - device laser is ${laserOn ? 'on' : 'off'}`);
+      blocked = this.getResumeBlockReason(laserOn);
+    } catch (error) {
+      console.error('Could not reach the device to reconcile the interrupted session:', error.message);
+    }
+
+    if (!blocked && remainingMs < MIN_RESUME_MS) {
+      blocked = 'Too little time left';
+    }
+    if (!blocked) {
+      console.log(`Resuming autonomous session (${Math.round(remainingMs / 1000)}s left)`);
+      await this.runSession(session);
+      return;
+    }
+
+    console.log(`Finishing interrupted autonomous session: ${blocked}`);
+    try {
+      await axios.post(`${flaskUrl}/autonomous/stop`, {}, { timeout: 5000 });
+      await axios.get(`${flaskUrl}/off`, { timeout: 5000 });
+    } catch (error) {
+      // The laser watchdog turns it off once the device is back
+      console.error('Error cleaning up interrupted session:', error.message);
+    }
+    // When it really stopped is unknown - it ended at the latest when it was planned to
+    this.lastSession = {
+      ...this.endedSession(saved.session, 'interrupted'),
+      endedAt: Math.min(Date.now(), saved.session.endsAt)
+    };
+    this.session = null;
+    this.saveState();
+    this.onSessionChange({ active: false, ended: this.lastSession });
+  }
+
+  /**
+   * Quiet-hours schedule that is in effect right now, or null
+   */
+  getActiveQuietWindow(settings) {
+    return findQuietWindow(this.getSchedules(), new Date(), settings.timezone);
+  }
+
+  /**
+   * Household presence right now - autonomous play only runs while it is 'away'
+   */
+  getPresence(settings) {
+    return resolvePresence(settings, this.getSchedules(), new Date());
+  }
+
+  /**
+   * Remember why a trigger did not start a session
+   */
+  skip(trigger, reason) {
+    console.log(`Skipped ${trigger} trigger: ${reason}`);
+    this.lastSkip = { trigger, reason, at: new Date().toISOString() };
+  }
+
+  /**
+   * Reason a due trigger can't start a session right now, or null if it can
+   */
+  getBlockReason(settings) {
+    if (this.halted) {
+      return 'Emergency stop is active';
+    }
+    if (this.isSessionActive) {
+      return 'A session is already active';
+    }
+    const quiet = this.getActiveQuietWindow(settings);
+    if (quiet) {
+      return `Quiet hours ("${quiet.name}")`;
+    }
+    return this.getBudgetBlock();
+  }
+
+  /**
+   * Reason an interrupted session can't be resumed, or null if it can - the
+   * device must still be playing it and a trigger must be able to start one now
+   */
+  getResumeBlockReason(laserOn) {
+    if (!laserOn) {
+      return 'Device laser is off';
+    }
+    const settings = this.getSettings();
+    if (!settings?.autonomousModeEnabled) {
+      return 'Autonomous mode is disabled';
+    }
+    const { presence } = this.getPresence(settings);
+    if (presence !== 'away') {
+      return `Autonomous mode paused - presence is ${presence}`;
+    }
+    return this.getBlockReason(settings);
+  }
+
   /**
    * Check if time-based trigger should activate the laser
    */
   async checkTimeBasedTrigger() {
+    const checkedFrom = this.lastScheduleCheck;
+    this.lastScheduleCheck = Date.now();
+
     try {
       // Get current settings from database
-      const settings = this.getSettings('jasmi');
+      const settings = this.getSettings();
       
       if (!settings) {
         return;
@@ -49,31 +263,41 @@ class AutonomousModeManager {
         return;
       }
 
-      // Check if notifications are silenced (disabled)
-      if (settings.notificationsEnabled) {
-        console.log('Autonomous mode paused - notifications are enabled');
+      // Check if trigger type is time-based
+      if (!['interval', 'schedule'].includes(settings.triggerType)) {
         return;
       }
 
-      // Check if trigger type is interval-based
-      if (settings.triggerType !== 'interval') {
-        return;
+      // Is a play slot or the interval due?
+      let due = null;
+      if (settings.triggerType === 'schedule') {
+        const slot = findDueSlot(this.getSchedules(), checkedFrom, this.lastScheduleCheck, settings.timezone);
+        due = slot && `Scheduled trigger activated! "${slot.schedule.name}" at ${slot.time}`;
+      } else {
+        const intervalMs = settings.timeInterval * 60 * 60 * 1000; // hours to milliseconds
+        // If this is the first activation, or enough time has passed
+        if (!this.lastActivationTime || (Date.now() - this.lastActivationTime >= intervalMs)) {
+          due = `Time-based trigger activated! Interval: ${settings.timeInterval} hours`;
+        }
       }
 
-      // Check if a session is already active
-      if (this.isSessionActive) {
+      if (!due) {
         return;
       }
 
-      // Calculate time since last activation
-      const now = Date.now();
-      const intervalMs = settings.timeInterval * 60 * 60 * 1000; // hours to milliseconds
+      // Only play on its own while nobody is around
+      const { presence } = this.getPresence(settings);
+      if (presence !== 'away') {
+        return this.skip(settings.triggerType, `Autonomous mode paused - presence is ${presence}`);
+      }
 
-      // If this is the first activation, or enough time has passed
-      if (!this.lastActivationTime || (now - this.lastActivationTime >= intervalMs)) {
-        console.log(`Time-based trigger activated! Interval: ${settings.timeInterval} hours`);
-        await this.startLaserSession(settings.sessionDuration);
+      const blocked = this.getBlockReason(settings);
+      if (blocked) {
+        return this.skip(settings.triggerType, blocked);
       }
+
+      console.log(due);
+      await this.startLaserSession(settings.sessionDuration, settings.triggerType);
     } catch (error) {
       console.error('Error checking time-based trigger:', error);
     }
@@ -86,8 +310,16 @@ class AutonomousModeManager {
     try {
       console.log('Cat detected!', detectionData);
 
+      // During a session a detection means the cat is still playing
+      if (this.isSessionActive) {
+        if (isCatSeen(detectionData) && !this.takeover) {
+          this.recordEngagement();
+        }
+        return;
+      }
+
       // Get current settings from database
-      const settings = this.getSettings('jasmi');
+      const settings = this.getSettings();
       
       if (!settings) {
         console.log('No settings found');
@@ -96,30 +328,27 @@ class AutonomousModeManager {
 
       // Check if autonomous mode is enabled
       if (!settings.autonomousModeEnabled) {
-        console.log('Autonomous mode is disabled');
-        return;
+        return this.skip('detection', 'Autonomous mode is disabled');
       }
 
-      // Check if notifications are silenced (disabled)
-      if (settings.notificationsEnabled) {
-        console.log('Autonomous mode paused - notifications are enabled');
-        return;
+      // Only play on its own while nobody is around
+      const { presence } = this.getPresence(settings);
+      if (presence !== 'away') {
+        return this.skip('detection', `Autonomous mode paused - presence is ${presence}`);
       }
 
       // Check if trigger type is detection-based
       if (settings.triggerType !== 'detection') {
-        console.log('Trigger type is not set to detection');
-        return;
+        return this.skip('detection', 'Trigger type is not set to detection');
       }
 
-      // Check if a session is already active
-      if (this.isSessionActive) {
-        console.log('Session already active, ignoring detection');
-        return;
+      const blocked = this.getBlockReason(settings);
+      if (blocked) {
+        return this.skip('detection', blocked);
       }
 
       console.log(`Detection-based trigger activated! Duration: ${settings.sessionDuration} minutes`);
-      await this.startLaserSession(settings.sessionDuration);
+      await this.startLaserSession(settings.sessionDuration, 'detection');
       
     } catch (error) {
       console.error('Error handling cat detection:', error);
@@ -128,38 +357,99 @@ class AutonomousModeManager {
 
   /**
    * Start a laser play session
+   * trigger: what started it - 'detection', 'interval' or 'schedule'
    */
-  async startLaserSession(durationMinutes) {
+  async startLaserSession(durationMinutes, trigger = null) {
+    if (this.halted) {
+      console.log('Emergency stop is active, not starting a session');
+      return;
+    }
+
     if (this.isSessionActive) {
       console.log('Session already active, cannot start another');
       return;
     }
 
+    const settings = this.getSettings();
+    const startedAt = Date.now();
+    const endsAt = startedAt + durationMinutes * 60 * 1000; // minutes to milliseconds
+    const patternId = settings?.autonomousPatternId ?? null;
+    this.lastActivationTime = startedAt;
+    await this.runSession({
+      trigger,
+      startedAt,
+      endsAt,
+      // Detections can stretch the session up to this; no cap means no extending
+      maxEndsAt: settings?.maxSessionMinutes
+        ? Math.max(endsAt, startedAt + settings.maxSessionMinutes * 60 * 1000)
+        : endsAt,
+      graceMs: (settings?.engagementGraceSeconds ?? 0) * 1000,
+      extended: false,
+      patternId,
+      // Without a saved pattern each session gets a strategy by weight - none when all weights are 0
+      strategyId: !patternId && this.strategyPlayer
+        ? pickStrategy(settings?.strategyWeights)?.id ?? null
+        : null,
+      tracking: Boolean(settings?.catTracking)
+    });
+  }
+
+  /**
+   * Run a session until session.endsAt - a new one, or one resumed after a restart
+   */
+  async runSession(session) {
     const flaskUrl = this.getFlaskUrl();
     try {
-      console.log(flaskUrl)
       this.isSessionActive = true;
-      this.lastActivationTime = Date.now();
-      const durationMs = durationMinutes * 60 * 1000; // minutes to milliseconds
+      // The grace period runs from the (re)start - nobody saw the cat while the server was down
+      this.session = { maxEndsAt: session.endsAt, graceMs: 0, ...session, lastDetectionAt: Date.now() };
+      this.saveState();
+      const durationMs = session.endsAt - Date.now();
       
       console.log('STARTING AUTONOMOUS LASER SESSION');
       console.log('='.repeat(60));
 
+      const pattern = session.patternId && this.patternPlayer ? this.getPattern(session.patternId) : null;
+      const strategy = session.strategyId && this.strategyPlayer ? getStrategy(session.strategyId) : null;
+      // Chasing needs a calibration; without one the session falls back to the routine
+      const tracking = session.tracking && this.catTracker?.canTrack();
+
       await axios.get(`${flaskUrl}/on`, { timeout: 5000 });
-      //Send empty req body 
-      await axios.post(`${flaskUrl}/autonomous/start`, {}, { timeout: 5000 });
 
-      console.log(`Session active - laser will run for ${durationMinutes} minutes`);
+      if (tracking) {
+        // Moves go through the laser controller, which enforces no-go zones
+        await this.catTracker.start('autonomous');
+      } else if (pattern) {
+        // Saved pattern on loop - moves go through the laser controller, which enforces no-go zones
+        this.sessionPatternId = pattern.id;
+        this.patternPlayer.play(pattern, { loop: true, startedBy: 'autonomous' });
+      } else if (strategy) {
+        // Strategy moves go through the laser controller too
+        this.strategyPlayer.play(strategy, { startedBy: 'autonomous' });
+      } else {
+        //Send empty req body 
+        await axios.post(`${flaskUrl}/autonomous/start`, {}, { timeout: 5000 });
+
+        this.zoneTimer = setInterval(() => {
+          this.checkNoGoZones();
+        }, ZONE_CHECK_MS);
+      }
+
+      this.onSessionChange({ active: true, durationMs });
+      console.log(`Session active - laser will run for ${Math.ceil(durationMs / 60000)} minutes`);
       console.log('='.repeat(60));
 
-      // Set timer to stop session after duration
-      this.sessionTimer = setTimeout(async () => {
-        await this.stopLaserSession();
-      }, durationMs);
+      this.scheduleSessionEnd();
 
     } catch (error) {
       console.error('Error starting laser session:', error.message);
       this.isSessionActive = false;
+      this.session = null;
+      this.saveState();
+      this.clearZoneTimer();
+      this.stopSessionPattern();
+      this.stopSessionStrategy();
+      this.stopSessionTracking();
       
       // Try to clean up if something went wrong
       try {
@@ -171,20 +461,250 @@ class AutonomousModeManager {
     }
   }
 
+  /**
+   * (Re)arm the session timer for whichever comes first: the end of the
+   * session, or the grace period running out without a detection
+   */
+  scheduleSessionEnd() {
+    clearTimeout(this.sessionTimer);
+
+    const { endsAt, maxEndsAt, graceMs, lastDetectionAt, extended } = this.session;
+    const idleAt = graceMs > 0 ? lastDetectionAt + graceMs : Infinity;
+    let reason = 'duration';
+    if (idleAt < endsAt) {
+      reason = 'no-detection';
+    } else if (extended && endsAt >= maxEndsAt) {
+      reason = 'max-length';
+    }
+
+    this.sessionTimer = setTimeout(async () => {
+      await this.stopLaserSession(reason);
+    }, Math.max(0, Math.min(endsAt, idleAt) - Date.now()));
+  }
+
+  /**
+   * A detection during the session: restart the grace period, and in the last
+   * half step before the end push the end EXTEND_STEP_MS out, up to the cap
+   */
+  recordEngagement() {
+    const now = Date.now();
+    this.session.lastDetectionAt = now;
+
+    const endsAt = Math.min(this.session.maxEndsAt, now + EXTEND_STEP_MS);
+    if (this.session.endsAt - now < EXTEND_STEP_MS / 2 && endsAt > this.session.endsAt) {
+      this.session.endsAt = endsAt;
+      this.session.extended = true;
+      this.saveState();
+      console.log(`Cat still playing - session extended to ${new Date(endsAt).toLocaleTimeString()}`);
+      this.onSessionChange({ active: true, durationMs: endsAt - now });
+    }
+
+    this.scheduleSessionEnd();
+  }
+
+  /**
+   * Summary of a finished session
+   */
+  endedSession(session, endReason) {
+    return {
+      trigger: session.trigger,
+      startedAt: session.startedAt,
+      endedAt: Date.now(),
+      endReason,
+      extended: Boolean(session.extended),
+      takeovers: session.takeovers ?? 0,
+      strategyId: session.strategyId ?? null
+    };
+  }
+
+  /**
+   * Manual input arrived (move, on or off). Pauses a running session so its
+   * routine stops fighting the person for the servos, and (re)starts the idle
+   * countdown after which the session resumes.
+   */
+  async takeOver(by) {
+    if (!this.isSessionActive) {
+      return;
+    }
+
+    const idleMs = (this.getSettings()?.takeoverIdleSeconds ?? DEFAULT_TAKEOVER_IDLE_MS / 1000) * 1000;
+    clearTimeout(this.takeoverTimer);
+    this.takeoverTimer = setTimeout(() => this.resumeAfterTakeover(), idleMs);
+
+    if (this.takeover) {
+      return;
+    }
+
+    console.log(`Manual control by ${by} - pausing autonomous session`);
+    this.takeover = { by, at: new Date().toISOString(), idleMs };
+    clearTimeout(this.sessionTimer);
+    this.sessionTimer = null;
+    this.clearZoneTimer();
+    this.stopSessionPattern();
+    this.stopSessionStrategy();
+    this.stopSessionTracking();
+
+    const now = Date.now();
+    this.session.pausedRemainingMs = Math.max(0, this.session.endsAt - now);
+    this.session.takeovers = (this.session.takeovers ?? 0) + 1;
+    this.saveState();
+    this.onSessionChange({ active: true, takeover: this.takeover });
+
+    try {
+      await axios.post(`${this.getFlaskUrl()}/autonomous/stop`, {}, { timeout: 5000 });
+    } catch (error) {
+      console.error('Error pausing the autonomous routine:', error.message);
+    }
+  }
+
+  /**
+   * Nobody has touched the controls for a while - carry on with the rest of the session
+   */
+  async resumeAfterTakeover() {
+    if (!this.takeover || !this.isSessionActive) {
+      return;
+    }
+
+    console.log('No manual input - resuming autonomous session');
+    this.takeover = null;
+    this.session = this.unpauseSession(this.session);
+
+    if (this.session.endsAt - Date.now() < MIN_RESUME_MS) {
+      return this.stopLaserSession('duration');
+    }
+    await this.runSession(this.session);
+  }
+
+  /**
+   * A paused session with its clock restarted from now, or the session as it is
+   */
+  unpauseSession(session) {
+    if (session.pausedRemainingMs === undefined) {
+      return session;
+    }
+
+    const { pausedRemainingMs, ...rest } = session;
+    const endsAt = Date.now() + pausedRemainingMs;
+    return {
+      ...rest,
+      endsAt,
+      maxEndsAt: (rest.maxEndsAt ?? rest.endsAt) + (endsAt - rest.endsAt)
+    };
+  }
+
+  /**
+   * Switch the laser off while the autonomous routine has it inside a
+   * no-go zone, and back on once it has left
+   */
+  async checkNoGoZones() {
+    if (this.zoneCheckInFlight || !this.isSessionActive) {
+      return;
+    }
+
+    const check = this.getZoneCheck();
+    if (!check && !this.blankedByZone) {
+      return;
+    }
+
+    this.zoneCheckInFlight = true;
+    const flaskUrl = this.getFlaskUrl();
+    try {
+      const { data } = await axios.get(`${flaskUrl}/status`, { timeout: 2000 });
+      const pan = data.current_pan ?? data.details?.current_pan;
+      const tilt = data.current_tilt ?? data.details?.current_tilt;
+      const laserOn = data.laser_on ?? data.details?.laser_on;
+
+      if (typeof pan !== 'number' || typeof tilt !== 'number') {
+        return;
+      }
+
+      const zone = check ? check({ pan, tilt }) : null;
+
+      if (zone) {
+        if (laserOn !== false) {
+          await axios.get(`${flaskUrl}/off`, { timeout: 5000 });
+        }
+        if (!this.blankedByZone) {
+          console.log(`Autonomous laser entered no-go zone "${zone.name}" - laser off`);
+        }
+        this.blankedByZone = zone.name;
+      } else if (this.blankedByZone) {
+        console.log(`Autonomous laser left no-go zone "${this.blankedByZone}" - laser on`);
+        this.blankedByZone = null;
+        await axios.get(`${flaskUrl}/on`, { timeout: 5000 });
+      }
+    } catch (error) {
+      console.error('Error checking no-go zones:', error.message);
+    } finally {
+      this.zoneCheckInFlight = false;
+    }
+  }
+
+  /**
+   * Stop watching no-go zones
+   */
+  clearZoneTimer() {
+    if (this.zoneTimer) {
+      clearInterval(this.zoneTimer);
+      this.zoneTimer = null;
+    }
+    this.blankedByZone = null;
+  }
+
+  /**
+   * Stop the saved pattern this session was playing, if any
+   */
+  stopSessionPattern() {
+    if (this.sessionPatternId !== null) {
+      if (this.patternPlayer.getState().playing?.patternId === this.sessionPatternId) {
+        this.patternPlayer.stop();
+      }
+      this.sessionPatternId = null;
+    }
+  }
+
+  /**
+   * Stop the play strategy if this session started it
+   */
+  stopSessionStrategy() {
+    if (this.strategyPlayer?.getState().playing?.startedBy === 'autonomous') {
+      this.strategyPlayer.stop();
+    }
+  }
+
+  /**
+   * Stop chasing the cat if this session started it
+   */
+  stopSessionTracking() {
+    if (this.catTracker?.current?.startedBy === 'autonomous') {
+      this.catTracker.stop();
+    }
+  }
+
   /**
    * Stop the current laser play session
+   * reason: why it ended - see the list at the top of this file
    */
-  async stopLaserSession() {
+  async stopLaserSession(reason = 'stopped') {
     if (!this.isSessionActive) {
       return;
     }
 
+    console.log(`Ending autonomous session: ${reason}`);
+    this.lastSession = this.endedSession(this.session, reason);
+    clearTimeout(this.takeoverTimer);
+    this.takeover = null;
+
     try {
       const flaskUrl = this.getFlaskUrl();
       // Stop laser and turn it off 
       console.log('STOPPING AUTONOMOUS LASER SESSION');
       console.log('='.repeat(60));
 
+      this.stopSessionPattern();
+      this.stopSessionStrategy();
+      this.stopSessionTracking();
+
       await axios.post(`${flaskUrl}/autonomous/stop`, {}, { timeout: 5000 });
       await axios.get(`${flaskUrl}/off`, { timeout: 5000 });
     } catch (error) {
@@ -192,6 +712,10 @@ class AutonomousModeManager {
     } finally {
       // Always clear the session state
       this.isSessionActive = false;
+      this.session = null;
+      this.saveState();
+      this.clearZoneTimer();
+      this.onSessionChange({ active: false, ended: this.lastSession });
       if (this.sessionTimer) {
         clearTimeout(this.sessionTimer);
         this.sessionTimer = null;
@@ -203,8 +727,10 @@ class AutonomousModeManager {
    * Manually stop autonomous mode
    * Useful for emergency stops or when user disables autonomous mode
    */
-  async emergencyStop() {
+  async emergencyStop(by = null) {
     console.log('Halting all autonomous activities');
+    this.halted = { by, at: new Date().toISOString() };
+    this.saveState();
     
     if (this.sessionTimer) {
       clearTimeout(this.sessionTimer);
@@ -212,19 +738,83 @@ class AutonomousModeManager {
     }
 
     if (this.isSessionActive) {
-      await this.stopLaserSession();
+      await this.stopLaserSession('emergency-stop');
+    }
+  }
+
+  /**
+   * Lift an emergency stop so sessions can start again
+   */
+  rearm() {
+    if (!this.halted) {
+      return false;
+    }
+
+    console.log('Autonomous mode re-armed');
+    this.halted = null;
+    this.saveState();
+    return true;
+  }
+
+  /**
+   * When the next time-based session is expected to start (ms), or null if
+   * none is planned (detection trigger, disabled, not away or halted)
+   */
+  getNextActivation(settings) {
+    if (!settings?.autonomousModeEnabled || this.halted || this.getPresence(settings).presence !== 'away') {
+      return null;
     }
+
+    const schedules = this.getSchedules();
+    const now = Date.now();
+
+    if (settings.triggerType === 'schedule') {
+      return findNextSlot(schedules, this.session?.endsAt ?? now, settings.timezone);
+    }
+
+    if (settings.triggerType === 'interval') {
+      const intervalMs = settings.timeInterval * 60 * 60 * 1000;
+      const due = Math.max(this.lastActivationTime ? this.lastActivationTime + intervalMs : now, now);
+      // Interval sessions wait for quiet hours to end
+      return findQuietEnd(schedules, due, settings.timezone);
+    }
+
+    return null;
   }
 
   /**
    * Get current autonomous mode status
    */
   getStatus() {
+    const settings = this.getSettings();
+    const now = Date.now();
+
     return {
       isSessionActive: this.isSessionActive,
       lastActivationTime: this.lastActivationTime,
       sessionActive: this.isSessionActive,
-      uptime: Date.now() - this.configurationSaveTime
+      enabled: Boolean(settings?.autonomousModeEnabled),
+      triggerType: settings?.triggerType ?? null,
+      trigger: this.session?.trigger ?? null,
+      startedAt: this.session?.startedAt ?? null,
+      endsAt: this.session?.endsAt ?? null,
+      remainingMs: this.session
+        ? this.session.pausedRemainingMs ?? Math.max(0, this.session.endsAt - now)
+        : null,
+      takeover: this.takeover,
+      maxEndsAt: this.session?.maxEndsAt ?? null,
+      extended: Boolean(this.session?.extended),
+      lastSession: this.lastSession,
+      nextActivation: this.getNextActivation(settings),
+      lastSkip: this.lastSkip,
+      presence: settings ? this.getPresence(settings) : null,
+      patternId: this.sessionPatternId,
+      strategyId: this.strategyPlayer?.getState().playing?.startedBy === 'autonomous'
+        ? this.session?.strategyId ?? null
+        : null,
+      tracking: Boolean(this.session?.tracking && this.catTracker?.current?.startedBy === 'autonomous'),
+      halted: this.halted,
+      uptime: now - this.configurationSaveTime
     };
   }
 
@@ -241,9 +831,15 @@ class AutonomousModeManager {
     if (this.sessionTimer) {
       clearTimeout(this.sessionTimer);
     }
+    clearTimeout(this.takeoverTimer);
+
+    this.clearZoneTimer();
+    this.stopSessionPattern();
+    this.stopSessionStrategy();
+    this.stopSessionTracking();
 
     if (this.isSessionActive) {
-      this.stopLaserSession();
+      this.stopLaserSession('shutdown');
     }
   }
 }
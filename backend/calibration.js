@@ -0,0 +1,144 @@
+/**
+ * Camera-to-servo calibration
+ * Maps normalized camera coordinates (x, y in 0..1, origin top-left)
+ * to pan/tilt angles with an affine transform fitted to reference points:
+ *   pan  = a*x + b*y + c
+ *   tilt = d*x + e*y + f
+ */
+
+const MIN_CALIBRATION_POINTS = 3;
+
+/**
+ * Solve a 3x3 linear system with Cramer's rule.
+ * Returns null if the system is singular.
+ */
+function solve3x3(m, v) {
+  const det = (a) =>
+    a[0][0] * (a[1][1] * a[2][2] - a[1][2] * a[2][1]) -
+    a[0][1] * (a[1][0] * a[2][2] - a[1][2] * a[2][0]) +
+    a[0][2] * (a[1][0] * a[2][1] - a[1][1] * a[2][0]);
+
+  const d = det(m);
+  if (Math.abs(d) < 1e-12) {
+    return null;
+  }
+
+  return [0, 1, 2].map(col => {
+    const replaced = m.map((row, i) => row.map((value, j) => (j === col ? v[i] : value)));
+    return det(replaced) / d;
+  });
+}
+
+/**
+ * Least-squares fit of one output (pan or tilt) against x, y
+ */
+function fitPlane(points, key) {
+  const m = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  const v = [0, 0, 0];
+
+  for (const point of points) {
+    const row = [point.x, point.y, 1];
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j < 3; j++) {
+        m[i][j] += row[i] * row[j];
+      }
+      v[i] += row[i] * point[key];
+    }
+  }
+
+  return solve3x3(m, v);
+}
+
+/**
+ * Validate calibration reference points
+ */
+function validateCalibrationPoints(points) {
+  const errors = [];
+
+  if (!Array.isArray(points) || points.length < MIN_CALIBRATION_POINTS) {
+    errors.push(`At least ${MIN_CALIBRATION_POINTS} reference points are required`);
+    return { valid: false, errors };
+  }
+
+  points.forEach((point, index) => {
+    for (const key of ['x', 'y']) {
+      if (typeof point?.[key] !== 'number' || point[key] < 0 || point[key] > 1) {
+        errors.push(`Point ${index + 1}: ${key} must be between 0 and 1`);
+      }
+    }
+    for (const key of ['pan', 'tilt']) {
+      if (typeof point?.[key] !== 'number' || !Number.isFinite(point[key])) {
+        errors.push(`Point ${index + 1}: ${key} must be a number`);
+      }
+    }
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Fit the pixel-to-angle transform.
+ * Returns null if the points are collinear (or otherwise degenerate).
+ */
+function fitTransform(points) {
+  const pan = fitPlane(points, 'pan');
+  const tilt = fitPlane(points, 'tilt');
+
+  if (!pan || !tilt) {
+    return null;
+  }
+
+  const transform = { pan, tilt };
+
+  // Root-mean-square error in degrees, to judge how good the fit is
+  const squared = points.reduce((sum, point) => {
+    const angles = pixelToAngles(transform, point);
+    return sum + (angles.pan - point.pan) ** 2 + (angles.tilt - point.tilt) ** 2;
+  }, 0);
+
+  return { ...transform, rmsError: Math.sqrt(squared / points.length) };
+}
+
+/**
+ * Convert normalized camera coordinates to pan/tilt angles
+ */
+function pixelToAngles(transform, { x, y }) {
+  const [a, b, c] = transform.pan;
+  const [d, e, f] = transform.tilt;
+  return {
+    pan: a * x + b * y + c,
+    tilt: d * x + e * y + f
+  };
+}
+
+/**
+ * Convert pan/tilt angles back to normalized camera coordinates.
+ * Returns null if the transform can't be inverted.
+ */
+function anglesToPixel(transform, { pan, tilt }) {
+  const [a, b, c] = transform.pan;
+  const [d, e, f] = transform.tilt;
+  const det = a * e - b * d;
+
+  if (Math.abs(det) < 1e-12) {
+    return null;
+  }
+
+  const p = pan - c;
+  const t = tilt - f;
+  return {
+    x: (e * p - b * t) / det,
+    y: (a * t - d * p) / det
+  };
+}
+
+module.exports = {
+  MIN_CALIBRATION_POINTS,
+  validateCalibrationPoints,
+  fitTransform,
+  pixelToAngles,
+  anglesToPixel
+};
@@ -0,0 +1,268 @@
+/**
+ * Cat-tracking play: keeps the laser dot a set distance ahead of the cat
+ *
+ * Detection payloads from the camera may carry the cat's bounding box. The
+ * tracker estimates where the cat is heading from successive boxes and, on
+ * every tick, puts the dot that distance ahead of it along its heading - or,
+ * while the cat sits still, straight away from it - so the dot keeps running
+ * as the cat closes in. Positions are normalized camera coordinates (0..1,
+ * origin top-left) and reach the servos through the calibration transform.
+ */
+const { pixelToAngles, anglesToPixel } = require('./calibration');
+const { laserError, ANGLE_MIN, ANGLE_MAX } = require('./laser-controller');
+
+const TICK_MS = 250;
+const LOST_MS = 3000; // a cat not seen for this long is out of sight - the dot stays put
+const MOVING_SPEED = 0.05; // frames per second below which the cat counts as sitting still
+const MIN_MOVE = 0.02; // target changes smaller than this are servo jitter
+const EDGE_MARGIN = 0.05; // keep the dot this far inside the frame
+const SMOOTHING = 0.5; // weight of the newest velocity sample
+const DEFAULT_DISTANCE = 0.25;
+
+const clampAngle = (angle) => Math.min(ANGLE_MAX, Math.max(ANGLE_MIN, angle));
+
+/**
+ * Pull the cat's bounding box out of a detection payload.
+ * The box is `bbox` (or `box`) on the payload, or on the most confident entry
+ * of `detections`, as { x, y, width, height } or [x, y, width, height] from the
+ * top-left corner. Pixel boxes need the frame size as `frame: { width, height }`
+ * or `frame_width`/`frame_height`; without it the box must already be 0..1.
+ * Returns { x, y, width, height, confidence } normalized to 0..1, or null.
+ */
+function parseDetection(payload) {
+  if (!payload || typeof payload !== 'object') {
+    return null;
+  }
+
+  let candidate = payload;
+  if (Array.isArray(payload.detections) && payload.detections.length > 0) {
+    candidate = payload.detections.reduce((best, detection) =>
+      (detection?.confidence ?? 0) > (best?.confidence ?? 0) ? detection : best
+    );
+  }
+
+  const raw = candidate?.bbox ?? candidate?.box;
+  if (!raw || typeof raw !== 'object') {
+    return null;
+  }
+
+  const [x, y, width, height] = Array.isArray(raw)
+    ? raw
+    : [raw.x, raw.y, raw.width ?? raw.w, raw.height ?? raw.h];
+  if ([x, y, width, height].some(value => typeof value !== 'number' || !Number.isFinite(value)) ||
+      width <= 0 || height <= 0) {
+    return null;
+  }
+
+  const frameWidth = payload.frame?.width ?? payload.frame_width;
+  const frameHeight = payload.frame?.height ?? payload.frame_height;
+  const [scaleX, scaleY] = frameWidth > 0 && frameHeight > 0 ? [frameWidth, frameHeight] : [1, 1];
+
+  const box = {
+    x: x / scaleX,
+    y: y / scaleY,
+    width: width / scaleX,
+    height: height / scaleY
+  };
+
+  // A center outside the frame means pixels without a frame size, or garbage
+  const centerX = box.x + box.width / 2;
+  const centerY = box.y + box.height / 2;
+  if (centerX < 0 || centerX > 1 || centerY < 0 || centerY > 1) {
+    return null;
+  }
+
+  return {
+    ...box,
+    confidence: typeof candidate.confidence === 'number' ? candidate.confidence : null
+  };
+}
+
+class CatTracker {
+  /**
+   * options:
+   *   getCalibration () => the device's saved calibration, or null
+   *   getDistance    () => how far ahead of the cat to keep the dot, as a fraction of the frame
+   *   onChange       (state) => void, called when tracking starts or stops
+   */
+  constructor(laserController, options = {}) {
+    this.laserController = laserController;
+    this.getCalibration = options.getCalibration || (() => null);
+    this.getDistance = options.getDistance || (() => DEFAULT_DISTANCE);
+    this.onChange = options.onChange || (() => {});
+    // Latest sighting (box center) and the cat's velocity in frames per second
+    this.cat = null;
+    this.velocity = { x: 0, y: 0 };
+    // Where the dot last landed
+    this.dot = null;
+    // Tracking in progress: { startedBy, startedAt }
+    this.current = null;
+    this.timer = null;
+    this.moving = false;
+
+    console.log('Cat Tracker initialized');
+  }
+
+  /**
+   * Tracking needs the calibration to turn camera positions into angles
+   */
+  canTrack() {
+    return Boolean(this.getCalibration());
+  }
+
+  /**
+   * Take in a bounding box from parseDetection
+   */
+  update(box) {
+    const now = Date.now();
+    const center = { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+
+    if (this.cat && now > this.cat.at && now - this.cat.at < LOST_MS) {
+      const seconds = (now - this.cat.at) / 1000;
+      this.velocity = {
+        x: SMOOTHING * (center.x - this.cat.x) / seconds + (1 - SMOOTHING) * this.velocity.x,
+        y: SMOOTHING * (center.y - this.cat.y) / seconds + (1 - SMOOTHING) * this.velocity.y
+      };
+    } else {
+      this.velocity = { x: 0, y: 0 };
+    }
+
+    this.cat = { ...center, at: now };
+  }
+
+  /**
+   * Start chasing. Throws NOT_CALIBRATED without a calibration.
+   */
+  async start(startedBy) {
+    const calibration = this.getCalibration();
+    if (!calibration) {
+      throw laserError('Laser is not calibrated', 'NOT_CALIBRATED');
+    }
+
+    clearInterval(this.timer);
+    this.current = { startedBy, startedAt: Date.now() };
+
+    // Start from wherever the laser points now, so "away from the cat" has a direction
+    try {
+      this.dot = anglesToPixel(calibration.transform, await this.laserController.getPosition());
+    } catch (error) {
+      this.dot = null;
+    }
+
+    this.timer = setInterval(() => this.tick(), TICK_MS);
+    console.log(`Cat tracking started by ${startedBy}`);
+    this.notify();
+  }
+
+  /**
+   * Stop chasing
+   */
+  stop() {
+    if (!this.current) {
+      return false;
+    }
+
+    clearInterval(this.timer);
+    this.timer = null;
+    // The tick's move toward the last target would otherwise run to the end
+    this.laserController.cancelMove();
+    console.log('Cat tracking stopped');
+    this.current = null;
+    this.notify();
+    return true;
+  }
+
+  /**
+   * Where the dot should go for the latest sighting, or null to leave it
+   */
+  getTarget() {
+    if (!this.cat || Date.now() - this.cat.at > LOST_MS) {
+      return null;
+    }
+
+    const speed = Math.hypot(this.velocity.x, this.velocity.y);
+    let direction;
+    if (speed >= MOVING_SPEED) {
+      // Lead the cat along its heading - chasing the dot pushes it further on
+      direction = { x: this.velocity.x / speed, y: this.velocity.y / speed };
+    } else {
+      const away = this.dot ? { x: this.dot.x - this.cat.x, y: this.dot.y - this.cat.y } : { x: 0, y: 0 };
+      const length = Math.hypot(away.x, away.y);
+      const angle = Math.random() * 2 * Math.PI;
+      direction = length > 1e-3
+        ? { x: away.x / length, y: away.y / length }
+        : { x: Math.cos(angle), y: Math.sin(angle) };
+    }
+
+    // Bounce off the frame edges instead of pinning the dot against them next to the cat
+    const distance = this.getDistance();
+    const target = {};
+    for (const axis of ['x', 'y']) {
+      let value = this.cat[axis] + direction[axis] * distance;
+      if (value < EDGE_MARGIN || value > 1 - EDGE_MARGIN) {
+        value = this.cat[axis] - direction[axis] * distance;
+      }
+      target[axis] = Math.min(1 - EDGE_MARGIN, Math.max(EDGE_MARGIN, value));
+    }
+    return target;
+  }
+
+  /**
+   * Move the dot if the cat has gone somewhere new. Skips a tick while the
+   * previous move is still stepping.
+   */
+  async tick() {
+    if (this.moving || !this.current) {
+      return;
+    }
+
+    const target = this.getTarget();
+    if (!target || (this.dot && Math.hypot(target.x - this.dot.x, target.y - this.dot.y) < MIN_MOVE)) {
+      return;
+    }
+
+    const calibration = this.getCalibration();
+    if (!calibration) {
+      return;
+    }
+
+    const angles = pixelToAngles(calibration.transform, target);
+    this.moving = true;
+    try {
+      const result = await this.laserController.moveTo({ pan: clampAngle(angles.pan), tilt: clampAngle(angles.tilt) });
+      // Where the dot actually is - a target past the servo range is clamped short of it
+      this.dot = anglesToPixel(calibration.transform, result.position);
+    } catch (error) {
+      // A no-go zone or a device hiccup - the next sighting gets another try
+      console.error('Cat tracking move failed:', error.message);
+    } finally {
+      this.moving = false;
+    }
+  }
+
+  getState() {
+    return {
+      tracking: this.current,
+      cat: this.cat && {
+        x: this.cat.x,
+        y: this.cat.y,
+        seenAt: this.cat.at
+      },
+      dot: this.dot,
+      distance: this.getDistance()
+    };
+  }
+
+  notify() {
+    this.onChange(this.getState());
+  }
+
+  shutdown() {
+    clearInterval(this.timer);
+  }
+}
+
+module.exports = {
+  CatTracker,
+  parseDetection
+};
@@ -0,0 +1,215 @@
+/**
+ * WebSocket control channel
+ *
+ * Browsers keep one socket open at /api/control/ws and stream control intents
+ * instead of making an HTTP request per joystick tick. Intents that arrive while
+ * the device is still busy are coalesced: only the newest one is sent on.
+ *
+ * Client -> server:
+ *   { type: 'move', seq, leaseToken, dx, dy }       velocity, dx right+ / dy down+, each -1..1
+ *   { type: 'position', seq, leaseToken, pan, tilt } absolute target in degrees
+ * Server -> client:
+ *   { type: 'ack', seq, position, receivedAt, completedAt }
+ *   { type: 'error', seq, error, code?, lease? }   code NO_LEASE, HALTED or a laser error code
+ */
+const { WebSocketServer } = require('ws');
+
+const { LASER_ERROR_STATUS } = require('./server-helpers');
+
+const CONTROL_PATH = '/api/control/ws';
+const PING_INTERVAL_MS = 30000;
+
+class ControlChannel {
+  constructor({ laserController, controlLease, isHalted, authenticate, beforeCommand, onCommand }) {
+    this.laserController = laserController;
+    this.controlLease = controlLease;
+    // () => true while an emergency stop is in effect
+    this.isHalted = isHalted;
+    // (req) => display name if the upgrade request may control the laser, else null
+    this.authenticate = authenticate;
+    // Awaited with the sender's name before a command goes to the device (pauses autonomous play)
+    this.beforeCommand = beforeCommand || (() => {});
+    // Called with every command that reached the device (used for pattern recording)
+    this.onCommand = onCommand;
+    this.wss = new WebSocketServer({ noServer: true });
+    this.pingTimer = null;
+
+    console.log('Control Channel initialized');
+  }
+
+  /**
+   * Take over WebSocket upgrades for the control path on an HTTP server
+   */
+  attach(server) {
+    server.on('upgrade', (req, socket, head) => {
+      if (new URL(req.url, 'http://localhost').pathname !== CONTROL_PATH) {
+        socket.destroy();
+        return;
+      }
+
+      if (!this.authenticate(req)) {
+        socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+        socket.destroy();
+        return;
+      }
+
+      this.wss.handleUpgrade(req, socket, head, (ws) => this.handleConnection(ws, req));
+    });
+
+    // Drop sockets whose browser went away without closing them
+    this.pingTimer = setInterval(() => {
+      for (const ws of this.wss.clients) {
+        if (!ws.isAlive) {
+          ws.terminate();
+          continue;
+        }
+        ws.isAlive = false;
+        ws.ping();
+      }
+    }, PING_INTERVAL_MS);
+  }
+
+  handleConnection(ws, req) {
+    ws.isAlive = true;
+    ws.pending = null;
+    ws.busy = false;
+
+    console.log(`Control channel opened by ${this.authenticate(req)}`);
+
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    ws.on('message', (raw) => {
+      let intent;
+      try {
+        intent = JSON.parse(raw);
+      } catch {
+        return this.send(ws, { type: 'error', error: 'Invalid message' });
+      }
+
+      // Re-checked per message so an expired or revoked guest link stops working
+      if (!this.authenticate(req)) {
+        this.send(ws, { type: 'error', seq: intent.seq, error: 'Authentication required' });
+        return ws.close(4401, 'Authentication required');
+      }
+
+      const validation = this.validateIntent(intent);
+      if (!validation.valid) {
+        return this.send(ws, { type: 'error', seq: intent.seq, error: validation.errors.join(', ') });
+      }
+
+      // Newer intents replace ones the device hasn't got to yet
+      ws.pending = { ...intent, receivedAt: Date.now() };
+      this.drain(ws);
+    });
+
+    ws.on('close', () => {
+      ws.pending = null;
+    });
+  }
+
+  /**
+   * Validate a control intent
+   */
+  validateIntent(intent) {
+    if (intent?.type === 'move') {
+      return this.laserController.validateVelocity(intent);
+    }
+    if (intent?.type === 'position') {
+      return this.laserController.validateTarget(intent);
+    }
+    return { valid: false, errors: ['Unknown intent type'] };
+  }
+
+  /**
+   * Send the newest pending intent to the device, one at a time
+   */
+  async drain(ws) {
+    if (ws.busy) {
+      return;
+    }
+
+    ws.busy = true;
+    try {
+      while (ws.pending) {
+        const intent = ws.pending;
+        ws.pending = null;
+        await this.execute(ws, intent);
+      }
+    } finally {
+      ws.busy = false;
+    }
+  }
+
+  async execute(ws, intent) {
+    if (this.isHalted()) {
+      return this.send(ws, {
+        type: 'error',
+        seq: intent.seq,
+        error: 'Emergency stop is active - re-arm the laser first',
+        code: 'HALTED'
+      });
+    }
+
+    // An accepted intent keeps the lease alive like a heartbeat
+    if (!this.controlLease.heartbeat(intent.leaseToken)) {
+      const lease = this.controlLease.getState();
+      return this.send(ws, {
+        type: 'error',
+        seq: intent.seq,
+        error: lease.holder
+          ? 'Another client is in control of the laser'
+          : 'Take control of the laser first',
+        code: 'NO_LEASE',
+        lease
+      });
+    }
+
+    try {
+      await this.beforeCommand(this.controlLease.getState().holder?.name);
+      if (intent.type === 'move') {
+        await this.laserController.moveVelocity(intent.dx, intent.dy);
+        this.onCommand({ type: 'move', dx: intent.dx, dy: intent.dy });
+      } else {
+        await this.laserController.moveTo({ pan: intent.pan, tilt: intent.tilt });
+        this.onCommand({ type: 'position', pan: intent.pan, tilt: intent.tilt });
+      }
+
+      const position = await this.laserController.getPosition().catch(() => null);
+      this.send(ws, {
+        type: 'ack',
+        seq: intent.seq,
+        position,
+        receivedAt: intent.receivedAt,
+        completedAt: Date.now()
+      });
+    } catch (error) {
+      console.error('Control channel command error:', error.message);
+      const known = Boolean(LASER_ERROR_STATUS[error.code]);
+      this.send(ws, {
+        type: 'error',
+        seq: intent.seq,
+        error: known ? error.message : 'Failed to move laser',
+        ...(known && { code: error.code })
+      });
+    }
+  }
+
+  send(ws, message) {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  }
+
+  shutdown() {
+    if (this.pingTimer) {
+      clearInterval(this.pingTimer);
+    }
+    for (const ws of this.wss.clients) {
+      ws.terminate();
+    }
+  }
+}
+
+module.exports = ControlChannel;
@@ -0,0 +1,203 @@
+/**
+ * Manages the exclusive control lease for the laser
+ * Only one client (browser tab) may move the laser at a time
+ */
+const crypto = require('crypto');
+
+const LEASE_TIMEOUT_MS = 10 * 1000;       // lease lapses without a heartbeat
+const HANDOVER_REQUEST_MS = 30 * 1000;    // unanswered handover requests expire
+const RESERVATION_MS = 10 * 1000;         // approved handovers wait this long to be claimed
+
+class ControlLeaseManager {
+  constructor(onChangeFunc) {
+    this.onChange = onChangeFunc;
+    this.holder = null;
+    this.handoverRequest = null;
+    this.reservation = null;
+    this.expiryTimer = setInterval(() => {
+      this.expireStale();
+    }, 1000);
+
+    console.log('Control Lease Manager initialized');
+  }
+
+  /**
+   * Try to take the lease for a client.
+   * owner identifies the account behind the request (user or guest link) -
+   * client ids are public, so a held lease or a reservation only goes to a
+   * client of the same owner.
+   * Returns the secret lease token, or null if someone else holds it.
+   */
+  acquire(clientId, name, owner) {
+    if (this.holder && (this.holder.clientId !== clientId || this.holder.owner !== owner)) {
+      return null;
+    }
+
+    // An approved handover is reserved for the requester until claimed
+    if (this.reservation && (this.reservation.clientId !== clientId || this.reservation.owner !== owner)) {
+      return null;
+    }
+
+    const now = Date.now();
+    this.holder = {
+      clientId,
+      name,
+      owner,
+      token: crypto.randomBytes(16).toString('hex'),
+      since: this.holder?.since || now,
+      lastHeartbeat: now
+    };
+    this.reservation = null;
+    if (this.handoverRequest?.clientId === clientId) {
+      this.handoverRequest = null;
+    }
+
+    console.log(`Control lease acquired by ${name}`);
+    this.notify();
+    return this.holder.token;
+  }
+
+  /**
+   * Keep the lease alive. Returns false if the token no longer holds it.
+   */
+  heartbeat(token) {
+    if (!this.isHolder(token)) {
+      return false;
+    }
+    this.holder.lastHeartbeat = Date.now();
+    return true;
+  }
+
+  /**
+   * Give up the lease
+   */
+  release(token) {
+    if (!this.isHolder(token)) {
+      return false;
+    }
+
+    console.log(`Control lease released by ${this.holder.name}`);
+    this.holder = null;
+    this.notify();
+    return true;
+  }
+
+  /**
+   * Take the lease away from whoever holds it (emergency stop)
+   * Pending handover requests and reservations are dropped too.
+   */
+  revoke() {
+    if (this.holder) {
+      console.log(`Control lease of ${this.holder.name} revoked`);
+    }
+
+    this.holder = null;
+    this.handoverRequest = null;
+    this.reservation = null;
+    this.notify();
+  }
+
+  /**
+   * Ask the current holder to hand over control
+   */
+  requestHandover(clientId, name, owner) {
+    if (!this.holder || this.holder.clientId === clientId) {
+      return false;
+    }
+
+    this.handoverRequest = { clientId, name, owner, requestedAt: Date.now() };
+    console.log(`${name} requested control from ${this.holder.name}`);
+    this.notify();
+    return true;
+  }
+
+  /**
+   * Holder answers a pending handover request.
+   * On approval the lease is released and reserved for the requester.
+   */
+  respondToHandover(token, approve) {
+    if (!this.isHolder(token) || !this.handoverRequest) {
+      return false;
+    }
+
+    const request = this.handoverRequest;
+    this.handoverRequest = null;
+
+    if (approve) {
+      console.log(`${this.holder.name} handed control to ${request.name}`);
+      this.holder = null;
+      this.reservation = { clientId: request.clientId, owner: request.owner, reservedAt: Date.now() };
+    } else {
+      console.log(`${this.holder.name} declined handover to ${request.name}`);
+    }
+
+    this.notify();
+    return true;
+  }
+
+  /**
+   * Check whether a lease token belongs to the current holder
+   */
+  isHolder(token) {
+    return Boolean(token) && Boolean(this.holder) && this.holder.token === token;
+  }
+
+  /**
+   * Drop lapsed leases, handover requests and reservations
+   */
+  expireStale() {
+    const now = Date.now();
+    let changed = false;
+
+    if (this.holder && now - this.holder.lastHeartbeat > LEASE_TIMEOUT_MS) {
+      console.log(`Control lease of ${this.holder.name} timed out`);
+      this.holder = null;
+      changed = true;
+    }
+
+    if (this.handoverRequest && (!this.holder || now - this.handoverRequest.requestedAt > HANDOVER_REQUEST_MS)) {
+      this.handoverRequest = null;
+      changed = true;
+    }
+
+    if (this.reservation && now - this.reservation.reservedAt > RESERVATION_MS) {
+      this.reservation = null;
+      changed = true;
+    }
+
+    if (changed) {
+      this.notify();
+    }
+  }
+
+  /**
+   * Public lease state - never includes the lease token
+   */
+  getState() {
+    return {
+      holder: this.holder
+        ? { clientId: this.holder.clientId, name: this.holder.name, since: this.holder.since }
+        : null,
+      handoverRequest: this.handoverRequest
+        ? { clientId: this.handoverRequest.clientId, name: this.handoverRequest.name, requestedAt: this.handoverRequest.requestedAt }
+        : null,
+      reservedFor: this.reservation?.clientId || null,
+      timeoutMs: LEASE_TIMEOUT_MS
+    };
+  }
+
+  notify() {
+    if (this.onChange) {
+      this.onChange(this.getState());
+    }
+  }
+
+  /**
+   * Clean up timers when shutting down
+   */
+  shutdown() {
+    clearInterval(this.expiryTimer);
+  }
+}
+
+module.exports = ControlLeaseManager;
@@ -1,8 +1,10 @@
 const Database = require('better-sqlite3');
 const path = require('path');
+const { isValidTimeZone, PRESENCE_SETTINGS } = require('./schedules');
+const { STRATEGY_ID } = require('./strategy-player');
 
-// Create database file in a data directory
-const DB_PATH = path.join(__dirname, 'data', 'cclt.db');
+// Create database file in a data directory (DB_PATH moves it, e.g. for tests)
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, 'data', 'cclt.db');
 
 // Initialize database connection
 const db = new Database(DB_PATH);
@@ -10,20 +12,97 @@ const db = new Database(DB_PATH);
 // Enable foreign keys
 db.pragma('foreign_keys = ON');
 
+// Gamepad controls used until a user saves their own (Standard Gamepad button indices)
+const DEFAULT_GAMEPAD_MAPPING = {
+  stick: 'left',
+  toggleLaser: 0, // A
+  center: 3       // Y
+};
+const GAMEPAD_STICKS = ['left', 'right'];
+const GAMEPAD_BUTTON_COUNT = 17;
+
+// Schedules run in the server's timezone until the owner picks one
+const DEFAULT_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+/**
+ * Add a column to an existing table if an older database doesn't have it yet.
+ * Returns true if the column was added.
+ */
+function addColumnIfMissing(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(existing => existing.name === column)) {
+    db.prepare(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`).run();
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Rebuild a schedules table created before presence schedules existed -
+ * SQLite can't change a CHECK constraint in place
+ */
+function allowPresenceSchedules(createSchedulesTable) {
+  const { sql } = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'schedules'").get();
+  if (sql.includes("'presence'")) {
+    return;
+  }
+
+  db.transaction(() => {
+    db.prepare('ALTER TABLE schedules RENAME TO schedules_old').run();
+    createSchedulesTable.run();
+    db.prepare('INSERT INTO schedules SELECT * FROM schedules_old').run();
+    db.prepare('DROP TABLE schedules_old').run();
+  })();
+}
+
 /**
  * Initialize database schema
  */
 function initializeDatabase() {
-  // Create settings table
+  // Create users table
+  const createUsersTable = db.prepare(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL DEFAULT 'member',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Create login sessions table
+  const createAuthSessionsTable = db.prepare(`
+    CREATE TABLE IF NOT EXISTS auth_sessions (
+      token TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL
+    )
+  `);
+
+  // Create settings table (rows are keyed by username)
   const createSettingsTable = db.prepare(`
     CREATE TABLE IF NOT EXISTS settings (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id TEXT NOT NULL DEFAULT 'jasmi',
+      user_id TEXT NOT NULL,
       notifications_enabled BOOLEAN NOT NULL DEFAULT 1,
       autonomous_mode_enabled BOOLEAN NOT NULL DEFAULT 0,
       trigger_type TEXT NOT NULL DEFAULT 'detection',
       time_interval INTEGER NOT NULL DEFAULT 2,
       session_duration INTEGER NOT NULL DEFAULT 5,
+      autonomous_pattern_id INTEGER REFERENCES patterns(id) ON DELETE SET NULL,
+      gamepad_mapping TEXT,
+      timezone TEXT,
+      daily_budget_minutes INTEGER NOT NULL DEFAULT 0,
+      rest_minutes INTEGER NOT NULL DEFAULT 0,
+      budget_enforcement TEXT NOT NULL DEFAULT 'warn',
+      presence TEXT NOT NULL DEFAULT 'home',
+      cat_tracking BOOLEAN NOT NULL DEFAULT 0,
+      tracking_distance INTEGER NOT NULL DEFAULT 25,
+      engagement_grace_seconds INTEGER NOT NULL DEFAULT 0,
+      max_session_minutes INTEGER NOT NULL DEFAULT 0,
+      takeover_idle_seconds INTEGER NOT NULL DEFAULT 60,
+      strategy_weights TEXT,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       UNIQUE(user_id)
@@ -40,37 +119,1016 @@ function initializeDatabase() {
     )
   `);
 
+  // Create guest access tokens table (only a hash of each token is stored)
+  const createGuestTokensTable = db.prepare(`
+    CREATE TABLE IF NOT EXISTS guest_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      token_hash TEXT NOT NULL UNIQUE,
+      owner_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      label TEXT NOT NULL,
+      permission TEXT NOT NULL DEFAULT 'view',
+      expires_at DATETIME NOT NULL,
+      revoked_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Create devices table (Raspberry Pis allowed to post detections)
+  const createDevicesTable = db.prepare(`
+    CREATE TABLE IF NOT EXISTS devices (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Create device signing keys table - several keys stay valid while rotating
+  const createDeviceKeysTable = db.prepare(`
+    CREATE TABLE IF NOT EXISTS device_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      device_id TEXT NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+      secret TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME
+    )
+  `);
+
+  // Create device nonces table - nonces of signed requests, kept until their
+  // timestamp is too old to be accepted, so replays fail across restarts too
+  const createDeviceNoncesTable = db.prepare(`
+    CREATE TABLE IF NOT EXISTS device_nonces (
+      device_id TEXT NOT NULL,
+      nonce TEXT NOT NULL,
+      expires_at INTEGER NOT NULL,
+      PRIMARY KEY (device_id, nonce)
+    )
+  `);
+
+  // Create calibrations table - one camera-to-servo transform per device
+  const createCalibrationsTable = db.prepare(`
+    CREATE TABLE IF NOT EXISTS calibrations (
+      device_id TEXT PRIMARY KEY,
+      transform TEXT NOT NULL,
+      points TEXT NOT NULL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Create calibration history table - every calibration ever saved
+  const createCalibrationHistoryTable = db.prepare(`
+    CREATE TABLE IF NOT EXISTS calibration_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      device_id TEXT NOT NULL,
+      transform TEXT NOT NULL,
+      points TEXT NOT NULL,
+      created_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Create no-go zones table - areas the laser must never enter, per device
+  const createNoGoZonesTable = db.prepare(`
+    CREATE TABLE IF NOT EXISTS no_go_zones (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      device_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      type TEXT NOT NULL CHECK (type IN ('polygon', 'angles')),
+      definition TEXT NOT NULL,
+      enabled BOOLEAN DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Create schedules table - autonomous play times and quiet hours, per device
+  const createSchedulesTable = db.prepare(`
+    CREATE TABLE IF NOT EXISTS schedules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      device_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      type TEXT NOT NULL CHECK (type IN ('play', 'quiet', 'presence')),
+      definition TEXT NOT NULL,
+      enabled BOOLEAN DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Create autonomous state table - survives restarts so sessions can be resumed or cleaned up
+  const createAutonomousStateTable = db.prepare(`
+    CREATE TABLE IF NOT EXISTS autonomous_state (
+      device_id TEXT PRIMARY KEY,
+      last_activation_time INTEGER,
+      session TEXT,
+      halted TEXT,
+      last_session TEXT,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Create play usage table - minutes of laser play per local day, for the daily budget
+  const createPlayUsageTable = db.prepare(`
+    CREATE TABLE IF NOT EXISTS play_usage (
+      device_id TEXT NOT NULL,
+      day TEXT NOT NULL,
+      used_ms INTEGER NOT NULL DEFAULT 0,
+      last_ended_at INTEGER,
+      PRIMARY KEY (device_id, day)
+    )
+  `);
+
+  // Create play sessions table - one row per finished session, manual or autonomous, for the stats
+  const createPlaySessionsTable = db.prepare(`
+    CREATE TABLE IF NOT EXISTS play_sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      device_id TEXT NOT NULL,
+      trigger_type TEXT NOT NULL CHECK(trigger_type IN ('manual', 'detection', 'interval', 'schedule')),
+      started_by TEXT,
+      started_at INTEGER NOT NULL,
+      ended_at INTEGER NOT NULL,
+      duration_ms INTEGER NOT NULL,
+      end_reason TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Create patterns table - recorded manual play, replayable by id
+  const createPatternsTable = db.prepare(`
+    CREATE TABLE IF NOT EXISTS patterns (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      device_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      commands TEXT NOT NULL,
+      duration_ms INTEGER NOT NULL,
+      created_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
   // Execute table creation
+  createUsersTable.run();
+  createAuthSessionsTable.run();
   createSettingsTable.run();
   createConfigHistoryTable.run();
+  createGuestTokensTable.run();
+  createDevicesTable.run();
+  createDeviceKeysTable.run();
+  createDeviceNoncesTable.run();
+  createCalibrationsTable.run();
+  createCalibrationHistoryTable.run();
+  createNoGoZonesTable.run();
+  createPatternsTable.run();
+  createSchedulesTable.run();
+  createAutonomousStateTable.run();
+  createPlayUsageTable.run();
+  createPlaySessionsTable.run();
+  db.prepare('CREATE INDEX IF NOT EXISTS idx_play_sessions_device_start ON play_sessions (device_id, started_at)').run();
 
-  // Insert default settings if none exist
-  const checkSettings = db.prepare('SELECT COUNT(*) as count FROM settings WHERE user_id = ?');
-  const { count } = checkSettings.get('jasmi');
+  // Columns added after the first release
+  addColumnIfMissing('settings', 'autonomous_pattern_id', 'INTEGER REFERENCES patterns(id) ON DELETE SET NULL');
+  addColumnIfMissing('settings', 'gamepad_mapping', 'TEXT');
+  addColumnIfMissing('settings', 'timezone', 'TEXT');
+  addColumnIfMissing('settings', 'daily_budget_minutes', 'INTEGER NOT NULL DEFAULT 0');
+  addColumnIfMissing('settings', 'rest_minutes', 'INTEGER NOT NULL DEFAULT 0');
+  addColumnIfMissing('settings', 'budget_enforcement', "TEXT NOT NULL DEFAULT 'warn'");
+  if (addColumnIfMissing('settings', 'presence', "TEXT NOT NULL DEFAULT 'home'")) {
+    // Autonomous play used to run whenever notifications were off - keep those owners playing
+    db.prepare("UPDATE settings SET presence = 'away' WHERE notifications_enabled = 0").run();
+  }
+  addColumnIfMissing('settings', 'cat_tracking', 'BOOLEAN NOT NULL DEFAULT 0');
+  addColumnIfMissing('settings', 'tracking_distance', 'INTEGER NOT NULL DEFAULT 25');
+  addColumnIfMissing('settings', 'engagement_grace_seconds', 'INTEGER NOT NULL DEFAULT 0');
+  addColumnIfMissing('settings', 'max_session_minutes', 'INTEGER NOT NULL DEFAULT 0');
+  addColumnIfMissing('settings', 'takeover_idle_seconds', 'INTEGER NOT NULL DEFAULT 60');
+  addColumnIfMissing('settings', 'strategy_weights', 'TEXT');
+  addColumnIfMissing('autonomous_state', 'last_session', 'TEXT');
+  allowPresenceSchedules(createSchedulesTable);
+
+  // Drop login sessions that have already expired
+  db.prepare("DELETE FROM auth_sessions WHERE expires_at <= datetime('now')").run();
 
-  if (count === 0) {
-    const insertDefaults = db.prepare(`
-      INSERT INTO settings (
+  console.log('Database initialized successfully');
+}
+
+/*****************************************************************
+ * USERS
+ *****************************************************************/
+
+/**
+ * Create a user along with a default settings row.
+ * The first account ever created becomes the device owner.
+ */
+function createUser(username, passwordHash) {
+  const create = db.transaction(() => {
+    const { count } = db.prepare('SELECT COUNT(*) as count FROM users').get();
+    const role = count === 0 ? 'owner' : 'member';
+
+    const result = db.prepare(`
+      INSERT INTO users (username, password_hash, role)
+      VALUES (?, ?, ?)
+    `).run(username, passwordHash, role);
+
+    // Keep any settings already stored under this username
+    db.prepare(`
+      INSERT OR IGNORE INTO settings (
         user_id,
-        notifications_enabled, 
-        autonomous_mode_enabled, 
-        trigger_type, 
-        time_interval, 
+        notifications_enabled,
+        autonomous_mode_enabled,
+        trigger_type,
+        time_interval,
         session_duration
       ) VALUES (?, ?, ?, ?, ?, ?)
-    `);
+    `).run(username, 1, 0, 'detection', 2, 5);
+
+    return result.lastInsertRowid;
+  });
+
+  return getUserById(create());
+}
 
-    insertDefaults.run('jasmi', 1, 0, 'detection', 2, 5);
-    console.log('jasmi settings inserted into database');
+/**
+ * Get a user by id (without the password hash)
+ */
+function getUserById(id) {
+  const stmt = db.prepare(`
+    SELECT id, username, role, created_at
+    FROM users
+    WHERE id = ?
+  `);
+
+  const user = stmt.get(id);
+  if (!user) {
+    return null;
   }
 
-  console.log('Database initialized successfully');
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    createdAt: user.created_at
+  };
+}
+
+/**
+ * Get a user by username, including the password hash for login checks
+ */
+function getUserByUsername(username) {
+  const stmt = db.prepare(`
+    SELECT id, username, password_hash, role
+    FROM users
+    WHERE username = ?
+  `);
+
+  const user = stmt.get(username);
+  if (!user) {
+    return null;
+  }
+
+  return {
+    id: user.id,
+    username: user.username,
+    passwordHash: user.password_hash,
+    role: user.role
+  };
+}
+
+/**
+ * Count registered users
+ */
+function countUsers() {
+  const { count } = db.prepare('SELECT COUNT(*) as count FROM users').get();
+  return count;
+}
+
+/**
+ * Get the device owner (the first account registered)
+ */
+function getDeviceOwner() {
+  const stmt = db.prepare(`
+    SELECT id
+    FROM users
+    WHERE role = 'owner'
+    ORDER BY id ASC
+    LIMIT 1
+  `);
+
+  const owner = stmt.get();
+  return owner ? getUserById(owner.id) : null;
+}
+
+/*****************************************************************
+ * LOGIN SESSIONS
+ *****************************************************************/
+
+/**
+ * Store a login session token for a user
+ */
+function createAuthSession(token, userId, ttlMs) {
+  const expiresAt = new Date(Date.now() + ttlMs).toISOString();
+  const stmt = db.prepare(`
+    INSERT INTO auth_sessions (token, user_id, expires_at)
+    VALUES (?, ?, datetime(?))
+  `);
+
+  stmt.run(token, userId, expiresAt);
+}
+
+/**
+ * Get the user for a login session token, or null if it is unknown or expired
+ */
+function getAuthSessionUser(token) {
+  const stmt = db.prepare(`
+    SELECT user_id
+    FROM auth_sessions
+    WHERE token = ? AND expires_at > datetime('now')
+  `);
+
+  const session = stmt.get(token);
+  return session ? getUserById(session.user_id) : null;
+}
+
+/**
+ * Delete a login session token
+ */
+function deleteAuthSession(token) {
+  db.prepare('DELETE FROM auth_sessions WHERE token = ?').run(token);
+}
+
+/*****************************************************************
+ * GUEST TOKENS
+ *****************************************************************/
+
+/**
+ * Convert a guest_tokens row to the API shape
+ */
+function toGuestToken(row) {
+  return {
+    id: row.id,
+    label: row.label,
+    permission: row.permission,
+    expiresAt: row.expires_at,
+    revokedAt: row.revoked_at,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Store a new guest token for an owner
+ */
+function createGuestToken(ownerId, tokenHash, { label, permission, expiresAt }) {
+  const stmt = db.prepare(`
+    INSERT INTO guest_tokens (token_hash, owner_id, label, permission, expires_at)
+    VALUES (?, ?, ?, ?, datetime(?))
+  `);
+
+  const result = stmt.run(tokenHash, ownerId, label, permission, expiresAt);
+  return toGuestToken(
+    db.prepare('SELECT * FROM guest_tokens WHERE id = ?').get(result.lastInsertRowid)
+  );
+}
+
+/**
+ * List the guest tokens an owner has created, newest first
+ */
+function getGuestTokens(ownerId) {
+  const stmt = db.prepare(`
+    SELECT *
+    FROM guest_tokens
+    WHERE owner_id = ?
+    ORDER BY created_at DESC, id DESC
+  `);
+
+  return stmt.all(ownerId).map(toGuestToken);
+}
+
+/**
+ * Get a guest token by hash if it is neither expired nor revoked
+ */
+function getActiveGuestToken(tokenHash) {
+  const stmt = db.prepare(`
+    SELECT *
+    FROM guest_tokens
+    WHERE token_hash = ?
+      AND revoked_at IS NULL
+      AND expires_at > datetime('now')
+  `);
+
+  const row = stmt.get(tokenHash);
+  return row ? toGuestToken(row) : null;
+}
+
+/**
+ * Revoke one of an owner's guest tokens
+ */
+function revokeGuestToken(ownerId, tokenId) {
+  const stmt = db.prepare(`
+    UPDATE guest_tokens
+    SET revoked_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND owner_id = ? AND revoked_at IS NULL
+  `);
+
+  return stmt.run(tokenId, ownerId).changes > 0;
+}
+
+/*****************************************************************
+ * DEVICES & SIGNING KEYS
+ *****************************************************************/
+
+/**
+ * Register a device
+ */
+function createDevice(deviceId, name) {
+  db.prepare('INSERT INTO devices (id, name) VALUES (?, ?)').run(deviceId, name);
+  return getDevice(deviceId);
 }
 
+/**
+ * Get a device by id
+ */
+function getDevice(deviceId) {
+  const device = db.prepare('SELECT id, name, created_at FROM devices WHERE id = ?').get(deviceId);
+  if (!device) {
+    return null;
+  }
+
+  return {
+    id: device.id,
+    name: device.name,
+    createdAt: device.created_at
+  };
+}
+
+/**
+ * List devices with their key metadata (never the secrets)
+ */
+function getDevices() {
+  const devices = db.prepare('SELECT id FROM devices ORDER BY created_at ASC').all();
+  const keysStmt = db.prepare(`
+    SELECT id, created_at, expires_at
+    FROM device_keys
+    WHERE device_id = ?
+      AND (expires_at IS NULL OR expires_at > datetime('now'))
+    ORDER BY created_at DESC, id DESC
+  `);
+
+  return devices.map(({ id }) => ({
+    ...getDevice(id),
+    keys: keysStmt.all(id).map(key => ({
+      id: key.id,
+      createdAt: key.created_at,
+      expiresAt: key.expires_at
+    }))
+  }));
+}
+
+/**
+ * Add a signing key to a device.
+ * With retireOldKeysAfterMs set, existing keys keep working only that much longer.
+ */
+function addDeviceKey(deviceId, secret, retireOldKeysAfterMs = null) {
+  const add = db.transaction(() => {
+    if (retireOldKeysAfterMs !== null) {
+      const retireAt = new Date(Date.now() + retireOldKeysAfterMs).toISOString();
+      db.prepare(`
+        UPDATE device_keys
+        SET expires_at = datetime(?)
+        WHERE device_id = ?
+          AND (expires_at IS NULL OR expires_at > datetime(?))
+      `).run(retireAt, deviceId, retireAt);
+    }
+
+    const result = db.prepare(`
+      INSERT INTO device_keys (device_id, secret)
+      VALUES (?, ?)
+    `).run(deviceId, secret);
+
+    return result.lastInsertRowid;
+  });
+
+  return add();
+}
+
+/**
+ * Get the secrets a device may currently sign with
+ */
+function getActiveDeviceSecrets(deviceId) {
+  const stmt = db.prepare(`
+    SELECT secret
+    FROM device_keys
+    WHERE device_id = ?
+      AND (expires_at IS NULL OR expires_at > datetime('now'))
+  `);
+
+  return stmt.all(deviceId).map(key => key.secret);
+}
+
+/**
+ * Revoke a device key immediately
+ */
+function revokeDeviceKey(deviceId, keyId) {
+  const stmt = db.prepare(`
+    UPDATE device_keys
+    SET expires_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND device_id = ?
+      AND (expires_at IS NULL OR expires_at > datetime('now'))
+  `);
+
+  return stmt.run(keyId, deviceId).changes > 0;
+}
+
+/**
+ * Remember a signed request's nonce until expiresAt (ms timestamp).
+ * Returns false if the device already used it - a replayed request.
+ */
+function useDeviceNonce(deviceId, nonce, expiresAt) {
+  const use = db.transaction(() => {
+    db.prepare('DELETE FROM device_nonces WHERE expires_at <= ?').run(Date.now());
+
+    const result = db.prepare(`
+      INSERT OR IGNORE INTO device_nonces (device_id, nonce, expires_at)
+      VALUES (?, ?, ?)
+    `).run(deviceId, nonce, expiresAt);
+
+    return result.changes > 0;
+  });
+
+  return use();
+}
+
+/*****************************************************************
+ * CALIBRATION
+ *****************************************************************/
+
+/**
+ * Get the camera-to-servo calibration for a device
+ */
+function getCalibration(deviceId) {
+  const stmt = db.prepare(`
+    SELECT transform, points, updated_at
+    FROM calibrations
+    WHERE device_id = ?
+  `);
+
+  const calibration = stmt.get(deviceId);
+  if (!calibration) {
+    return null;
+  }
+
+  return {
+    deviceId,
+    transform: JSON.parse(calibration.transform),
+    points: JSON.parse(calibration.points),
+    updatedAt: calibration.updated_at
+  };
+}
+
+/**
+ * Store the camera-to-servo calibration for a device, and record it in the history
+ */
+function saveCalibration(deviceId, transform, points, createdBy = null) {
+  const save = db.transaction(() => {
+    db.prepare(`
+      INSERT INTO calibrations (device_id, transform, points)
+      VALUES (?, ?, ?)
+      ON CONFLICT(device_id) DO UPDATE SET
+        transform = excluded.transform,
+        points = excluded.points,
+        updated_at = CURRENT_TIMESTAMP
+    `).run(deviceId, JSON.stringify(transform), JSON.stringify(points));
+
+    db.prepare(`
+      INSERT INTO calibration_history (device_id, transform, points, created_by)
+      VALUES (?, ?, ?, ?)
+    `).run(deviceId, JSON.stringify(transform), JSON.stringify(points), createdBy);
+  });
+
+  save();
+  return getCalibration(deviceId);
+}
+
+/**
+ * Get previous calibrations for a device, newest first
+ */
+function getCalibrationHistory(deviceId, limit = 10) {
+  const stmt = db.prepare(`
+    SELECT id, transform, points, created_by, created_at
+    FROM calibration_history
+    WHERE device_id = ?
+    ORDER BY created_at DESC, id DESC
+    LIMIT ?
+  `);
+
+  return stmt.all(deviceId, limit).map(record => ({
+    id: record.id,
+    transform: JSON.parse(record.transform),
+    points: JSON.parse(record.points),
+    createdBy: record.created_by,
+    createdAt: record.created_at
+  }));
+}
+
+/**
+ * Get one calibration history entry for a device
+ */
+function getCalibrationHistoryEntry(deviceId, id) {
+  const stmt = db.prepare(`
+    SELECT transform, points
+    FROM calibration_history
+    WHERE device_id = ? AND id = ?
+  `);
+
+  const record = stmt.get(deviceId, id);
+  if (!record) {
+    return null;
+  }
+
+  return {
+    id,
+    transform: JSON.parse(record.transform),
+    points: JSON.parse(record.points)
+  };
+}
+
+/*****************************************************************
+ * NO-GO ZONES
+ *****************************************************************/
+
+/**
+ * Convert a no_go_zones row to the API shape
+ */
+function toNoGoZone(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    type: row.type,
+    definition: JSON.parse(row.definition),
+    enabled: Boolean(row.enabled),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * List the no-go zones of a device
+ */
+function getNoGoZones(deviceId) {
+  const stmt = db.prepare(`
+    SELECT *
+    FROM no_go_zones
+    WHERE device_id = ?
+    ORDER BY id
+  `);
+
+  return stmt.all(deviceId).map(toNoGoZone);
+}
+
+/**
+ * Get one no-go zone of a device
+ */
+function getNoGoZone(deviceId, id) {
+  const row = db.prepare('SELECT * FROM no_go_zones WHERE device_id = ? AND id = ?').get(deviceId, id);
+  return row ? toNoGoZone(row) : null;
+}
+
+/**
+ * Add a no-go zone to a device
+ */
+function createNoGoZone(deviceId, { name, type, definition, enabled = true }) {
+  const stmt = db.prepare(`
+    INSERT INTO no_go_zones (device_id, name, type, definition, enabled)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+
+  const result = stmt.run(deviceId, name.trim(), type, JSON.stringify(definition), enabled ? 1 : 0);
+  return getNoGoZone(deviceId, result.lastInsertRowid);
+}
+
+/**
+ * Replace a no-go zone. Returns null if the zone doesn't exist.
+ */
+function updateNoGoZone(deviceId, id, { name, type, definition, enabled = true }) {
+  const stmt = db.prepare(`
+    UPDATE no_go_zones
+    SET name = ?, type = ?, definition = ?, enabled = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE device_id = ? AND id = ?
+  `);
+
+  const result = stmt.run(name.trim(), type, JSON.stringify(definition), enabled ? 1 : 0, deviceId, id);
+  return result.changes > 0 ? getNoGoZone(deviceId, id) : null;
+}
+
+/**
+ * Delete a no-go zone
+ */
+function deleteNoGoZone(deviceId, id) {
+  return db.prepare('DELETE FROM no_go_zones WHERE device_id = ? AND id = ?').run(deviceId, id).changes > 0;
+}
+
+/*****************************************************************
+ * SCHEDULES
+ *****************************************************************/
+
+/**
+ * Convert a schedules row to the API shape
+ */
+function toSchedule(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    type: row.type,
+    definition: JSON.parse(row.definition),
+    enabled: Boolean(row.enabled),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * List the schedules of a device, play slots first
+ */
+function getSchedules(deviceId) {
+  const stmt = db.prepare(`
+    SELECT *
+    FROM schedules
+    WHERE device_id = ?
+    ORDER BY type, id
+  `);
+
+  return stmt.all(deviceId).map(toSchedule);
+}
+
+/**
+ * Get one schedule of a device
+ */
+function getSchedule(deviceId, id) {
+  const row = db.prepare('SELECT * FROM schedules WHERE device_id = ? AND id = ?').get(deviceId, id);
+  return row ? toSchedule(row) : null;
+}
+
+/**
+ * Add a schedule to a device
+ */
+function createSchedule(deviceId, { name, type, definition, enabled = true }) {
+  const stmt = db.prepare(`
+    INSERT INTO schedules (device_id, name, type, definition, enabled)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+
+  const result = stmt.run(deviceId, name.trim(), type, JSON.stringify(definition), enabled ? 1 : 0);
+  return getSchedule(deviceId, result.lastInsertRowid);
+}
+
+/**
+ * Replace a schedule. Returns null if the schedule doesn't exist.
+ */
+function updateSchedule(deviceId, id, { name, type, definition, enabled = true }) {
+  const stmt = db.prepare(`
+    UPDATE schedules
+    SET name = ?, type = ?, definition = ?, enabled = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE device_id = ? AND id = ?
+  `);
+
+  const result = stmt.run(name.trim(), type, JSON.stringify(definition), enabled ? 1 : 0, deviceId, id);
+  return result.changes > 0 ? getSchedule(deviceId, id) : null;
+}
+
+/**
+ * Delete a schedule
+ */
+function deleteSchedule(deviceId, id) {
+  return db.prepare('DELETE FROM schedules WHERE device_id = ? AND id = ?').run(deviceId, id).changes > 0;
+}
+
+/*****************************************************************
+ * AUTONOMOUS STATE
+ *****************************************************************/
+
+/**
+ * Get the saved autonomous mode state of a device, or null
+ */
+function getAutonomousState(deviceId) {
+  const row = db.prepare('SELECT * FROM autonomous_state WHERE device_id = ?').get(deviceId);
+  if (!row) {
+    return null;
+  }
+
+  return {
+    lastActivationTime: row.last_activation_time,
+    session: row.session ? JSON.parse(row.session) : null,
+    halted: row.halted ? JSON.parse(row.halted) : null,
+    lastSession: row.last_session ? JSON.parse(row.last_session) : null
+  };
+}
+
+/**
+ * Save the autonomous mode state of a device
+ */
+function saveAutonomousState(deviceId, { lastActivationTime, session, halted, lastSession = null }) {
+  const stmt = db.prepare(`
+    INSERT INTO autonomous_state (device_id, last_activation_time, session, halted, last_session, updated_at)
+    VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(device_id) DO UPDATE SET
+      last_activation_time = excluded.last_activation_time,
+      session = excluded.session,
+      halted = excluded.halted,
+      last_session = excluded.last_session,
+      updated_at = CURRENT_TIMESTAMP
+  `);
+
+  stmt.run(
+    deviceId,
+    lastActivationTime,
+    session ? JSON.stringify(session) : null,
+    halted ? JSON.stringify(halted) : null,
+    lastSession ? JSON.stringify(lastSession) : null
+  );
+}
+
+/*****************************************************************
+ * PLAY USAGE
+ *****************************************************************/
+
+/**
+ * Milliseconds of play recorded for a device on a local day ('YYYY-MM-DD')
+ */
+function getPlayUsage(deviceId, day) {
+  const row = db.prepare('SELECT used_ms FROM play_usage WHERE device_id = ? AND day = ?').get(deviceId, day);
+  return row ? row.used_ms : 0;
+}
+
+/**
+ * Add play time to a local day; endedAt (ms) is set when a session ends
+ */
+function addPlayUsage(deviceId, day, usedMs, endedAt = null) {
+  const stmt = db.prepare(`
+    INSERT INTO play_usage (device_id, day, used_ms, last_ended_at)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(device_id, day) DO UPDATE SET
+      used_ms = used_ms + excluded.used_ms,
+      last_ended_at = COALESCE(excluded.last_ended_at, last_ended_at)
+  `);
+
+  stmt.run(deviceId, day, Math.max(0, Math.round(usedMs)), endedAt);
+}
+
+/**
+ * When the device's last play session ended (ms), or null
+ */
+function getLastPlayEnd(deviceId) {
+  const row = db.prepare('SELECT MAX(last_ended_at) AS ended FROM play_usage WHERE device_id = ?').get(deviceId);
+  return row?.ended ?? null;
+}
+
+/*****************************************************************
+ * PLAY SESSIONS
+ *****************************************************************/
+
+/**
+ * Convert a play_sessions row to the API shape
+ */
+function toPlaySession(row) {
+  return {
+    id: row.id,
+    trigger: row.trigger_type,
+    startedBy: row.started_by,
+    startedAt: row.started_at,
+    endedAt: row.ended_at,
+    durationMs: row.duration_ms,
+    endReason: row.end_reason
+  };
+}
+
+/**
+ * Record a finished play session (times in ms)
+ */
+function recordPlaySession(deviceId, { trigger, startedBy = null, startedAt, endedAt, endReason }) {
+  const stmt = db.prepare(`
+    INSERT INTO play_sessions (device_id, trigger_type, started_by, started_at, ended_at, duration_ms, end_reason)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const result = stmt.run(deviceId, trigger, startedBy, startedAt, endedAt, Math.max(0, endedAt - startedAt), endReason);
+  return result.lastInsertRowid;
+}
+
+/**
+ * Play sessions of a device, newest first; before (ms) pages back through older ones
+ */
+function getPlaySessions(deviceId, { limit = 50, before = null } = {}) {
+  const rows = db.prepare(`
+    SELECT * FROM play_sessions
+    WHERE device_id = ? AND (? IS NULL OR started_at < ?)
+    ORDER BY started_at DESC
+    LIMIT ?
+  `).all(deviceId, before, before, limit);
+
+  return rows.map(toPlaySession);
+}
+
+/**
+ * Play sessions of a device that ended at or after since (ms), oldest first
+ */
+function getPlaySessionsSince(deviceId, since) {
+  const rows = db.prepare(`
+    SELECT * FROM play_sessions
+    WHERE device_id = ? AND ended_at >= ?
+    ORDER BY started_at
+  `).all(deviceId, since);
+
+  return rows.map(toPlaySession);
+}
+
+/*****************************************************************
+ * PATTERNS
+ *****************************************************************/
+
+/**
+ * Convert a patterns row to the API shape (commands only if selected)
+ */
+function toPattern(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    durationMs: row.duration_ms,
+    commandCount: row.command_count,
+    ...(row.commands && { commands: JSON.parse(row.commands) }),
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * List the saved patterns of a device, newest first (without their commands)
+ */
+function getPatterns(deviceId) {
+  const stmt = db.prepare(`
+    SELECT id, name, duration_ms, json_array_length(commands) AS command_count,
+      created_by, created_at, updated_at
+    FROM patterns
+    WHERE device_id = ?
+    ORDER BY created_at DESC, id DESC
+  `);
+
+  return stmt.all(deviceId).map(toPattern);
+}
+
+/**
+ * Get one pattern of a device, including its commands
+ */
+function getPattern(deviceId, id) {
+  const stmt = db.prepare(`
+    SELECT *, json_array_length(commands) AS command_count
+    FROM patterns
+    WHERE device_id = ? AND id = ?
+  `);
+
+  const row = stmt.get(deviceId, id);
+  return row ? toPattern(row) : null;
+}
+
+/**
+ * Save a recorded pattern
+ */
+function createPattern(deviceId, { name, commands, durationMs, createdBy = null }) {
+  const stmt = db.prepare(`
+    INSERT INTO patterns (device_id, name, commands, duration_ms, created_by)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+
+  const result = stmt.run(deviceId, name.trim(), JSON.stringify(commands), durationMs, createdBy);
+  return getPattern(deviceId, result.lastInsertRowid);
+}
+
+/**
+ * Rename a pattern. Returns null if the pattern doesn't exist.
+ */
+function renamePattern(deviceId, id, name) {
+  const stmt = db.prepare(`
+    UPDATE patterns
+    SET name = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE device_id = ? AND id = ?
+  `);
+
+  return stmt.run(name.trim(), deviceId, id).changes > 0 ? getPattern(deviceId, id) : null;
+}
+
+/**
+ * Delete a pattern (autonomous mode falls back to the built-in routine)
+ */
+function deletePattern(deviceId, id) {
+  return db.prepare('DELETE FROM patterns WHERE device_id = ? AND id = ?').run(deviceId, id).changes > 0;
+}
+
+/*****************************************************************
+ * SETTINGS
+ *****************************************************************/
+
 /**
  * Get settings for a user
  */
-function getSettings(userId = 'jasmi') {
+function getSettings(userId) {
   const stmt = db.prepare(`
     SELECT 
       notifications_enabled,
@@ -78,6 +1136,19 @@ function getSettings(userId = 'jasmi') {
       trigger_type,
       time_interval,
       session_duration,
+      autonomous_pattern_id,
+      gamepad_mapping,
+      timezone,
+      daily_budget_minutes,
+      rest_minutes,
+      budget_enforcement,
+      presence,
+      cat_tracking,
+      tracking_distance,
+      engagement_grace_seconds,
+      max_session_minutes,
+      takeover_idle_seconds,
+      strategy_weights,
       updated_at
     FROM settings 
     WHERE user_id = ?
@@ -96,20 +1167,51 @@ function getSettings(userId = 'jasmi') {
     triggerType: settings.trigger_type,
     timeInterval: settings.time_interval,
     sessionDuration: settings.session_duration,
+    autonomousPatternId: settings.autonomous_pattern_id,
+    gamepadMapping: {
+      ...DEFAULT_GAMEPAD_MAPPING,
+      ...(settings.gamepad_mapping && JSON.parse(settings.gamepad_mapping))
+    },
+    timezone: settings.timezone || DEFAULT_TIMEZONE,
+    dailyBudgetMinutes: settings.daily_budget_minutes,
+    restMinutes: settings.rest_minutes,
+    budgetEnforcement: settings.budget_enforcement,
+    presence: settings.presence,
+    catTracking: Boolean(settings.cat_tracking),
+    trackingDistance: settings.tracking_distance,
+    engagementGraceSeconds: settings.engagement_grace_seconds,
+    maxSessionMinutes: settings.max_session_minutes,
+    takeoverIdleSeconds: settings.takeover_idle_seconds,
+    strategyWeights: settings.strategy_weights ? JSON.parse(settings.strategy_weights) : null,
     updatedAt: settings.updated_at
   };
 }
 
 /**
  * Update settings for a user
+ * Every field is written: missing ones fall back to their defaults, so pass
+ * the stored settings merged with the changes to update only some of them.
  */
-function updateSettings(userId = 'jasmi', settings) {
+function updateSettings(userId, settings) {
   const {
     notificationsEnabled,
     autonomousModeEnabled,
     triggerType,
     timeInterval,
-    sessionDuration
+    sessionDuration,
+    autonomousPatternId = null,
+    gamepadMapping = null,
+    timezone = null,
+    dailyBudgetMinutes = 0,
+    restMinutes = 0,
+    budgetEnforcement = 'warn',
+    presence = 'home',
+    catTracking = false,
+    trackingDistance = 25,
+    engagementGraceSeconds = 0,
+    maxSessionMinutes = 0,
+    takeoverIdleSeconds = 60,
+    strategyWeights = null
   } = settings;
 
   // Save current settings to history before updating
@@ -131,6 +1233,19 @@ function updateSettings(userId = 'jasmi', settings) {
       trigger_type = ?,
       time_interval = ?,
       session_duration = ?,
+      autonomous_pattern_id = ?,
+      gamepad_mapping = ?,
+      timezone = ?,
+      daily_budget_minutes = ?,
+      rest_minutes = ?,
+      budget_enforcement = ?,
+      presence = ?,
+      cat_tracking = ?,
+      tracking_distance = ?,
+      engagement_grace_seconds = ?,
+      max_session_minutes = ?,
+      takeover_idle_seconds = ?,
+      strategy_weights = ?,
       updated_at = CURRENT_TIMESTAMP
     WHERE user_id = ?
   `);
@@ -141,6 +1256,23 @@ function updateSettings(userId = 'jasmi', settings) {
     triggerType,
     timeInterval,
     sessionDuration,
+    autonomousPatternId,
+    gamepadMapping && JSON.stringify({
+      stick: gamepadMapping.stick,
+      toggleLaser: gamepadMapping.toggleLaser,
+      center: gamepadMapping.center
+    }),
+    timezone,
+    dailyBudgetMinutes,
+    restMinutes,
+    budgetEnforcement,
+    presence,
+    catTracking ? 1 : 0,
+    trackingDistance,
+    engagementGraceSeconds,
+    maxSessionMinutes,
+    takeoverIdleSeconds,
+    strategyWeights && JSON.stringify(strategyWeights),
     userId
   );
 
@@ -154,8 +1286,13 @@ function validateSettings(settings) {
   const errors = [];
 
   // Validate trigger type
-  if (!['detection', 'interval'].includes(settings.triggerType)) {
-    errors.push('Invalid trigger type. Must be "detection" or "interval"');
+  if (!['detection', 'interval', 'schedule'].includes(settings.triggerType)) {
+    errors.push('Invalid trigger type. Must be "detection", "interval" or "schedule"');
+  }
+
+  // Validate timezone (null means the server's timezone)
+  if (settings.timezone !== undefined && settings.timezone !== null && !isValidTimeZone(settings.timezone)) {
+    errors.push('Unknown timezone');
   }
 
   // Validate time interval
@@ -168,6 +1305,85 @@ function validateSettings(settings) {
     errors.push('Session duration must be between 1 and 30 minutes');
   }
 
+  // Validate presence ('auto' follows presence schedules)
+  if (settings.presence !== undefined && !PRESENCE_SETTINGS.includes(settings.presence)) {
+    errors.push('Presence must be "auto", "home", "away" or "sleeping"');
+  }
+
+  // Validate play budget (0 means no limit / no rest)
+  if (settings.dailyBudgetMinutes !== undefined &&
+      (!Number.isInteger(settings.dailyBudgetMinutes) || settings.dailyBudgetMinutes < 0 || settings.dailyBudgetMinutes > 1440)) {
+    errors.push('Daily play budget must be between 0 and 1440 minutes');
+  }
+  if (settings.restMinutes !== undefined &&
+      (!Number.isInteger(settings.restMinutes) || settings.restMinutes < 0 || settings.restMinutes > 720)) {
+    errors.push('Rest between sessions must be between 0 and 720 minutes');
+  }
+  if (settings.budgetEnforcement !== undefined && !['warn', 'block'].includes(settings.budgetEnforcement)) {
+    errors.push('Budget enforcement must be "warn" or "block"');
+  }
+
+  // Validate adaptive session length (0 turns each part off)
+  if (settings.engagementGraceSeconds !== undefined &&
+      (!Number.isInteger(settings.engagementGraceSeconds) || settings.engagementGraceSeconds < 0 ||
+        settings.engagementGraceSeconds > 900)) {
+    errors.push('Engagement grace period must be between 0 and 900 seconds');
+  }
+  if (settings.maxSessionMinutes !== undefined &&
+      (!Number.isInteger(settings.maxSessionMinutes) || settings.maxSessionMinutes < 0 || settings.maxSessionMinutes > 120)) {
+    errors.push('Maximum session length must be between 0 and 120 minutes');
+  } else if (settings.maxSessionMinutes > 0 && settings.maxSessionMinutes < settings.sessionDuration) {
+    errors.push('Maximum session length must not be shorter than the session duration');
+  }
+
+  // Validate how long manual control keeps an autonomous session paused
+  if (settings.takeoverIdleSeconds !== undefined &&
+      (!Number.isInteger(settings.takeoverIdleSeconds) || settings.takeoverIdleSeconds < 10 ||
+        settings.takeoverIdleSeconds > 600)) {
+    errors.push('Manual takeover idle time must be between 10 and 600 seconds');
+  }
+
+  // Validate play strategy weights (null means every strategy's default weight)
+  if (settings.strategyWeights !== undefined && settings.strategyWeights !== null) {
+    const weights = settings.strategyWeights;
+    if (typeof weights !== 'object' || Array.isArray(weights)) {
+      errors.push('Strategy weights must map strategy ids to weights');
+    } else if (Object.entries(weights).some(([id, weight]) =>
+      !STRATEGY_ID.test(id) || !Number.isInteger(weight) || weight < 0 || weight > 10)) {
+      errors.push('Strategy weights must be whole numbers from 0 to 10');
+    }
+  }
+
+  // Validate cat tracking distance (percent of the camera frame)
+  if (settings.trackingDistance !== undefined &&
+      (!Number.isInteger(settings.trackingDistance) || settings.trackingDistance < 5 || settings.trackingDistance > 60)) {
+    errors.push('Tracking distance must be between 5 and 60 percent of the frame');
+  }
+
+  // Validate autonomous pattern (null means the device's built-in routine)
+  if (settings.autonomousPatternId !== undefined && settings.autonomousPatternId !== null) {
+    const pattern = Number.isInteger(settings.autonomousPatternId) &&
+      db.prepare('SELECT id FROM patterns WHERE id = ?').get(settings.autonomousPatternId);
+    if (!pattern) {
+      errors.push('Autonomous pattern not found');
+    }
+  }
+
+  // Validate gamepad mapping (null means the defaults)
+  if (settings.gamepadMapping !== undefined && settings.gamepadMapping !== null) {
+    const { stick, toggleLaser, center } = settings.gamepadMapping;
+    const isButton = (value) => Number.isInteger(value) && value >= 0 && value < GAMEPAD_BUTTON_COUNT;
+
+    if (!GAMEPAD_STICKS.includes(stick)) {
+      errors.push('Gamepad stick must be "left" or "right"');
+    }
+    if (!isButton(toggleLaser) || !isButton(center)) {
+      errors.push(`Gamepad buttons must be button numbers from 0 to ${GAMEPAD_BUTTON_COUNT - 1}`);
+    } else if (toggleLaser === center) {
+      errors.push('Laser toggle and center must use different gamepad buttons');
+    }
+  }
+
   return {
     valid: errors.length === 0,
     errors
@@ -177,7 +1393,7 @@ function validateSettings(settings) {
 /**
  * Get configuration history
  */
-function getConfigurationHistory(userId = 'jasmi', limit = 10) {
+function getConfigurationHistory(userId, limit = 10) {
   const stmt = db.prepare(`
     SELECT settings_snapshot, changed_at
     FROM configuration_history
@@ -205,6 +1421,52 @@ initializeDatabase();
 
 module.exports = {
   db,
+  createUser,
+  getUserById,
+  getUserByUsername,
+  countUsers,
+  getDeviceOwner,
+  createAuthSession,
+  getAuthSessionUser,
+  deleteAuthSession,
+  createGuestToken,
+  getGuestTokens,
+  getActiveGuestToken,
+  revokeGuestToken,
+  createDevice,
+  getDevice,
+  getDevices,
+  addDeviceKey,
+  getActiveDeviceSecrets,
+  revokeDeviceKey,
+  useDeviceNonce,
+  getCalibration,
+  saveCalibration,
+  getCalibrationHistory,
+  getCalibrationHistoryEntry,
+  getNoGoZones,
+  getNoGoZone,
+  createNoGoZone,
+  updateNoGoZone,
+  deleteNoGoZone,
+  getSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  getAutonomousState,
+  saveAutonomousState,
+  getPlayUsage,
+  addPlayUsage,
+  getLastPlayEnd,
+  recordPlaySession,
+  getPlaySessions,
+  getPlaySessionsSince,
+  getPatterns,
+  getPattern,
+  createPattern,
+  renamePattern,
+  deletePattern,
   getSettings,
   updateSettings,
   validateSettings,
@@ -0,0 +1,112 @@
+/**
+ * Signed requests from the Raspberry Pi
+ *
+ * The Pi signs each detection callback with one of its device keys:
+ *   X-CCLT-Device:    device id
+ *   X-CCLT-Timestamp: unix time in seconds
+ *   X-CCLT-Nonce:     random string, never reused
+ *   X-CCLT-Signature: hex HMAC-SHA256 of "<timestamp>.<nonce>.<raw body>"
+ */
+const crypto = require('crypto');
+
+const { getActiveDeviceSecrets, useDeviceNonce } = require('./database');
+const { signPayload, buildSignatureHeaders } = require('./device-signing');
+
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000; // 5 minutes
+const KEY_ROTATION_GRACE_MS = 24 * 60 * 60 * 1000; // old keys keep working for a day
+
+/**
+ * Generate a new device secret
+ */
+function generateDeviceSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Compare two hex signatures in constant time
+ */
+function signaturesMatch(expected, actual) {
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  const actualBuffer = Buffer.from(actual, 'hex');
+  return expectedBuffer.length === actualBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, actualBuffer);
+}
+
+/**
+ * Check the signature headers of a request.
+ * Returns { valid: true, deviceId } or { valid: false, error }.
+ */
+function verifyDeviceRequest(req) {
+  const deviceId = req.get('X-CCLT-Device');
+  const timestamp = req.get('X-CCLT-Timestamp');
+  const nonce = req.get('X-CCLT-Nonce');
+  const signature = req.get('X-CCLT-Signature');
+
+  if (!deviceId || !timestamp || !nonce || !signature) {
+    return { valid: false, error: 'Missing signature headers' };
+  }
+
+  const now = Date.now();
+  const sentAt = Number(timestamp) * 1000;
+  if (!Number.isFinite(sentAt) || Math.abs(now - sentAt) > MAX_CLOCK_SKEW_MS) {
+    return { valid: false, error: 'Stale or invalid timestamp' };
+  }
+
+  if (!/^[0-9a-f]+$/i.test(signature)) {
+    return { valid: false, error: 'Invalid signature' };
+  }
+
+  const rawBody = req.rawBody ? req.rawBody.toString('utf8') : '';
+  const secrets = getActiveDeviceSecrets(deviceId);
+  const matched = secrets.some(secret =>
+    signaturesMatch(signPayload(secret, timestamp, nonce, rawBody), signature)
+  );
+
+  if (!matched) {
+    return { valid: false, error: 'Invalid signature' };
+  }
+
+  // Nonces live in the database, so a restart doesn't open a replay window
+  if (!useDeviceNonce(deviceId, nonce, sentAt + MAX_CLOCK_SKEW_MS)) {
+    return { valid: false, error: 'Replayed request' };
+  }
+
+  return { valid: true, deviceId };
+}
+
+/**
+ * Reject requests that aren't signed by a registered device.
+ * Sets req.deviceId on success.
+ */
+function requireDeviceSignature(req, res, next) {
+  const result = verifyDeviceRequest(req);
+
+  if (!result.valid) {
+    console.warn(`Rejected unsigned device request: ${result.error}`);
+    return res.status(401).json({
+      status: 'error',
+      error: 'Device authentication failed',
+      details: result.error
+    });
+  }
+
+  req.deviceId = result.deviceId;
+  next();
+}
+
+/**
+ * express.json() verify hook - keeps the raw body around for signature checks
+ */
+function captureRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+module.exports = {
+  KEY_ROTATION_GRACE_MS,
+  generateDeviceSecret,
+  signPayload,
+  buildSignatureHeaders,
+  verifyDeviceRequest,
+  requireDeviceSignature,
+  captureRawBody
+};
@@ -0,0 +1,37 @@
+/**
+ * Request signing for the Raspberry Pi's detection callbacks
+ *
+ * Kept free of other backend modules so the simulator can sign with it too.
+ * Signature: hex HMAC-SHA256 of "<timestamp>.<nonce>.<raw body>" with a device key.
+ */
+const crypto = require('crypto');
+
+/**
+ * Sign a request body the same way the Pi does
+ */
+function signPayload(secret, timestamp, nonce, rawBody) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${nonce}.${rawBody}`)
+    .digest('hex');
+}
+
+/**
+ * Build the signature headers for a request body
+ */
+function buildSignatureHeaders(deviceId, secret, rawBody) {
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const nonce = crypto.randomBytes(16).toString('hex');
+
+  return {
+    'X-CCLT-Device': deviceId,
+    'X-CCLT-Timestamp': timestamp,
+    'X-CCLT-Nonce': nonce,
+    'X-CCLT-Signature': signPayload(secret, timestamp, nonce, rawBody)
+  };
+}
+
+module.exports = {
+  signPayload,
+  buildSignatureHeaders
+};
@@ -0,0 +1,389 @@
+/**
+ * Drives the laser servos through the Flask server
+ * Adds absolute pan/tilt positioning on top of Flask's relative steps
+ */
+const axios = require('axios');
+
+const STEP_DEGREES = Number(process.env.SERVO_STEP_DEGREES) || 5;
+const ANGLE_MIN = 0;
+const ANGLE_MAX = 180;
+const MOVE_TICK_MS = 50;
+const MAX_MOVE_ITERATIONS = 400;
+// Steps per velocity command at full deflection, and how long a leftover
+// fraction of a step is kept before the stick is considered released
+const VELOCITY_MAX_STEPS = 2;
+const VELOCITY_CARRY_MS = 500;
+const EASINGS = {
+  linear: (t) => t,
+  'ease-in': (t) => t * t,
+  'ease-out': (t) => t * (2 - t),
+  'ease-in-out': (t) => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2)
+};
+
+// Which way each axis moves for a positive angle change
+const AXES = {
+  pan: { axis: 'x', increase: 'right', decrease: 'left' },
+  tilt: { axis: 'y', increase: 'up', decrease: 'down' }
+};
+const OPPOSITE = { left: 'right', right: 'left', up: 'down', down: 'up' };
+
+/**
+ * Build an Error with a code the routes can map to a status
+ */
+function laserError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class LaserController {
+  constructor(getFlaskUrlFunc, getZoneCheckFunc = () => null, isHaltedFunc = () => false) {
+    this.getFlaskUrl = getFlaskUrlFunc;
+    // Returns a position => zone|null check, or null when there are no no-go zones
+    this.getZoneCheck = getZoneCheckFunc;
+    // True while an emergency stop is in effect - no step goes out then
+    this.isHalted = isHaltedFunc;
+    // Bumped on every absolute move so a newer target cancels an older one
+    this.moveId = 0;
+    // Flipped per axis if a step turns out to move the other way
+    this.inverted = { pan: false, tilt: false };
+    // Fractional steps left over from velocity commands, and the last velocity per axis
+    this.velocityCarry = { x: 0, y: 0 };
+    this.lastVelocity = { x: 0, y: 0 };
+    this.lastVelocityTime = 0;
+
+    console.log('Laser Controller initialized');
+  }
+
+  /**
+   * Get the raw /status data from Flask
+   */
+  async getStatus() {
+    const response = await axios.get(`${this.getFlaskUrl()}/status`, { timeout: 5000 });
+    return response.data;
+  }
+
+  /**
+   * Read the current pan/tilt angles from Flask /status
+   */
+  async getPosition() {
+    const data = await this.getStatus();
+    const pan = data.current_pan ?? data.details?.current_pan;
+    const tilt = data.current_tilt ?? data.details?.current_tilt;
+
+    if (typeof pan !== 'number' || typeof tilt !== 'number') {
+      throw laserError('Flask status did not report pan/tilt', 'POSITION_UNAVAILABLE');
+    }
+
+    return { pan, tilt };
+  }
+
+  /**
+   * Switch the laser on or off
+   */
+  async setLaser(on) {
+    const response = await axios.get(`${this.getFlaskUrl()}/${on ? 'on' : 'off'}`, { timeout: 5000 });
+    return response.data;
+  }
+
+  /**
+   * Throw if an emergency stop is in effect
+   */
+  assertNotHalted() {
+    if (this.isHalted()) {
+      throw laserError('Emergency stop is active - re-arm the laser first', 'HALTED');
+    }
+  }
+
+  /**
+   * Throw if a position lies inside a no-go zone
+   */
+  assertAllowed(position, check) {
+    const zone = check ? check(position) : null;
+    if (zone) {
+      const error = laserError(`Blocked by no-go zone "${zone.name}"`, 'NO_GO_ZONE');
+      error.zone = { id: zone.id, name: zone.name };
+      throw error;
+    }
+  }
+
+  /**
+   * Where a relative step is expected to land
+   */
+  predictStep(position, axis, direction) {
+    const axisName = axis === 'x' ? 'pan' : 'tilt';
+    const sign = direction === AXES[axisName].increase ? 1 : -1;
+    const change = (this.inverted[axisName] ? -sign : sign) * STEP_DEGREES;
+    return { ...position, [axisName]: position[axisName] + change };
+  }
+
+  /**
+   * Move one relative step, refusing to enter a no-go zone.
+   * If the step lands in a zone anyway (axis direction guessed wrong),
+   * it is undone and the guess corrected.
+   */
+  async guardedStep(axis, direction) {
+    this.assertNotHalted();
+    const check = this.getZoneCheck();
+    if (!check) {
+      return this.step(axis, direction);
+    }
+
+    const before = await this.getPosition();
+    const predicted = this.predictStep(before, axis, direction);
+    this.assertAllowed(predicted, check);
+
+    const data = await this.step(axis, direction);
+    const after = await this.getPosition();
+
+    if (check(after)) {
+      const axisName = axis === 'x' ? 'pan' : 'tilt';
+      await this.step(axis, OPPOSITE[direction]);
+      if (Math.sign(after[axisName] - before[axisName]) === -Math.sign(predicted[axisName] - before[axisName])) {
+        this.inverted[axisName] = !this.inverted[axisName];
+        console.log(`Laser ${axisName} axis direction inverted`);
+      }
+      this.assertAllowed(after, check);
+    }
+
+    return data;
+  }
+
+  /**
+   * Center the laser. If center lies in a no-go zone the laser is
+   * switched off instead of being left there.
+   */
+  async center() {
+    const response = await axios.get(`${this.getFlaskUrl()}/center`, { timeout: 10000 });
+
+    const check = this.getZoneCheck();
+    if (check) {
+      const position = await this.getPosition();
+      if (check(position)) {
+        await axios.get(`${this.getFlaskUrl()}/off`, { timeout: 5000 });
+        this.assertAllowed(position, check);
+      }
+    }
+
+    return response.data;
+  }
+
+  /**
+   * Move one relative step on an axis: 'x' left|right, 'y' up|down
+   */
+  async step(axis, direction) {
+    const response = await axios.get(`${this.getFlaskUrl()}/move-${axis}`, {
+      params: { direction },
+      timeout: 1000
+    });
+    return response.data;
+  }
+
+  /**
+   * Step an axis toward a positive or negative angle change
+   */
+  async stepAngle(axisName, sign) {
+    const { axis, increase, decrease } = AXES[axisName];
+    const positive = this.inverted[axisName] ? sign < 0 : sign > 0;
+    await this.step(axis, positive ? increase : decrease);
+  }
+
+  /**
+   * Move both axes at once with a proportional velocity.
+   * dx is right-positive and dy down-positive (screen coordinates), each -1..1.
+   * The step count scales with the deflection and rounds to the nearest
+   * step, so a half push moves right away. What rounding leaves over is
+   * carried to the next command, so a light push still moves, just less often.
+   */
+  async moveVelocity(dx, dy) {
+    const now = Date.now();
+    if (now - this.lastVelocityTime > VELOCITY_CARRY_MS) {
+      this.velocityCarry = { x: 0, y: 0 };
+      this.lastVelocity = { x: 0, y: 0 };
+    }
+    this.lastVelocityTime = now;
+
+    const velocity = { x: dx, y: dy };
+    const directions = { x: ['left', 'right'], y: ['up', 'down'] };
+    const steps = {};
+
+    for (const axis of ['x', 'y']) {
+      // Reversing direction drops whatever was carried the other way
+      if (Math.sign(this.lastVelocity[axis]) === -Math.sign(velocity[axis])) {
+        this.velocityCarry[axis] = 0;
+      }
+      this.lastVelocity[axis] = velocity[axis];
+      this.velocityCarry[axis] += velocity[axis] * VELOCITY_MAX_STEPS;
+      const whole = Math.round(Math.abs(this.velocityCarry[axis]));
+      steps[axis] = whole === 0 ? 0 : whole * Math.sign(this.velocityCarry[axis]);
+      this.velocityCarry[axis] -= steps[axis];
+    }
+
+    // Each axis steps in sequence, both axes in parallel
+    await Promise.all(['x', 'y'].map(async (axis) => {
+      const direction = directions[axis][steps[axis] > 0 ? 1 : 0];
+      for (let i = 0; i < Math.abs(steps[axis]); i++) {
+        await this.guardedStep(axis, direction);
+      }
+    }));
+
+    return { steps };
+  }
+
+  /**
+   * Validate a velocity move request
+   */
+  validateVelocity({ dx, dy }) {
+    const errors = [];
+
+    for (const [name, value] of Object.entries({ dx, dy })) {
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < -1 || value > 1) {
+        errors.push(`${name} must be a number between -1 and 1`);
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Validate an absolute move request
+   */
+  validateTarget({ pan, tilt, speed, easing }) {
+    const errors = [];
+
+    for (const [name, value] of Object.entries({ pan, tilt })) {
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < ANGLE_MIN || value > ANGLE_MAX) {
+        errors.push(`${name} must be a number between ${ANGLE_MIN} and ${ANGLE_MAX}`);
+      }
+    }
+
+    if (speed !== undefined && (typeof speed !== 'number' || speed <= 0 || speed > 360)) {
+      errors.push('speed must be between 0 and 360 degrees per second');
+    }
+
+    if (easing !== undefined && !EASINGS[easing]) {
+      errors.push(`easing must be one of: ${Object.keys(EASINGS).join(', ')}`);
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Abandon the absolute move in progress, if any
+   */
+  cancelMove() {
+    this.moveId++;
+  }
+
+  /**
+   * Move to absolute pan/tilt angles.
+   * Without a speed the laser steps there as fast as Flask allows; with a
+   * speed (degrees/second) it follows an eased path from start to target.
+   * Resolves with the final position read back from Flask; throws
+   * NO_GO_ZONE if the target or a step on the way is inside a no-go zone.
+   */
+  async moveTo({ pan, tilt }, { speed, easing = 'linear' } = {}) {
+    const moveId = ++this.moveId;
+    const target = { pan, tilt };
+    const check = this.getZoneCheck();
+    this.assertAllowed(target, check);
+    const start = await this.getPosition();
+    const ease = EASINGS[easing];
+
+    const distance = Math.max(Math.abs(pan - start.pan), Math.abs(tilt - start.tilt));
+    const durationMs = speed ? (distance / speed) * 1000 : 0;
+    const startedAt = Date.now();
+
+    let position = start;
+    let steps = 0;
+    let previousError = null;
+
+    for (let i = 0; i < MAX_MOVE_ITERATIONS; i++) {
+      if (moveId !== this.moveId) {
+        return { position, target, reached: false, superseded: true, steps };
+      }
+
+      // Where the eased path says we should be by now
+      const progress = durationMs > 0 ? ease(Math.min(1, (Date.now() - startedAt) / durationMs)) : 1;
+      const setpoint = {
+        pan: start.pan + (pan - start.pan) * progress,
+        tilt: start.tilt + (tilt - start.tilt) * progress
+      };
+
+      const error = {
+        pan: setpoint.pan - position.pan,
+        tilt: setpoint.tilt - position.tilt
+      };
+      const finalError = {
+        pan: pan - position.pan,
+        tilt: tilt - position.tilt
+      };
+
+      if (progress === 1 &&
+          Math.abs(finalError.pan) <= STEP_DEGREES / 2 &&
+          Math.abs(finalError.tilt) <= STEP_DEGREES / 2) {
+        return { position, target, reached: true, steps };
+      }
+
+      // A step that made things worse means that axis is wired the other way
+      if (previousError) {
+        for (const axisName of Object.keys(AXES)) {
+          if (previousError[axisName] !== 0 &&
+              Math.abs(finalError[axisName]) > Math.abs(previousError[axisName])) {
+            this.inverted[axisName] = !this.inverted[axisName];
+            console.log(`Laser ${axisName} axis direction inverted`);
+          }
+        }
+      }
+
+      const signs = {};
+      const stepped = { pan: 0, tilt: 0 };
+      const next = { ...position };
+      for (const axisName of Object.keys(AXES)) {
+        // Never step away from the target, even if the path is lagging behind
+        if (Math.abs(error[axisName]) > STEP_DEGREES / 2 &&
+            Math.sign(error[axisName]) === Math.sign(finalError[axisName])) {
+          signs[axisName] = Math.sign(error[axisName]);
+          stepped[axisName] = finalError[axisName];
+          next[axisName] += signs[axisName] * STEP_DEGREES;
+        }
+      }
+
+      const axesToStep = Object.keys(signs);
+      if (axesToStep.length > 0) {
+        this.assertNotHalted();
+        this.assertAllowed(next, check);
+        await Promise.all(axesToStep.map(axisName => this.stepAngle(axisName, signs[axisName])));
+        steps += axesToStep.length;
+        position = await this.getPosition();
+        if (check && check(position)) {
+          // Landed in a zone anyway - back out before reporting it
+          await Promise.all(axesToStep.map(axisName => this.stepAngle(axisName, -signs[axisName])));
+          this.assertAllowed(position, check);
+        }
+        previousError = stepped;
+      } else {
+        previousError = null;
+        await delay(MOVE_TICK_MS);
+      }
+    }
+
+    return { position, target, reached: false, steps };
+  }
+}
+
+module.exports = {
+  LaserController,
+  laserError,
+  STEP_DEGREES,
+  ANGLE_MIN,
+  ANGLE_MAX
+};
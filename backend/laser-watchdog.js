@@ -0,0 +1,154 @@
+/**
+ * Dead-man's switch for the laser
+ *
+ * Turns the laser off through Flask /off on its own when:
+ *   - it is on outside an autonomous session and no client heartbeat
+ *     has arrived for HEARTBEAT_TIMEOUT_MS (tab closed, network gone)
+ *   - it has been on continuously for longer than MAX_ON_MS
+ *   - an autonomous session runs past its planned length (session timer never fired)
+ *
+ * The laser state is polled from Flask /status, so it is caught however it was turned on.
+ * Heartbeats are the controlling tab's lease heartbeats and every laser command it sends.
+ */
+const axios = require('axios');
+
+const CHECK_INTERVAL_MS = 2000;
+const HEARTBEAT_TIMEOUT_MS = (Number(process.env.LASER_HEARTBEAT_TIMEOUT_SECONDS) || 15) * 1000;
+const MAX_ON_MS = (Number(process.env.LASER_MAX_ON_MINUTES) || 15) * 60 * 1000;
+const AUTONOMOUS_GRACE_MS = 60 * 1000; // how far past its planned end a session may run
+
+class LaserWatchdog {
+  constructor(getFlaskUrlFunc, onTripFunc) {
+    this.getFlaskUrl = getFlaskUrlFunc;
+    this.onTrip = onTripFunc;
+    // Laser on outside an autonomous session: { since, by }
+    this.manual = null;
+    // Running autonomous session: { startedAt, expectedMs }
+    this.autonomous = null;
+    this.lastHeartbeat = 0;
+    this.lastTrip = null;
+    this.checking = false;
+
+    this.checkTimer = setInterval(() => this.check(), CHECK_INTERVAL_MS);
+
+    console.log('Laser Watchdog initialized');
+  }
+
+  /**
+   * A client turned the laser on
+   */
+  markOn(by) {
+    const now = Date.now();
+    if (!this.manual) {
+      this.manual = { since: now, by };
+    }
+    this.lastHeartbeat = now;
+  }
+
+  /**
+   * The laser was turned off
+   */
+  markOff() {
+    this.manual = null;
+  }
+
+  /**
+   * The controlling client is still there
+   */
+  heartbeat() {
+    this.lastHeartbeat = Date.now();
+  }
+
+  /**
+   * An autonomous session started or ended
+   */
+  setAutonomousSession(expectedMs) {
+    this.autonomous = expectedMs === null ? null : { startedAt: Date.now(), expectedMs };
+    this.manual = null;
+  }
+
+  /**
+   * Poll Flask and trip if the laser has been left on
+   */
+  async check() {
+    if (this.checking || !this.getFlaskUrl()) {
+      return;
+    }
+
+    this.checking = true;
+    try {
+      const now = Date.now();
+
+      if (this.autonomous) {
+        if (now - this.autonomous.startedAt > this.autonomous.expectedMs + AUTONOMOUS_GRACE_MS) {
+          await this.trip('Autonomous session ran past its planned length', 'autonomous');
+        }
+        return;
+      }
+
+      const { data } = await axios.get(`${this.getFlaskUrl()}/status`, { timeout: 2000 });
+      const laserOn = data.laser_on ?? data.details?.laser_on;
+
+      if (!laserOn) {
+        this.manual = null;
+        return;
+      }
+
+      if (!this.manual) {
+        // Turned on some other way - the clock starts now
+        this.manual = { since: now, by: 'unknown' };
+      }
+
+      if (now - this.lastHeartbeat > HEARTBEAT_TIMEOUT_MS) {
+        await this.trip('Controlling client stopped sending heartbeats', this.manual.by);
+      } else if (now - this.manual.since > MAX_ON_MS) {
+        await this.trip('Maximum continuous on-time reached', this.manual.by);
+      }
+    } catch (error) {
+      console.error('Laser watchdog check failed:', error.message);
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * Turn the laser off and report why
+   */
+  async trip(reason, by) {
+    const since = this.autonomous?.startedAt ?? this.manual?.since ?? Date.now();
+    this.lastTrip = {
+      reason,
+      by,
+      onForMs: Date.now() - since,
+      at: new Date().toISOString()
+    };
+    console.warn(`Laser watchdog: ${reason} (turned on by ${by}) - turning laser off`);
+
+    this.manual = null;
+    this.autonomous = null;
+
+    try {
+      await axios.get(`${this.getFlaskUrl()}/off`, { timeout: 5000 });
+    } finally {
+      this.onTrip(this.lastTrip);
+    }
+  }
+
+  getState() {
+    return {
+      laserOn: Boolean(this.manual || this.autonomous),
+      since: this.autonomous?.startedAt ?? this.manual?.since ?? null,
+      by: this.autonomous ? 'autonomous' : this.manual?.by ?? null,
+      lastHeartbeat: this.lastHeartbeat || null,
+      heartbeatTimeoutMs: HEARTBEAT_TIMEOUT_MS,
+      maxOnMs: MAX_ON_MS,
+      lastTrip: this.lastTrip
+    };
+  }
+
+  shutdown() {
+    clearInterval(this.checkTimer);
+  }
+}
+
+module.exports = LaserWatchdog;
@@ -0,0 +1,133 @@
+/**
+ * Replays saved patterns through the LaserController with their original timing
+ * Only one pattern plays at a time; starting another one stops the first.
+ */
+
+const MIN_LOOP_GAP_MS = 500;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class PatternPlayer {
+  constructor(laserController, onChangeFunc) {
+    this.laserController = laserController;
+    this.onChange = onChangeFunc;
+    // Bumped on every play/stop so an older playback loop notices and exits
+    this.playId = 0;
+    this.current = null;
+
+    console.log('Pattern Player initialized');
+  }
+
+  /**
+   * Start playing a pattern (with commands). Resolves when playback ends.
+   */
+  play(pattern, { loop = false, startedBy = null } = {}) {
+    const playId = ++this.playId;
+    this.current = {
+      patternId: pattern.id,
+      name: pattern.name,
+      loop,
+      startedBy,
+      startedAt: Date.now()
+    };
+    console.log(`Playing pattern "${pattern.name}"${loop ? ' on loop' : ''}`);
+    this.notify();
+
+    return this.run(playId, pattern, loop);
+  }
+
+  /**
+   * Play through the commands, once or until stopped
+   */
+  async run(playId, pattern, loop) {
+    do {
+      const startedAt = Date.now();
+
+      for (const command of pattern.commands) {
+        const wait = startedAt + command.t - Date.now();
+        if (wait > 0) {
+          await delay(wait);
+        }
+        if (playId !== this.playId) {
+          return;
+        }
+
+        try {
+          await this.execute(command);
+        } catch (error) {
+          // A blocked or failed step shouldn't end the whole pattern
+          console.error(`Pattern command ${command.type} failed:`, error.message);
+        }
+      }
+
+      // Keep a gap so a pattern with no movement can't spin
+      await delay(Math.max(0, startedAt + pattern.durationMs - Date.now()) || MIN_LOOP_GAP_MS);
+    } while (loop && playId === this.playId);
+
+    if (playId === this.playId) {
+      console.log(`Pattern "${pattern.name}" finished`);
+      this.current = null;
+      this.notify();
+    }
+  }
+
+  /**
+   * Run one recorded command
+   */
+  async execute(command) {
+    switch (command.type) {
+      case 'step':
+        return this.laserController.guardedStep(command.axis, command.direction);
+      case 'move':
+        return this.laserController.moveVelocity(command.dx, command.dy);
+      case 'position':
+        return this.laserController.moveTo(
+          { pan: command.pan, tilt: command.tilt },
+          { speed: command.speed, easing: command.easing }
+        );
+      case 'center':
+        return this.laserController.center();
+      case 'laser':
+        return this.laserController.setLaser(command.on);
+      default:
+        console.warn(`Unknown pattern command: ${command.type}`);
+    }
+  }
+
+  /**
+   * Stop whatever is playing
+   */
+  stop() {
+    if (!this.current) {
+      return false;
+    }
+
+    this.playId++;
+    // A recorded slow move could otherwise keep going after the stop
+    this.laserController.cancelMove();
+    console.log(`Stopped pattern "${this.current.name}"`);
+    this.current = null;
+    this.notify();
+    return true;
+  }
+
+  isPlaying() {
+    return this.current !== null;
+  }
+
+  getState() {
+    return { playing: this.current };
+  }
+
+  notify() {
+    if (this.onChange) {
+      this.onChange(this.getState());
+    }
+  }
+
+  shutdown() {
+    this.stop();
+  }
+}
+
+module.exports = PatternPlayer;
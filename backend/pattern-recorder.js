@@ -0,0 +1,109 @@
+/**
+ * Records manual laser commands per client so they can be saved as a pattern
+ * Each command is stored with t = milliseconds since the recording started
+ */
+
+const MAX_RECORDING_MS = 10 * 60 * 1000; // 10 minutes
+const MAX_RECORDED_COMMANDS = 5000;
+
+class PatternRecorder {
+  constructor() {
+    // clientId -> { startedAt, startedBy, commands }
+    this.recordings = new Map();
+
+    console.log('Pattern Recorder initialized');
+  }
+
+  /**
+   * Start (or restart) recording a client's commands
+   */
+  start(clientId, startedBy) {
+    this.pruneAbandoned();
+    this.recordings.set(clientId, {
+      startedAt: Date.now(),
+      startedBy,
+      commands: []
+    });
+    console.log(`Recording started for ${startedBy}`);
+    return this.getState(clientId);
+  }
+
+  /**
+   * Add a command to the client's recording, if it is recording
+   */
+  record(clientId, command) {
+    const recording = this.recordings.get(clientId);
+    if (!recording) {
+      return;
+    }
+
+    const t = Date.now() - recording.startedAt;
+    if (t > MAX_RECORDING_MS || recording.commands.length >= MAX_RECORDED_COMMANDS) {
+      return;
+    }
+
+    recording.commands.push({ t, ...command });
+  }
+
+  /**
+   * Finish a recording and hand back what was recorded, or null if not recording
+   */
+  stop(clientId) {
+    const recording = this.recordings.get(clientId);
+    if (!recording) {
+      return null;
+    }
+
+    this.recordings.delete(clientId);
+    const durationMs = Math.min(Date.now() - recording.startedAt, MAX_RECORDING_MS);
+    console.log(`Recording stopped for ${recording.startedBy}: ${recording.commands.length} commands`);
+
+    return {
+      commands: recording.commands,
+      durationMs,
+      startedBy: recording.startedBy
+    };
+  }
+
+  /**
+   * Throw a recording away
+   */
+  cancel(clientId) {
+    return this.recordings.delete(clientId);
+  }
+
+  isRecording(clientId) {
+    return this.recordings.has(clientId);
+  }
+
+  /**
+   * Recording state for a client
+   */
+  getState(clientId) {
+    const recording = this.recordings.get(clientId);
+    if (!recording) {
+      return { recording: false };
+    }
+
+    return {
+      recording: true,
+      startedAt: recording.startedAt,
+      commandCount: recording.commands.length,
+      maxDurationMs: MAX_RECORDING_MS
+    };
+  }
+
+  /**
+   * Forget recordings from clients that went away without stopping
+   */
+  pruneAbandoned() {
+    const now = Date.now();
+    for (const [clientId, recording] of this.recordings) {
+      if (now - recording.startedAt > 2 * MAX_RECORDING_MS) {
+        this.recordings.delete(clientId);
+      }
+    }
+  }
+}
+
+module.exports = PatternRecorder;
@@ -0,0 +1,154 @@
+/**
+ * Daily play budget and rest periods
+ *
+ * Adds up how long the laser has been on today - manual and autonomous play
+ * together - and decides whether a new session may start:
+ *   - no more play once settings.dailyBudgetMinutes are used up (0 = no limit)
+ *   - at least settings.restMinutes between the end of one session and the next
+ *
+ * Days run midnight to midnight in the owner's timezone. Turning the laser back
+ * on within SESSION_GAP_MS of turning it off continues the same session.
+ */
+
+const CHECK_INTERVAL_MS = 10 * 1000;
+const SESSION_GAP_MS = 60 * 1000;
+
+class PlayBudget {
+  /**
+   * options:
+   *   getUsage     (day) => ms of play already recorded on day ('YYYY-MM-DD')
+   *   addUsage     (day, ms, endedAt) => void, endedAt set when a session ends
+   *   getLastEnd   () => when the last session ended (ms), or null
+   *   onExhausted  (source) => void, called once when the budget runs out mid-session
+   *   onChange     (state) => void
+   */
+  constructor(getSettingsFunc, options = {}) {
+    this.getSettings = getSettingsFunc;
+    this.getUsage = options.getUsage || (() => 0);
+    this.addUsage = options.addUsage || (() => {});
+    this.onExhausted = options.onExhausted || (() => {});
+    this.onChange = options.onChange || (() => {});
+    // Laser on right now: { source: 'manual'|'autonomous', since }
+    this.running = null;
+    this.lastEndedAt = options.getLastEnd ? options.getLastEnd() : null;
+    this.exhaustedNotified = false;
+
+    this.checkTimer = setInterval(() => this.check(), CHECK_INTERVAL_MS);
+
+    console.log('Play Budget initialized');
+  }
+
+  /**
+   * Today's date as 'YYYY-MM-DD' in the owner's timezone
+   */
+  today(settings) {
+    return new Intl.DateTimeFormat('en-CA', {
+      timeZone: settings?.timezone || undefined,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }).format(new Date());
+  }
+
+  /**
+   * The laser was turned on
+   */
+  start(source) {
+    if (this.running) {
+      return;
+    }
+
+    this.running = { source, since: Date.now() };
+    this.exhaustedNotified = false;
+    this.notify();
+  }
+
+  /**
+   * The laser was turned off - book the time and start the rest period
+   */
+  stop() {
+    if (!this.running) {
+      return;
+    }
+
+    const now = Date.now();
+    this.addUsage(this.today(this.getSettings()), now - this.running.since, now);
+    this.running = null;
+    this.lastEndedAt = now;
+    this.notify();
+  }
+
+  /**
+   * Book the running session's time so far and watch for the budget running out
+   */
+  check() {
+    if (!this.running) {
+      return;
+    }
+
+    try {
+      const now = Date.now();
+      this.addUsage(this.today(this.getSettings()), now - this.running.since, null);
+      this.running.since = now;
+
+      const state = this.getState();
+      if (state.exhausted && !this.exhaustedNotified) {
+        this.exhaustedNotified = true;
+        console.log(`Daily play budget used up during ${this.running.source} play`);
+        this.onExhausted(this.running.source);
+      }
+      this.notify();
+    } catch (error) {
+      console.error('Play budget check failed:', error.message);
+    }
+  }
+
+  /**
+   * Why a new session can't start right now - { code, message } - or null
+   */
+  getBlock() {
+    const state = this.getState();
+
+    if (state.exhausted) {
+      return { code: 'BUDGET_EXHAUSTED', message: 'Daily play budget is used up' };
+    }
+    if (state.restUntil) {
+      const minutes = Math.ceil((state.restUntil - Date.now()) / 60000);
+      return { code: 'RESTING', message: `Resting for another ${minutes} min` };
+    }
+    return null;
+  }
+
+  getState() {
+    const settings = this.getSettings();
+    const now = Date.now();
+    const limitMs = settings?.dailyBudgetMinutes ? settings.dailyBudgetMinutes * 60 * 1000 : null;
+    const usedMs = this.getUsage(this.today(settings)) + (this.running ? now - this.running.since : 0);
+
+    // A short break is not a new session, so it doesn't have to wait out the rest period
+    const restMs = (settings?.restMinutes || 0) * 60 * 1000;
+    const resting = !this.running && this.lastEndedAt !== null && restMs > 0 &&
+      now - this.lastEndedAt > SESSION_GAP_MS && now < this.lastEndedAt + restMs;
+
+    return {
+      dailyBudgetMinutes: settings?.dailyBudgetMinutes || 0,
+      restMinutes: settings?.restMinutes || 0,
+      enforcement: settings?.budgetEnforcement || 'warn',
+      usedMs,
+      remainingMs: limitMs === null ? null : Math.max(0, limitMs - usedMs),
+      exhausted: limitMs !== null && usedMs >= limitMs,
+      restUntil: resting ? this.lastEndedAt + restMs : null,
+      playing: this.running?.source || null
+    };
+  }
+
+  notify() {
+    this.onChange(this.getState());
+  }
+
+  shutdown() {
+    clearInterval(this.checkTimer);
+  }
+}
+
+module.exports = PlayBudget;
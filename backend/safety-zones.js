@@ -0,0 +1,116 @@
+/**
+ * No-go zones the laser must never enter
+ *
+ * Two kinds of zone:
+ *   polygon - { points: [{ x, y }, ...] } drawn on the camera frame (normalized 0..1);
+ *             checked through the device calibration
+ *   angles  - { pan: [min, max], tilt: [min, max] } servo angle ranges; an omitted
+ *             axis covers its whole range
+ */
+const { anglesToPixel } = require('./calibration');
+
+const ZONE_TYPES = ['polygon', 'angles'];
+
+/**
+ * Ray-casting point-in-polygon test
+ */
+function pointInPolygon(point, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    const crosses = (a.y > point.y) !== (b.y > point.y) &&
+      point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x;
+    if (crosses) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Check whether a value lies in an optional [min, max] range
+ */
+function inRange(value, range) {
+  return !range || (value >= range[0] && value <= range[1]);
+}
+
+/**
+ * Validate a zone definition
+ */
+function validateZone({ name, type, definition } = {}, calibration) {
+  const errors = [];
+
+  if (typeof name !== 'string' || name.trim().length === 0 || name.length > 64) {
+    errors.push('Name is required (max 64 characters)');
+  }
+
+  if (!ZONE_TYPES.includes(type)) {
+    errors.push('Invalid zone type. Must be "polygon" or "angles"');
+    return { valid: false, errors };
+  }
+
+  if (type === 'polygon') {
+    const points = definition?.points;
+    if (!Array.isArray(points) || points.length < 3) {
+      errors.push('A polygon zone needs at least 3 points');
+    } else if (points.some(p => typeof p?.x !== 'number' || typeof p?.y !== 'number' ||
+                               p.x < 0 || p.x > 1 || p.y < 0 || p.y > 1)) {
+      errors.push('Polygon points must have x and y between 0 and 1');
+    }
+
+    if (!calibration) {
+      errors.push('Calibrate the laser before drawing zones on the camera view');
+    }
+  }
+
+  if (type === 'angles') {
+    const ranges = ['pan', 'tilt'].filter(axis => definition?.[axis] !== undefined);
+    if (ranges.length === 0) {
+      errors.push('An angle zone needs a pan and/or tilt range');
+    }
+    for (const axis of ranges) {
+      const range = definition[axis];
+      if (!Array.isArray(range) || range.length !== 2 ||
+          range.some(v => typeof v !== 'number') || range[0] > range[1]) {
+        errors.push(`${axis} must be a [min, max] range`);
+      }
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Check whether a pan/tilt position lies inside a zone
+ */
+function zoneContains(zone, position, calibration) {
+  if (zone.type === 'angles') {
+    return inRange(position.pan, zone.definition.pan) &&
+      inRange(position.tilt, zone.definition.tilt);
+  }
+
+  if (zone.type === 'polygon' && calibration) {
+    const point = anglesToPixel(calibration.transform, position);
+    return Boolean(point) && pointInPolygon(point, zone.definition.points);
+  }
+
+  return false;
+}
+
+/**
+ * Find the first enabled zone containing a position, or null
+ */
+function findBlockingZone(position, zones, calibration) {
+  return zones.find(zone => zone.enabled && zoneContains(zone, position, calibration)) || null;
+}
+
+module.exports = {
+  ZONE_TYPES,
+  validateZone,
+  zoneContains,
+  findBlockingZone
+};
@@ -0,0 +1,343 @@
+/**
+ * Play schedules, quiet hours and presence for autonomous mode
+ *
+ * Three kinds of schedule:
+ *   play     - { days: [0-6], times: ['HH:MM', ...] } start a session at each time
+ *              on the listed days (0 = Sunday)
+ *   quiet    - { days: [0-6], start: 'HH:MM', end: 'HH:MM' } no trigger may start a
+ *              session inside the window; an end at or before the start runs past
+ *              midnight into the next day
+ *   presence - { days, start, end, presence } window like quiet hours in which the
+ *              household counts as 'home', 'away' or 'sleeping'
+ *
+ * Presence decides whether autonomous play may run at all: only while everyone is
+ * away. The owner sets it by hand (settings.presence) or leaves it on 'auto' to
+ * follow presence schedules, counting as home outside them.
+ *
+ * All times are wall-clock times in the owner's configured timezone.
+ */
+
+const SCHEDULE_TYPES = ['play', 'quiet', 'presence'];
+const PRESENCE_STATES = ['home', 'away', 'sleeping'];
+const PRESENCE_SETTINGS = ['auto', ...PRESENCE_STATES];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const MAX_CATCH_UP_MS = 5 * 60 * 1000; // slots missed for longer than this (server down) are skipped
+const LOOKAHEAD_MS = 7 * 24 * 60 * 60 * 1000; // every weekly slot comes up within a week
+const MAX_DST_SHIFT_MS = 2 * 60 * 60 * 1000; // no DST change moves the clocks further
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Intl formatters are slow to build, so keep one per timezone
+const formatters = new Map();
+
+/**
+ * Check that a timezone is a valid IANA name, e.g. 'Europe/Helsinki'
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone.length === 0) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock time of a date in a timezone: weekday (0 = Sunday), minutes since
+ * midnight, and the calendar date as year, month (1-12) and date
+ */
+function getLocalTime(date, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+
+  const parts = Object.fromEntries(
+    formatters.get(timeZone).formatToParts(date).map(part => [part.type, part.value])
+  );
+
+  return {
+    day: WEEKDAYS.indexOf(parts.weekday),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    year: Number(parts.year),
+    month: Number(parts.month),
+    date: Number(parts.day)
+  };
+}
+
+/**
+ * Wall-clock reading of a timestamp in a timezone, as if that reading were UTC
+ */
+function wallClockAt(timestamp, timeZone) {
+  const local = getLocalTime(new Date(timestamp), timeZone);
+  return Date.UTC(local.year, local.month - 1, local.date, 0, local.minutes);
+}
+
+/**
+ * The moment (ms timestamp) a wall-clock time comes round in a timezone.
+ * A time skipped by a DST change comes round when the clocks jump past it.
+ */
+function toTimestamp({ year, month, date, minutes }, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, date, 0, minutes);
+  // The UTC offset at a first guess may differ from the one at the answer
+  // around DST changes, so correct twice
+  let timestamp = wallClock;
+  for (let i = 0; i < 2; i++) {
+    timestamp += wallClock - wallClockAt(timestamp, timeZone);
+  }
+  if (wallClockAt(timestamp, timeZone) === wallClock) {
+    return timestamp;
+  }
+
+  // Skipped: the correction ends up on either side of the jump, so narrow it
+  // down to the first minute that reads later than the time
+  let before = timestamp - MAX_DST_SHIFT_MS;
+  let after = timestamp + MAX_DST_SHIFT_MS;
+  while (after - before > 60000) {
+    const middle = before + Math.floor((after - before) / 120000) * 60000;
+    if (wallClockAt(middle, timeZone) < wallClock) {
+      before = middle;
+    } else {
+      after = middle;
+    }
+  }
+  return after;
+}
+
+/**
+ * Calendar date `offset` days after a local date, with its weekday
+ */
+function addDays({ year, month, date }, offset) {
+  const day = new Date(Date.UTC(year, month - 1, date + offset));
+  return {
+    year: day.getUTCFullYear(),
+    month: day.getUTCMonth() + 1,
+    date: day.getUTCDate(),
+    day: day.getUTCDay()
+  };
+}
+
+/**
+ * Next time an 'HH:MM' wall-clock time comes round strictly after `from`
+ */
+function nextOccurrence(time, from, timeZone) {
+  const today = getLocalTime(new Date(from), timeZone);
+  for (let offset = 0; ; offset++) {
+    const timestamp = toTimestamp({ ...addDays(today, offset), minutes: toMinutes(time) }, timeZone);
+    if (timestamp > from) {
+      return timestamp;
+    }
+  }
+}
+
+/**
+ * 'HH:MM' to minutes since midnight
+ */
+function toMinutes(time) {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return Number(hours) * 60 + Number(minutes);
+}
+
+/**
+ * Validate a schedule definition
+ */
+function validateSchedule({ name, type, definition } = {}) {
+  const errors = [];
+
+  if (typeof name !== 'string' || name.trim().length === 0 || name.length > 64) {
+    errors.push('Name is required (max 64 characters)');
+  }
+
+  if (!SCHEDULE_TYPES.includes(type)) {
+    errors.push('Invalid schedule type. Must be "play", "quiet" or "presence"');
+    return { valid: false, errors };
+  }
+
+  const days = definition?.days;
+  if (!Array.isArray(days) || days.length === 0 ||
+      days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+    errors.push('Pick at least one day (0 = Sunday to 6 = Saturday)');
+  }
+
+  if (type === 'play') {
+    const times = definition?.times;
+    if (!Array.isArray(times) || times.length === 0) {
+      errors.push('A play schedule needs at least one time');
+    } else if (times.some(time => !TIME_PATTERN.test(time))) {
+      errors.push('Times must be in 24-hour HH:MM format');
+    }
+  }
+
+  if (type === 'quiet' || type === 'presence') {
+    const label = type === 'quiet' ? 'Quiet hours' : 'A presence schedule';
+    if (!TIME_PATTERN.test(definition?.start) || !TIME_PATTERN.test(definition?.end)) {
+      errors.push(`${label} must have a start and end time in 24-hour HH:MM format`);
+    } else if (definition.start === definition.end) {
+      errors.push(`${label} must not start and end at the same time`);
+    }
+  }
+
+  if (type === 'presence' && !PRESENCE_STATES.includes(definition?.presence)) {
+    errors.push('Presence must be "home", "away" or "sleeping"');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Keep only the fields a schedule of its type uses, with days and times sorted
+ */
+function normalizeDefinition(type, definition) {
+  const days = [...new Set(definition.days)].sort();
+  if (type === 'play') {
+    return { days, times: [...new Set(definition.times)].sort() };
+  }
+  if (type === 'presence') {
+    return { days, start: definition.start, end: definition.end, presence: definition.presence };
+  }
+  return { days, start: definition.start, end: definition.end };
+}
+
+/**
+ * Check whether a quiet or presence window covers a local time
+ */
+function windowContains(definition, { day, minutes }) {
+  const start = toMinutes(definition.start);
+  const end = toMinutes(definition.end);
+
+  if (start < end) {
+    return definition.days.includes(day) && minutes >= start && minutes < end;
+  }
+  // Runs past midnight: the evening part belongs to today, the morning part to yesterday
+  return (definition.days.includes(day) && minutes >= start) ||
+    (definition.days.includes((day + 6) % 7) && minutes < end);
+}
+
+/**
+ * First enabled quiet-hours schedule covering a date, or null
+ */
+function findQuietWindow(schedules, date, timeZone) {
+  const local = getLocalTime(date, timeZone);
+  return schedules.find(schedule =>
+    schedule.enabled && schedule.type === 'quiet' && windowContains(schedule.definition, local)
+  ) || null;
+}
+
+/**
+ * Household presence at a date: { presence, source: 'manual'|'schedule', schedule }
+ * where schedule is the name of the presence schedule in effect, if any
+ */
+function resolvePresence(settings, schedules, date) {
+  if (settings?.presence && settings.presence !== 'auto') {
+    return { presence: settings.presence, source: 'manual', schedule: null };
+  }
+
+  const local = getLocalTime(date, settings?.timezone);
+  const window = schedules.find(schedule =>
+    schedule.enabled && schedule.type === 'presence' && windowContains(schedule.definition, local)
+  );
+
+  return window
+    ? { presence: window.definition.presence, source: 'schedule', schedule: window.name }
+    : { presence: 'home', source: 'schedule', schedule: null };
+}
+
+/**
+ * First enabled play slot that fell due after `from` and up to `to` (ms timestamps).
+ * Returns { schedule, time } or null.
+ */
+function findDueSlot(schedules, from, to, timeZone) {
+  const plays = schedules.filter(schedule => schedule.enabled && schedule.type === 'play');
+  if (plays.length === 0) {
+    return null;
+  }
+
+  // Walk the minute boundaries in (from, to]
+  const start = Math.max(from, to - MAX_CATCH_UP_MS);
+  for (let minute = Math.floor(start / 60000) * 60000 + 60000; minute <= to; minute += 60000) {
+    const local = getLocalTime(new Date(minute), timeZone);
+    for (const schedule of plays) {
+      const time = schedule.definition.times.find(t => toMinutes(t) === local.minutes);
+      if (time && schedule.definition.days.includes(local.day)) {
+        return { schedule, time };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Start of the next enabled play slot after `from` (ms timestamp) that is not
+ * inside quiet hours, or null if there is none within a week
+ */
+function findNextSlot(schedules, from, timeZone) {
+  const plays = schedules.filter(schedule => schedule.enabled && schedule.type === 'play');
+  if (plays.length === 0) {
+    return null;
+  }
+
+  // Slot times day by day, from today's up to the same day next week
+  const today = getLocalTime(new Date(from), timeZone);
+  for (let offset = 0; offset <= 7; offset++) {
+    const calendarDay = addDays(today, offset);
+    const slotMinutes = [...new Set(plays
+      .filter(schedule => schedule.definition.days.includes(calendarDay.day))
+      .flatMap(schedule => schedule.definition.times.map(toMinutes)))]
+      .sort((a, b) => a - b);
+
+    for (const minutes of slotMinutes) {
+      const slot = toTimestamp({ ...calendarDay, minutes }, timeZone);
+      // A slot in the hour a DST change skips never comes due that day
+      if (getLocalTime(new Date(slot), timeZone).minutes !== minutes) {
+        continue;
+      }
+      if (slot > from && slot <= from + LOOKAHEAD_MS && !findQuietWindow(schedules, new Date(slot), timeZone)) {
+        return slot;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * End of the quiet hours covering `from` (ms timestamp), or `from` if it isn't quiet
+ */
+function findQuietEnd(schedules, from, timeZone) {
+  let timestamp = from;
+  let window = findQuietWindow(schedules, new Date(timestamp), timeZone);
+  // Overlapping or back-to-back quiet hours hand over to each other
+  while (window && timestamp < from + LOOKAHEAD_MS) {
+    timestamp = nextOccurrence(window.definition.end, timestamp, timeZone);
+    window = findQuietWindow(schedules, new Date(timestamp), timeZone);
+  }
+  return timestamp;
+}
+
+module.exports = {
+  SCHEDULE_TYPES,
+  PRESENCE_STATES,
+  PRESENCE_SETTINGS,
+  isValidTimeZone,
+  validateSchedule,
+  normalizeDefinition,
+  findQuietWindow,
+  resolvePresence,
+  findDueSlot,
+  findNextSlot,
+  findQuietEnd
+};
@@ -82,6 +82,14 @@ function getCameraUrl() {
   return CAMERA_URL;
 }
 
+/**
+ * Id of the laser device this backend drives.
+ * Per-device data (calibration, ...) is stored under it.
+ */
+function getDeviceId() {
+  return process.env.DEVICE_ID || 'cclt-pi';
+}
+
 /*****************************************************************
  * ERROR HANDLING
  *****************************************************************/
@@ -119,6 +127,35 @@ function handleFlaskError(error, res, defaultMessage) {
   });
 }
 
+/**
+ * HTTP status for errors raised by the laser controller (error.code)
+ */
+const LASER_ERROR_STATUS = {
+  POSITION_UNAVAILABLE: 502,
+  NOT_CALIBRATED: 409,
+  NO_GO_ZONE: 403,
+  HALTED: 423
+};
+
+/**
+ * Handle errors from laser commands - known laser errors first,
+ * then anything that came back from Flask
+ */
+function handleLaserError(error, res, defaultMessage) {
+  const status = LASER_ERROR_STATUS[error.code];
+  if (status) {
+    return res.status(status).json({
+      status: 'error',
+      error: error.message,
+      code: error.code,
+      ...(error.zone && { zone: error.zone }),
+      message: defaultMessage
+    });
+  }
+
+  return handleFlaskError(error, res, defaultMessage);
+}
+
 /*****************************************************************
  * SSE HELPERS
  *****************************************************************/
@@ -141,6 +178,24 @@ function sendCatDetected(sseClients, catDetectedPayload) {
   }
 }
 
+/**
+ * Send a named event to all connected SSE clients.
+ * Named events don't reach the frontend's default onmessage handler,
+ * so they never get mistaken for detection payloads.
+ */
+function broadcastEvent(sseClients, eventName, payload) {
+  const message = `event: ${eventName}\ndata: ${JSON.stringify(payload)}\n\n`;
+
+  for (const client of sseClients) {
+    try {
+      client.write(message);
+    } catch (error) {
+      console.error(`Error sending SSE ${eventName} event to client:`, error);
+      sseClients.delete(client);
+    }
+  }
+}
+
 /**
  * Setup SSE connection for a client
  */
@@ -196,7 +251,7 @@ async function startServer(app, port) {
     await initializeServerUrls();
     
     // Start Express server
-    app.listen(port, '0.0.0.0', () => {
+    const server = app.listen(port, '0.0.0.0', () => {
       console.log('\n' + '='.repeat(60));
       console.log(`Port:        ${port}`);
       console.log(`Flask:       ${FLASK_SERVER_URL}`);
@@ -204,6 +259,7 @@ async function startServer(app, port) {
       console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
       console.log('='.repeat(60) + '\n');
     });
+    return server;
   } catch (error) {
     console.error('Failed to start server:', error);
     process.exit(1);
@@ -218,6 +274,7 @@ module.exports = {
   initializeServerUrls,
   getFlaskServerUrl,
   getCameraUrl,
+  getDeviceId,
   
   // Health checking
   checkServerHealth,
@@ -225,9 +282,12 @@ module.exports = {
   
   // Error handling
   handleFlaskError,
+  LASER_ERROR_STATUS,
+  handleLaserError,
   
   // SSE helpers
   sendCatDetected,
+  broadcastEvent,
   setupSseConnection,
 
   // Notifications
@@ -9,8 +9,11 @@ const fs = require('fs');
 const {
   getFlaskServerUrl,
   getCameraUrl,
+  getDeviceId,
   handleFlaskError,
+  handleLaserError,
   sendCatDetected,
+  broadcastEvent,
   setupSseConnection,
   startServer,
   sendDiscordNotification
@@ -21,54 +24,1842 @@ const {
   getSettings,
   updateSettings,
   validateSettings,
-  getConfigurationHistory
+  getConfigurationHistory,
+  createUser,
+  getUserByUsername,
+  getUserById,
+  countUsers,
+  getDeviceOwner,
+  getGuestTokens,
+  revokeGuestToken,
+  createDevice,
+  getDevice,
+  getDevices,
+  addDeviceKey,
+  revokeDeviceKey,
+  getCalibration,
+  saveCalibration,
+  getCalibrationHistory,
+  getCalibrationHistoryEntry,
+  getNoGoZones,
+  getNoGoZone,
+  createNoGoZone,
+  updateNoGoZone,
+  deleteNoGoZone,
+  getSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  getAutonomousState,
+  saveAutonomousState,
+  getPlayUsage,
+  addPlayUsage,
+  getLastPlayEnd,
+  recordPlaySession,
+  getPlaySessions,
+  getPlaySessionsSince,
+  getPatterns,
+  getPattern,
+  createPattern,
+  renamePattern,
+  deletePattern
 } = require('./database');
 
+// Import authentication helpers
+const {
+  hashPassword,
+  verifyPassword,
+  validateCredentials,
+  startSession,
+  endSession,
+  validateGuestTokenRequest,
+  mintGuestToken,
+  startGuestSession,
+  getSessionUser,
+  getRequestGuest,
+  requireAuth,
+  requireOwner,
+  allowGuest
+} = require('./auth');
+
+// Import device request signing
+const {
+  KEY_ROTATION_GRACE_MS,
+  generateDeviceSecret,
+  requireDeviceSignature,
+  captureRawBody
+} = require('./device-auth');
+
 const AutonomousModeManager = require('./auto-mode-manager');
+const ControlLeaseManager = require('./control-lease');
+const PatternRecorder = require('./pattern-recorder');
+const PatternPlayer = require('./pattern-player');
+const ControlChannel = require('./control-channel');
+const LaserWatchdog = require('./laser-watchdog');
+const PlayBudget = require('./play-budget');
+const { CatTracker, parseDetection } = require('./cat-tracker');
+const { StrategyPlayer, loadStrategyPlugins, getStrategies } = require('./strategy-player');
+const { SessionHistory, summarizeSessions, DAY_MS } = require('./session-history');
+const { LaserController, laserError, ANGLE_MIN, ANGLE_MAX } = require('./laser-controller');
+const {
+  validateCalibrationPoints,
+  fitTransform,
+  pixelToAngles
+} = require('./calibration');
+const { validateZone, findBlockingZone } = require('./safety-zones');
+const { validateSchedule, normalizeDefinition, PRESENCE_SETTINGS } = require('./schedules');
+
+/**
+ * Snapshot of this device's no-go zones as a position => zone|null check,
+ * or null when no zone is enabled
+ */
+function getNoGoZoneCheck() {
+  const deviceId = getDeviceId();
+  const zones = getNoGoZones(deviceId).filter(zone => zone.enabled);
+  if (zones.length === 0) {
+    return null;
+  }
+
+  const calibration = getCalibration(deviceId);
+  return (position) => findBlockingZone(position, zones, calibration);
+}
+
+const laserController = new LaserController(
+  getFlaskServerUrl,
+  getNoGoZoneCheck,
+  () => Boolean(autonomousModeManager.halted)
+);
+
+// Manual play can be recorded and replayed as patterns; playback changes go out over SSE
+const patternRecorder = new PatternRecorder();
+const patternPlayer = new PatternPlayer(laserController, (state) => {
+  broadcastEvent(sseClients, 'pattern', state);
+});
+
+// Chases the cat using bounding boxes from detections; start/stop goes out over SSE
+const catTracker = new CatTracker(laserController, {
+  getCalibration: () => getCalibration(getDeviceId()),
+  getDistance: () => (getOwnerSettings()?.trackingDistance ?? 25) / 100,
+  onChange: (state) => broadcastEvent(sseClients, 'tracking', state)
+});
+
+// Play strategies for autonomous sessions: the built-ins, then any plugins from STRATEGY_PLUGIN_DIR
+loadStrategyPlugins(path.join(__dirname, 'strategies'));
+if (process.env.STRATEGY_PLUGIN_DIR) {
+  loadStrategyPlugins(path.resolve(process.env.STRATEGY_PLUGIN_DIR));
+}
+const strategyPlayer = new StrategyPlayer(laserController, {
+  getCalibration: () => getCalibration(getDeviceId()),
+  onChange: (state) => broadcastEvent(sseClients, 'strategy', state)
+});
+
+/**
+ * Settings of the device owner - used for everything the device
+ * does on its own (autonomous play, Discord alerts)
+ */
+function getOwnerSettings() {
+  const owner = getDeviceOwner();
+  return owner ? getSettings(owner.username) : null;
+}
 
 // Create instance
 const autonomousModeManager = new AutonomousModeManager(
-  getSettings,
-  getFlaskServerUrl
+  getOwnerSettings,
+  getFlaskServerUrl,
+  {
+    getZoneCheck: getNoGoZoneCheck,
+    patternPlayer,
+    getPattern: (id) => getPattern(getDeviceId(), id),
+    onSessionChange: ({ active, durationMs, takeover, ended }) => {
+      if (takeover) {
+        // A person has the laser now - watch it like manual play
+        laserWatchdog.setAutonomousSession(null);
+        laserWatchdog.markOn(takeover.by);
+      } else {
+        laserWatchdog.setAutonomousSession(active ? durationMs : null);
+      }
+      if (active) {
+        playBudget.start('autonomous');
+      } else {
+        playBudget.stop();
+      }
+      if (ended) {
+        sessionHistory.recordAutonomous(ended);
+      }
+      broadcastEvent(sseClients, 'autonomous', autonomousModeManager.getStatus());
+    },
+    getSchedules: () => getSchedules(getDeviceId()),
+    loadState: () => getAutonomousState(getDeviceId()),
+    saveState: (state) => saveAutonomousState(getDeviceId(), state),
+    getBudgetBlock: () => playBudget.getBlock()?.message ?? null,
+    catTracker,
+    strategyPlayer
+  }
 );
 
-// Initialize Express application
-const app = express();
-const PORT = process.env.PORT || 2000;
-const sseClients = new Set()
+// Turns the laser off if it is left on without a client or runs too long
+const laserWatchdog = new LaserWatchdog(getFlaskServerUrl, (trip) => {
+  patternPlayer.stop();
+  strategyPlayer.stop();
+  catTracker.stop();
+  if (trip.by === 'autonomous') {
+    autonomousModeManager.stopLaserSession('watchdog');
+  }
+  playBudget.stop();
+  sessionHistory.endManual('watchdog');
+  broadcastEvent(sseClients, 'watchdog', trip);
+});
+
+// Counts laser play per day against the owner's budget; autonomous sessions end when
+// it runs out, manual play only if the owner chose to block rather than warn
+const playBudget = new PlayBudget(getOwnerSettings, {
+  getUsage: (day) => getPlayUsage(getDeviceId(), day),
+  addUsage: (day, usedMs, endedAt) => addPlayUsage(getDeviceId(), day, usedMs, endedAt),
+  getLastEnd: () => getLastPlayEnd(getDeviceId()),
+  onChange: (state) => broadcastEvent(sseClients, 'budget', state),
+  onExhausted: async (source) => {
+    if (source === 'autonomous') {
+      autonomousModeManager.stopLaserSession('budget');
+      return;
+    }
+    if (getOwnerSettings()?.budgetEnforcement !== 'block') {
+      return;
+    }
+    try {
+      await axios.get(`${getFlaskServerUrl()}/off`, { timeout: 5000 });
+      laserWatchdog.markOff();
+      playBudget.stop();
+      sessionHistory.endManual('budget');
+    } catch (error) {
+      console.error('Could not turn the laser off at the end of the play budget:', error.message);
+    }
+  }
+});
+
+// Every finished play session - manual on/off or autonomous - is recorded for the stats
+const sessionHistory = new SessionHistory({
+  recordSession: (session) => recordPlaySession(getDeviceId(), session)
+});
+
+// Initialize Express application
+const app = express();
+const PORT = process.env.PORT || 2000;
+const sseClients = new Set()
+
+// Only the lease holder may move the laser; changes go out over SSE
+const controlLease = new ControlLeaseManager((state) => {
+  broadcastEvent(sseClients, 'lease', state);
+});
+
+/**
+ * Display name for whoever made the request
+ */
+function getRequesterName(req) {
+  return req.user ? req.user.username : `${req.guest.username} (guest)`;
+}
+
+/**
+ * Stable identity of the account behind the request, for tying the control lease to it
+ */
+function getRequesterKey(req) {
+  return req.user ? `user:${req.user.id}` : `guest:${req.guest.id}`;
+}
+
+/**
+ * Lease token from the X-Lease-Token header, or the body for sendBeacon calls
+ */
+function getLeaseToken(req) {
+  return req.get('X-Lease-Token') || req.body?.leaseToken;
+}
+
+/**
+ * Send the 423 that every laser command gets while an emergency stop is in effect
+ */
+function sendHalted(res) {
+  return res.status(423).json({
+    status: 'error',
+    error: 'Emergency stop is active - re-arm the laser first',
+    code: 'HALTED',
+    halted: autonomousModeManager.halted
+  });
+}
+
+/**
+ * Reject laser commands from clients that don't hold the control lease
+ */
+function requireLease(req, res, next) {
+  if (autonomousModeManager.halted) {
+    return sendHalted(res);
+  }
+
+  // An accepted command keeps the lease alive like a heartbeat
+  if (!controlLease.heartbeat(getLeaseToken(req))) {
+    const lease = controlLease.getState();
+    return res.status(409).json({
+      status: 'error',
+      error: lease.holder
+        ? 'Another client is in control of the laser'
+        : 'Take control of the laser first',
+      lease
+    });
+  }
+  // Every command from the controlling client doubles as a watchdog heartbeat
+  laserWatchdog.heartbeat();
+  next();
+}
+
+/**
+ * Pause a running autonomous session for the person making a manual command
+ */
+async function pauseForManualControl(req) {
+  try {
+    await autonomousModeManager.takeOver(getRequesterName(req));
+  } catch (error) {
+    console.error('Error pausing autonomous session:', error.message);
+  }
+}
+
+/**
+ * Manual moves, on and off pause a running autonomous session, which picks up
+ * again once the person has left the controls alone for a while
+ */
+async function manualTakeover(req, res, next) {
+  await pauseForManualControl(req);
+  next();
+}
+
+/**
+ * Add a laser command to the lease holder's recording, if they are recording
+ */
+function recordMove(command) {
+  const holder = controlLease.getState().holder;
+  if (holder) {
+    patternRecorder.record(holder.clientId, command);
+  }
+}
+
+// Joystick intents stream over a WebSocket instead of one HTTP request per tick
+const controlChannel = new ControlChannel({
+  laserController,
+  controlLease,
+  isHalted: () => Boolean(autonomousModeManager.halted),
+  authenticate: (req) => {
+    const user = getSessionUser(req);
+    if (user) {
+      return user.username;
+    }
+    const guest = getRequestGuest(req);
+    return guest?.permission === 'control' ? `${guest.username} (guest)` : null;
+  },
+  beforeCommand: (by) => autonomousModeManager.takeOver(by),
+  onCommand: (command) => {
+    laserWatchdog.heartbeat();
+    recordMove(command);
+  }
+});
+
+// Ensure data directory exists
+const dataDir = path.join(__dirname, 'data');
+if (!fs.existsSync(dataDir)) {
+  fs.mkdirSync(dataDir, { recursive: true });
+}
+
+/*****************************************************************
+ * CONFIGURE MIDDLEWARE 
+ *****************************************************************/
+app.use(cors({
+  origin: [ process.env.FRONTEND_URL || 'http://localhost:5173',
+  'http://192.168.1.108:*', //raspberry pi 
+  'http://100.81.246.79:*', //raspberry pi remote 
+  ], 
+  credentials: true,
+}));
+
+// Keep the raw body so signed device requests can be verified
+app.use(express.json({ verify: captureRawBody }));
+
+// Request logging middleware
+app.use((req, res, next) => {
+  console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
+  next();
+});
+
+/*****************************************************************
+ * AUTH ENDPOINTS 
+ *****************************************************************/
+/**
+ * POST /api/auth/register
+ * Create an account. The first account becomes the device owner;
+ * after that registration is only open when ALLOW_REGISTRATION=true.
+ */
+app.post('/api/auth/register', (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+
+    if (countUsers() > 0 && process.env.ALLOW_REGISTRATION !== 'true') {
+      return res.status(403).json({
+        status: 'error',
+        error: 'Registration is closed'
+      });
+    }
+
+    const validation = validateCredentials({ username, password });
+    if (!validation.valid) {
+      return res.status(400).json({
+        status: 'error',
+        error: 'Invalid credentials',
+        details: validation.errors
+      });
+    }
+
+    if (getUserByUsername(username)) {
+      return res.status(409).json({
+        status: 'error',
+        error: 'Username is already taken'
+      });
+    }
+
+    const user = createUser(username, hashPassword(password));
+    startSession(res, user);
+
+    res.status(201).json({
+      status: 'success',
+      data: user,
+      message: 'Account created',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error registering user:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to register',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/login
+ * Log in with username and password, sets the session cookie
+ */
+app.post('/api/auth/login', (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+
+    const account = typeof username === 'string' ? getUserByUsername(username) : null;
+    if (!account || typeof password !== 'string' || !verifyPassword(password, account.passwordHash)) {
+      return res.status(401).json({
+        status: 'error',
+        error: 'Invalid username or password'
+      });
+    }
+
+    const user = getUserById(account.id);
+    startSession(res, user);
+
+    res.json({
+      status: 'success',
+      data: user,
+      message: 'Logged in',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to log in',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * End the current login session
+ */
+app.post('/api/auth/logout', (req, res) => {
+  endSession(req, res);
+  res.json({
+    status: 'success',
+    message: 'Logged out',
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * POST /api/auth/guest
+ * Exchange a guest link token for a guest cookie
+ */
+app.post('/api/auth/guest', (req, res) => {
+  const { token } = req.body || {};
+  const guest = startGuestSession(res, token);
+
+  if (!guest) {
+    return res.status(401).json({
+      status: 'error',
+      error: 'Guest link is invalid, expired or revoked'
+    });
+  }
+
+  res.json({
+    status: 'success',
+    data: guest,
+    message: 'Guest access granted',
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * GET /api/auth/me
+ * Get the logged-in user, or the guest for a guest link
+ */
+app.get('/api/auth/me', allowGuest('view'), (req, res) => {
+  res.json({
+    status: 'success',
+    data: req.user || req.guest,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * GET /api/auth/status
+ * Tell the login screen whether an account can be registered
+ */
+app.get('/api/auth/status', (req, res) => {
+  const hasUsers = countUsers() > 0;
+  res.json({
+    status: 'success',
+    data: {
+      hasUsers,
+      registrationOpen: !hasUsers || process.env.ALLOW_REGISTRATION === 'true'
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+/*****************************************************************
+ * GUEST TOKEN ENDPOINTS 
+ *****************************************************************/
+/**
+ * GET /api/guest-tokens
+ * List the guest links the user has created
+ */
+app.get('/api/guest-tokens', requireAuth, (req, res) => {
+  try {
+    const tokens = getGuestTokens(req.user.id);
+
+    res.json({
+      status: 'success',
+      data: tokens,
+      count: tokens.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error fetching guest tokens:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to fetch guest tokens',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/guest-tokens
+ * Mint a guest link: { label, permission: 'view'|'control', expiresInHours }
+ * The raw token is only included in this response.
+ */
+app.post('/api/guest-tokens', requireAuth, (req, res) => {
+  try {
+    const validation = validateGuestTokenRequest(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        status: 'error',
+        error: 'Invalid guest token',
+        details: validation.errors
+      });
+    }
+
+    const guestToken = mintGuestToken(req.user.id, req.body);
+
+    res.status(201).json({
+      status: 'success',
+      data: guestToken,
+      message: 'Guest token created',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error creating guest token:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to create guest token',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/guest-tokens/:id
+ * Revoke a guest link
+ */
+app.delete('/api/guest-tokens/:id', requireAuth, (req, res) => {
+  try {
+    const success = revokeGuestToken(req.user.id, parseInt(req.params.id));
+
+    if (!success) {
+      return res.status(404).json({
+        status: 'error',
+        error: 'Guest token not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Guest token revoked',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error revoking guest token:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to revoke guest token',
+      details: error.message
+    });
+  }
+});
+
+/*****************************************************************
+ * CONTROL LEASE ENDPOINTS 
+ *****************************************************************/
+/**
+ * GET /api/control/lease
+ * Who is in control, and any pending handover request
+ */
+app.get('/api/control/lease', allowGuest('view'), (req, res) => {
+  res.json({
+    status: 'success',
+    data: controlLease.getState(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * POST /api/control/lease
+ * Take control: { clientId }. Returns the lease token to send
+ * as X-Lease-Token with laser commands and heartbeats.
+ */
+app.post('/api/control/lease', allowGuest('control'), (req, res) => {
+  const { clientId } = req.body || {};
+
+  if (typeof clientId !== 'string' || clientId.length === 0) {
+    return res.status(400).json({
+      status: 'error',
+      error: 'clientId is required'
+    });
+  }
+
+  if (autonomousModeManager.halted) {
+    return sendHalted(res);
+  }
+
+  const leaseToken = controlLease.acquire(clientId, getRequesterName(req), getRequesterKey(req));
+
+  if (!leaseToken) {
+    return res.status(409).json({
+      status: 'error',
+      error: 'Another client is in control of the laser',
+      lease: controlLease.getState()
+    });
+  }
+
+  res.json({
+    status: 'success',
+    data: { leaseToken, lease: controlLease.getState() },
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * POST /api/control/lease/heartbeat
+ * Keep the lease alive - the holder must call this well within the timeout
+ */
+app.post('/api/control/lease/heartbeat', allowGuest('control'), (req, res) => {
+  if (!controlLease.heartbeat(getLeaseToken(req))) {
+    return res.status(409).json({
+      status: 'error',
+      error: 'Control lease lost',
+      lease: controlLease.getState()
+    });
+  }
+
+  laserWatchdog.heartbeat();
+
+  res.json({
+    status: 'success',
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * POST /api/control/lease/release
+ * Give up control (POST so it works from navigator.sendBeacon)
+ */
+app.post('/api/control/lease/release', allowGuest('control'), (req, res) => {
+  controlLease.release(getLeaseToken(req));
+  res.json({
+    status: 'success',
+    data: controlLease.getState(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * POST /api/control/lease/request
+ * Ask the current holder for control: { clientId }
+ */
+app.post('/api/control/lease/request', allowGuest('control'), (req, res) => {
+  const { clientId } = req.body || {};
+
+  if (typeof clientId !== 'string' || clientId.length === 0) {
+    return res.status(400).json({
+      status: 'error',
+      error: 'clientId is required'
+    });
+  }
+
+  if (!controlLease.requestHandover(clientId, getRequesterName(req), getRequesterKey(req))) {
+    return res.status(409).json({
+      status: 'error',
+      error: 'Nobody else is in control',
+      lease: controlLease.getState()
+    });
+  }
+
+  res.json({
+    status: 'success',
+    data: controlLease.getState(),
+    message: 'Handover requested',
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * POST /api/control/lease/respond
+ * Holder approves or declines a handover request: { approve }
+ */
+app.post('/api/control/lease/respond', allowGuest('control'), (req, res) => {
+  const { approve } = req.body || {};
+
+  if (typeof approve !== 'boolean') {
+    return res.status(400).json({
+      status: 'error',
+      error: 'approve must be a boolean value'
+    });
+  }
+
+  if (!controlLease.respondToHandover(getLeaseToken(req), approve)) {
+    return res.status(409).json({
+      status: 'error',
+      error: 'No handover request to answer',
+      lease: controlLease.getState()
+    });
+  }
+
+  res.json({
+    status: 'success',
+    data: controlLease.getState(),
+    message: approve ? 'Control handed over' : 'Handover declined',
+    timestamp: new Date().toISOString()
+  });
+});
+
+/*****************************************************************
+ * DEVICE KEY ENDPOINTS 
+ *****************************************************************/
+/**
+ * GET /api/devices
+ * List registered devices and their active keys (no secrets)
+ */
+app.get('/api/devices', requireAuth, requireOwner, (req, res) => {
+  try {
+    const devices = getDevices();
+
+    res.json({
+      status: 'success',
+      data: devices,
+      count: devices.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error fetching devices:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to fetch devices',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/devices
+ * Register a device: { deviceId, name }
+ * Returns its first signing secret - only shown once
+ */
+app.post('/api/devices', requireAuth, requireOwner, (req, res) => {
+  try {
+    const { deviceId, name } = req.body || {};
+
+    if (typeof deviceId !== 'string' || !/^[A-Za-z0-9_.-]{1,64}$/.test(deviceId)) {
+      return res.status(400).json({
+        status: 'error',
+        error: 'deviceId must be 1-64 characters: letters, numbers, "_", "." or "-"'
+      });
+    }
+
+    if (getDevice(deviceId)) {
+      return res.status(409).json({
+        status: 'error',
+        error: 'Device already registered'
+      });
+    }
+
+    const device = createDevice(deviceId, typeof name === 'string' && name.trim() ? name.trim() : deviceId);
+    const secret = generateDeviceSecret();
+    const keyId = addDeviceKey(deviceId, secret);
+
+    res.status(201).json({
+      status: 'success',
+      data: { ...device, keyId, secret },
+      message: 'Device registered',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error registering device:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to register device',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/devices/:deviceId/keys
+ * Rotate a device key. Existing keys keep working for a grace
+ * period (24h) so the Pi can be updated without missing detections.
+ */
+app.post('/api/devices/:deviceId/keys', requireAuth, requireOwner, (req, res) => {
+  try {
+    const { deviceId } = req.params;
+
+    if (!getDevice(deviceId)) {
+      return res.status(404).json({
+        status: 'error',
+        error: 'Device not found'
+      });
+    }
+
+    const secret = generateDeviceSecret();
+    const keyId = addDeviceKey(deviceId, secret, KEY_ROTATION_GRACE_MS);
+
+    res.status(201).json({
+      status: 'success',
+      data: { deviceId, keyId, secret },
+      message: 'Device key rotated',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error rotating device key:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to rotate device key',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/devices/:deviceId/keys/:keyId
+ * Revoke a device key immediately
+ */
+app.delete('/api/devices/:deviceId/keys/:keyId', requireAuth, requireOwner, (req, res) => {
+  try {
+    const success = revokeDeviceKey(req.params.deviceId, parseInt(req.params.keyId));
+
+    if (!success) {
+      return res.status(404).json({
+        status: 'error',
+        error: 'Device key not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Device key revoked',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error revoking device key:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to revoke device key',
+      details: error.message
+    });
+  }
+});
+
+/*****************************************************************
+ * CALIBRATION ENDPOINTS 
+ *****************************************************************/
+/**
+ * GET /api/calibration
+ * Camera-to-servo calibration for this device, or null if not calibrated
+ */
+app.get('/api/calibration', allowGuest('view'), (req, res) => {
+  try {
+    res.json({
+      status: 'success',
+      data: getCalibration(getDeviceId()),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error fetching calibration:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to fetch calibration',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/calibration
+ * Fit and store the calibration from reference points:
+ * { points: [{ x, y, pan, tilt }] } with x/y normalized to 0..1
+ */
+app.put('/api/calibration', requireAuth, (req, res) => {
+  try {
+    const { points } = req.body || {};
+
+    const validation = validateCalibrationPoints(points);
+    if (!validation.valid) {
+      return res.status(400).json({
+        status: 'error',
+        error: 'Invalid calibration points',
+        details: validation.errors
+      });
+    }
+
+    const transform = fitTransform(points);
+    if (!transform) {
+      return res.status(400).json({
+        status: 'error',
+        error: 'Calibration points must not all lie on one line'
+      });
+    }
+
+    const calibration = saveCalibration(getDeviceId(), transform, points, req.user.username);
+
+    res.json({
+      status: 'success',
+      data: calibration,
+      message: 'Calibration saved',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error saving calibration:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to save calibration',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/calibration/sample
+ * Calibration wizard step: the user has aimed the laser at a spot and tapped
+ * the dot on the video at { x, y }. Pairs the tap with the current pan/tilt.
+ */
+app.post('/api/calibration/sample', requireAuth, async (req, res) => {
+  try {
+    const { x, y } = req.body || {};
+
+    if ([x, y].some(value => typeof value !== 'number' || value < 0 || value > 1)) {
+      return res.status(400).json({
+        status: 'error',
+        error: 'x and y must be numbers between 0 and 1'
+      });
+    }
+
+    const position = await laserController.getPosition();
+
+    res.json({
+      status: 'success',
+      data: { x, y, pan: position.pan, tilt: position.tilt },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Calibration sample error:', error.message);
+    handleLaserError(error, res, 'Failed to read laser position');
+  }
+});
+
+/**
+ * GET /api/calibration/history
+ * Previous calibrations for this device
+ */
+app.get('/api/calibration/history', requireAuth, (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 10;
+    const history = getCalibrationHistory(getDeviceId(), limit);
+
+    res.json({
+      status: 'success',
+      data: history,
+      count: history.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error fetching calibration history:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to fetch calibration history',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/calibration/history/:id/restore
+ * Make a previous calibration the current one again
+ */
+app.post('/api/calibration/history/:id/restore', requireAuth, (req, res) => {
+  try {
+    const entry = getCalibrationHistoryEntry(getDeviceId(), parseInt(req.params.id));
+
+    if (!entry) {
+      return res.status(404).json({
+        status: 'error',
+        error: 'Calibration not found'
+      });
+    }
+
+    const calibration = saveCalibration(getDeviceId(), entry.transform, entry.points, req.user.username);
+
+    res.json({
+      status: 'success',
+      data: calibration,
+      message: 'Calibration restored',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error restoring calibration:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to restore calibration',
+      details: error.message
+    });
+  }
+});
+
+/*****************************************************************
+ * NO-GO ZONE ENDPOINTS 
+ *****************************************************************/
+/**
+ * GET /api/zones
+ * No-go zones for this device
+ */
+app.get('/api/zones', allowGuest('view'), (req, res) => {
+  try {
+    const zones = getNoGoZones(getDeviceId());
+
+    res.json({
+      status: 'success',
+      data: zones,
+      count: zones.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error fetching no-go zones:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to fetch no-go zones',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/zones
+ * Add a no-go zone: { name, type: 'polygon'|'angles', definition, enabled? }
+ */
+app.post('/api/zones', requireAuth, (req, res) => {
+  try {
+    const deviceId = getDeviceId();
+    const zone = req.body || {};
+
+    const validation = validateZone(zone, getCalibration(deviceId));
+    if (!validation.valid) {
+      return res.status(400).json({
+        status: 'error',
+        error: 'Invalid no-go zone',
+        details: validation.errors
+      });
+    }
+
+    const created = createNoGoZone(deviceId, zone);
+    console.log(`No-go zone "${created.name}" added by ${req.user.username}`);
+
+    res.status(201).json({
+      status: 'success',
+      data: created,
+      message: 'No-go zone added',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error adding no-go zone:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to add no-go zone',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/zones/:id
+ * Replace a no-go zone
+ */
+app.put('/api/zones/:id', requireAuth, (req, res) => {
+  try {
+    const deviceId = getDeviceId();
+    const zone = req.body || {};
+
+    const validation = validateZone(zone, getCalibration(deviceId));
+    if (!validation.valid) {
+      return res.status(400).json({
+        status: 'error',
+        error: 'Invalid no-go zone',
+        details: validation.errors
+      });
+    }
+
+    const updated = updateNoGoZone(deviceId, parseInt(req.params.id), zone);
+    if (!updated) {
+      return res.status(404).json({
+        status: 'error',
+        error: 'No-go zone not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: updated,
+      message: 'No-go zone updated',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error updating no-go zone:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to update no-go zone',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/zones/:id
+ * Remove a no-go zone
+ */
+app.delete('/api/zones/:id', requireAuth, (req, res) => {
+  try {
+    const deviceId = getDeviceId();
+    const zone = getNoGoZone(deviceId, parseInt(req.params.id));
+
+    if (!zone || !deleteNoGoZone(deviceId, zone.id)) {
+      return res.status(404).json({
+        status: 'error',
+        error: 'No-go zone not found'
+      });
+    }
+
+    console.log(`No-go zone "${zone.name}" removed by ${req.user.username}`);
+
+    res.json({
+      status: 'success',
+      message: 'No-go zone removed',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error removing no-go zone:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to remove no-go zone',
+      details: error.message
+    });
+  }
+});
+
+/*****************************************************************
+ * AUTONOMOUS MODE ENDPOINTS 
+ *****************************************************************/
+/**
+ * GET /api/autonomous/status
+ * Whether a session is running and for how long, when the next one is due,
+ * and why the last trigger was skipped
+ */
+app.get('/api/autonomous/status', allowGuest('view'), (req, res) => {
+  try {
+    res.json({
+      status: 'success',
+      data: autonomousModeManager.getStatus(),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error fetching autonomous status:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to fetch autonomous status',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/autonomous/strategies
+ * Play strategies autonomous sessions pick from, with the owner's weights
+ */
+app.get('/api/autonomous/strategies', allowGuest('view'), (req, res) => {
+  try {
+    res.json({
+      status: 'success',
+      data: getStrategies(getOwnerSettings()?.strategyWeights),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error fetching play strategies:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to fetch play strategies',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/autonomous/stop
+ * End the running autonomous session early
+ */
+app.post('/api/autonomous/stop', allowGuest('control'), async (req, res) => {
+  if (!autonomousModeManager.isSessionActive) {
+    return res.status(409).json({
+      status: 'error',
+      error: 'No autonomous session is running'
+    });
+  }
+
+  try {
+    console.log(`Autonomous session stopped by ${getRequesterName(req)}`);
+    await autonomousModeManager.stopLaserSession('stopped');
+
+    res.json({
+      status: 'success',
+      data: autonomousModeManager.getStatus(),
+      message: 'Autonomous session stopped',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error stopping autonomous session:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to stop autonomous session',
+      details: error.message
+    });
+  }
+});
+
+/*****************************************************************
+ * CAT TRACKING ENDPOINTS 
+ *****************************************************************/
+/**
+ * GET /api/tracking
+ * Whether the laser is chasing the cat, and where the cat was last seen
+ */
+app.get('/api/tracking', allowGuest('view'), (req, res) => {
+  res.json({
+    status: 'success',
+    data: catTracker.getState(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * POST /api/tracking/start
+ * Keep the laser dot ahead of the cat, using the bounding boxes from detections
+ */
+app.post('/api/tracking/start', allowGuest('control'), requireLease, async (req, res) => {
+  if (autonomousModeManager.isSessionActive) {
+    return res.status(409).json({
+      status: 'error',
+      error: 'An autonomous session is running'
+    });
+  }
+
+  try {
+    // Only one thing moves the laser at a time
+    patternPlayer.stop();
+    await catTracker.start(getRequesterName(req));
+
+    res.json({
+      status: 'success',
+      data: catTracker.getState(),
+      message: 'Tracking the cat',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error starting cat tracking:', error.message);
+    handleLaserError(error, res, 'Failed to start cat tracking');
+  }
+});
+
+/**
+ * POST /api/tracking/stop
+ * Stop chasing the cat
+ */
+app.post('/api/tracking/stop', allowGuest('control'), (req, res) => {
+  if (!catTracker.stop()) {
+    return res.status(409).json({
+      status: 'error',
+      error: 'Not tracking'
+    });
+  }
+
+  res.json({
+    status: 'success',
+    data: catTracker.getState(),
+    message: 'Stopped tracking',
+    timestamp: new Date().toISOString()
+  });
+});
+
+/*****************************************************************
+ * SESSION HISTORY ENDPOINTS 
+ *****************************************************************/
+/**
+ * GET /api/sessions
+ * Finished play sessions, newest first. ?before=<startedAt> pages back.
+ */
+app.get('/api/sessions', allowGuest('view'), (req, res) => {
+  try {
+    const limit = Math.min(200, parseInt(req.query.limit) || 50);
+    const before = parseInt(req.query.before) || null;
+    const sessions = getPlaySessions(getDeviceId(), { limit, before });
+
+    res.json({
+      status: 'success',
+      data: sessions,
+      count: sessions.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error fetching play sessions:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to fetch play sessions',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/sessions/stats
+ * Minutes per day, sessions per week and activity by hour over the last
+ * ?days=30 days, in the owner's timezone
+ */
+app.get('/api/sessions/stats', allowGuest('view'), (req, res) => {
+  const days = req.query.days === undefined ? 30 : parseInt(req.query.days);
+  if (!Number.isInteger(days) || days < 1 || days > 365) {
+    return res.status(400).json({
+      status: 'error',
+      error: 'days must be between 1 and 365'
+    });
+  }
+
+  try {
+    const now = Date.now();
+    // A day of slack so sessions from the first local day are in, whatever the timezone
+    const sessions = getPlaySessionsSince(getDeviceId(), now - (days + 1) * DAY_MS);
+
+    res.json({
+      status: 'success',
+      data: summarizeSessions(sessions, { timezone: getOwnerSettings()?.timezone, days, now }),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error fetching play statistics:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to fetch play statistics',
+      details: error.message
+    });
+  }
+});
+
+/*****************************************************************
+ * SCHEDULE ENDPOINTS 
+ *****************************************************************/
+/**
+ * GET /api/schedules
+ * Play schedules and quiet hours for this device
+ */
+app.get('/api/schedules', requireAuth, (req, res) => {
+  try {
+    const schedules = getSchedules(getDeviceId());
+
+    res.json({
+      status: 'success',
+      data: schedules,
+      count: schedules.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error fetching schedules:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to fetch schedules',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/schedules
+ * Add a schedule: { name, type: 'play'|'quiet'|'presence', definition, enabled? }
+ */
+app.post('/api/schedules', requireAuth, (req, res) => {
+  try {
+    const schedule = req.body || {};
+
+    const validation = validateSchedule(schedule);
+    if (!validation.valid) {
+      return res.status(400).json({
+        status: 'error',
+        error: 'Invalid schedule',
+        details: validation.errors
+      });
+    }
+
+    const created = createSchedule(getDeviceId(), {
+      ...schedule,
+      definition: normalizeDefinition(schedule.type, schedule.definition)
+    });
+    console.log(`Schedule "${created.name}" added by ${req.user.username}`);
+
+    res.status(201).json({
+      status: 'success',
+      data: created,
+      message: 'Schedule added',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error adding schedule:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to add schedule',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/schedules/:id
+ * Replace a schedule
+ */
+app.put('/api/schedules/:id', requireAuth, (req, res) => {
+  try {
+    const schedule = req.body || {};
+
+    const validation = validateSchedule(schedule);
+    if (!validation.valid) {
+      return res.status(400).json({
+        status: 'error',
+        error: 'Invalid schedule',
+        details: validation.errors
+      });
+    }
+
+    const updated = updateSchedule(getDeviceId(), parseInt(req.params.id), {
+      ...schedule,
+      definition: normalizeDefinition(schedule.type, schedule.definition)
+    });
+    if (!updated) {
+      return res.status(404).json({
+        status: 'error',
+        error: 'Schedule not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: updated,
+      message: 'Schedule updated',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error updating schedule:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to update schedule',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/schedules/:id
+ * Remove a schedule
+ */
+app.delete('/api/schedules/:id', requireAuth, (req, res) => {
+  try {
+    const deviceId = getDeviceId();
+    const schedule = getSchedule(deviceId, parseInt(req.params.id));
+
+    if (!schedule || !deleteSchedule(deviceId, schedule.id)) {
+      return res.status(404).json({
+        status: 'error',
+        error: 'Schedule not found'
+      });
+    }
+
+    console.log(`Schedule "${schedule.name}" removed by ${req.user.username}`);
+
+    res.json({
+      status: 'success',
+      message: 'Schedule removed',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error removing schedule:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to remove schedule',
+      details: error.message
+    });
+  }
+});
+
+/*****************************************************************
+ * PATTERN ENDPOINTS 
+ *****************************************************************/
+/**
+ * GET /api/patterns
+ * Saved patterns for this device, plus what is playing right now
+ */
+app.get('/api/patterns', allowGuest('view'), (req, res) => {
+  try {
+    const patterns = getPatterns(getDeviceId());
+
+    res.json({
+      status: 'success',
+      data: patterns,
+      playback: patternPlayer.getState(),
+      count: patterns.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error fetching patterns:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to fetch patterns',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/patterns/recording?clientId=...
+ * Whether a client is recording
+ */
+app.get('/api/patterns/recording', allowGuest('control'), (req, res) => {
+  res.json({
+    status: 'success',
+    data: patternRecorder.getState(req.query.clientId),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * POST /api/patterns/recording
+ * Start recording the lease holder's laser commands
+ */
+app.post('/api/patterns/recording', allowGuest('control'), requireLease, (req, res) => {
+  const { clientId } = controlLease.getState().holder;
+
+  res.json({
+    status: 'success',
+    data: patternRecorder.start(clientId, getRequesterName(req)),
+    message: 'Recording started',
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * POST /api/patterns/recording/stop
+ * Stop recording and save it as a pattern: { name }
+ */
+app.post('/api/patterns/recording/stop', allowGuest('control'), requireLease, (req, res) => {
+  try {
+    const { clientId } = controlLease.getState().holder;
+    const { name } = req.body || {};
+
+    if (typeof name !== 'string' || name.trim().length === 0 || name.length > 64) {
+      return res.status(400).json({
+        status: 'error',
+        error: 'Name is required (max 64 characters)'
+      });
+    }
+
+    const recording = patternRecorder.stop(clientId);
+    if (!recording) {
+      return res.status(409).json({
+        status: 'error',
+        error: 'Not recording'
+      });
+    }
+
+    if (recording.commands.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        error: 'Nothing was recorded'
+      });
+    }
+
+    const pattern = createPattern(getDeviceId(), {
+      name,
+      commands: recording.commands,
+      durationMs: recording.durationMs,
+      createdBy: recording.startedBy
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: pattern,
+      message: 'Pattern saved',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error saving pattern:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to save pattern',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/patterns/recording
+ * Throw the lease holder's recording away
+ */
+app.delete('/api/patterns/recording', allowGuest('control'), requireLease, (req, res) => {
+  const { clientId } = controlLease.getState().holder;
+  patternRecorder.cancel(clientId);
+
+  res.json({
+    status: 'success',
+    message: 'Recording discarded',
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * POST /api/patterns/stop
+ * Stop the pattern that is playing
+ */
+app.post('/api/patterns/stop', allowGuest('control'), (req, res) => {
+  const stopped = patternPlayer.stop();
+
+  res.json({
+    status: 'success',
+    data: patternPlayer.getState(),
+    message: stopped ? 'Pattern stopped' : 'No pattern was playing',
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * POST /api/patterns/:id/play
+ * Replay a pattern with its original timing: { loop? }
+ */
+app.post('/api/patterns/:id/play', allowGuest('control'), requireLease, (req, res) => {
+  if (autonomousModeManager.isSessionActive) {
+    return res.status(409).json({
+      status: 'error',
+      error: 'An autonomous session is running'
+    });
+  }
+
+  try {
+    const pattern = getPattern(getDeviceId(), parseInt(req.params.id));
+
+    if (!pattern) {
+      return res.status(404).json({
+        status: 'error',
+        error: 'Pattern not found'
+      });
+    }
+
+    catTracker.stop();
+    patternPlayer.play(pattern, {
+      loop: req.body?.loop === true,
+      startedBy: getRequesterName(req)
+    });
+
+    res.json({
+      status: 'success',
+      data: patternPlayer.getState(),
+      message: `Playing "${pattern.name}"`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error playing pattern:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to play pattern',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/patterns/:id
+ * Rename a pattern: { name }
+ */
+app.patch('/api/patterns/:id', requireAuth, (req, res) => {
+  try {
+    const { name } = req.body || {};
+
+    if (typeof name !== 'string' || name.trim().length === 0 || name.length > 64) {
+      return res.status(400).json({
+        status: 'error',
+        error: 'Name is required (max 64 characters)'
+      });
+    }
+
+    const pattern = renamePattern(getDeviceId(), parseInt(req.params.id), name);
+    if (!pattern) {
+      return res.status(404).json({
+        status: 'error',
+        error: 'Pattern not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: pattern,
+      message: 'Pattern renamed',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error renaming pattern:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to rename pattern',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/patterns/:id
+ * Delete a pattern
+ */
+app.delete('/api/patterns/:id', requireAuth, (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
 
-// Ensure data directory exists
-const dataDir = path.join(__dirname, 'data');
-if (!fs.existsSync(dataDir)) {
-  fs.mkdirSync(dataDir, { recursive: true });
-}
+    if (patternPlayer.getState().playing?.patternId === id) {
+      patternPlayer.stop();
+    }
 
-/*****************************************************************
- * CONFIGURE MIDDLEWARE 
- *****************************************************************/
-app.use(cors({
-  origin: [ process.env.FRONTEND_URL || 'http://localhost:5173',
-  'http://192.168.1.108:*', //raspberry pi 
-  'http://100.81.246.79:*', //raspberry pi remote 
-  ], 
-  credentials: true,
-}));
+    if (!deletePattern(getDeviceId(), id)) {
+      return res.status(404).json({
+        status: 'error',
+        error: 'Pattern not found'
+      });
+    }
 
-app.use(express.json());
+    res.json({
+      status: 'success',
+      message: 'Pattern deleted',
+      timestamp: new Date().toISOString()
+    });
 
-// Request logging middleware
-app.use((req, res, next) => {
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
-  next();
+  } catch (error) {
+    console.error('Error deleting pattern:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to delete pattern',
+      details: error.message
+    });
+  }
 });
 
+/*****************************************************************
+ * PUT ENDPOINTS 
+ *****************************************************************/
 /**
  * Update settings for the user
+ * Fields missing from the body keep their stored values
  */
-app.put('/api/settings', (req, res) => {
+app.put('/api/settings', requireAuth, (req, res) => {
   try {
-    const userId = 'jasmi';
-    const settingsData = req.body;
+    const userId = req.user.username;
+    const currentSettings = getSettings(userId);
+
+    if (!currentSettings) {
+      return res.status(404).json({
+        status: 'error',
+        error: 'Settings not found'
+      });
+    }
+
+    const settingsData = { ...currentSettings, ...req.body };
 
     // Validate settings
     const validation = validateSettings(settingsData);
@@ -92,6 +1883,9 @@ app.put('/api/settings', (req, res) => {
 
     // Get updated settings to return
     const updatedSettings = getSettings(userId);
+    // The budget and presence may have changed
+    playBudget.notify();
+    broadcastEvent(sseClients, 'autonomous', autonomousModeManager.getStatus());
 
     res.json({
       status: 'success',
@@ -117,9 +1911,9 @@ app.put('/api/settings', (req, res) => {
  * PATCH /api/settings/notifications
  * Quick toggle for notifications only
  */
-app.patch('/api/settings/notifications', (req, res) => {
+app.patch('/api/settings/notifications', requireAuth, (req, res) => {
   try {
-    const userId = 'jasmi';
+    const userId = req.user.username;
     const { enabled } = req.body;
 
     if (typeof enabled !== 'boolean') {
@@ -164,13 +1958,68 @@ app.patch('/api/settings/notifications', (req, res) => {
   }
 });
 
+/**
+ * PATCH /api/settings/presence
+ * Quick switch between home, away, sleeping and 'auto' (follow presence schedules)
+ * Owner only - autonomous play follows the owner's presence
+ */
+app.patch('/api/settings/presence', requireAuth, requireOwner, (req, res) => {
+  try {
+    const userId = req.user.username;
+    const { presence } = req.body;
+
+    if (!PRESENCE_SETTINGS.includes(presence)) {
+      return res.status(400).json({
+        status: 'error',
+        error: 'presence must be "auto", "home", "away" or "sleeping"'
+      });
+    }
+
+    const currentSettings = getSettings(userId);
+    if (!currentSettings) {
+      return res.status(404).json({
+        status: 'error',
+        error: 'Settings not found'
+      });
+    }
+
+    currentSettings.presence = presence;
+    const success = updateSettings(userId, currentSettings);
+
+    if (!success) {
+      return res.status(500).json({
+        status: 'error',
+        error: 'Failed to update presence'
+      });
+    }
+
+    const status = autonomousModeManager.getStatus();
+    broadcastEvent(sseClients, 'autonomous', status);
+
+    res.json({
+      status: 'success',
+      data: { presence, effective: status.presence },
+      message: `Presence set to ${presence}`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error updating presence:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to update presence',
+      details: error.message
+    });
+  }
+});
+
 /**
  * PATCH /api/settings/autonomous
  * Quick toggle for autonomous mode only
  */
-app.patch('/api/settings/autonomous', (req, res) => {
+app.patch('/api/settings/autonomous', requireAuth, (req, res) => {
   try {
-    const userId = 'jasmi';
+    const userId = req.user.username;
     const { enabled } = req.body;
 
     if (typeof enabled !== 'boolean') {
@@ -220,14 +2069,29 @@ app.patch('/api/settings/autonomous', (req, res) => {
  *****************************************************************/
 /**
  * Recieve cat detected alert from camera 
+ * Must be signed with a device key (see device-auth.js)
  */
-app.post('/api/detection', (req, res) => {
-    console.log('Received data:', req.body);
+app.post('/api/detection', requireDeviceSignature, (req, res) => {
+    // Any registered device can sign, but only this backend's device drives the laser
+    if (req.deviceId !== getDeviceId()) {
+      console.warn(`Rejected detection from ${req.deviceId} - this backend drives ${getDeviceId()}`);
+      return res.status(403).json({
+        status: 'error',
+        error: 'Device does not control this laser'
+      });
+    }
+
+    console.log(`Received data from ${req.deviceId}:`, req.body);
     res.json({ status: 'success', received: req.body });
     sendCatDetected(sseClients, req.body);
+
+    const box = parseDetection(req.body);
+    if (box) {
+      catTracker.update(box);
+    }
     autonomousModeManager.handleCatDetection(req.body);
 
-    const settings = getSettings('jasmi');
+    const settings = getOwnerSettings();
     if (settings?.notificationsEnabled) {
       sendDiscordNotification(req.body);
     }
@@ -236,9 +2100,9 @@ app.post('/api/detection', (req, res) => {
 /**
  * Reset settings to defaults
  */
-app.post('/api/settings/reset', (req, res) => {
+app.post('/api/settings/reset', requireAuth, (req, res) => {
   try {
-    const userId = 'jasmi';
+    const userId = req.user.username;
     
     const defaultSettings = {
       notificationsEnabled: true,
@@ -284,11 +2148,11 @@ app.post('/api/settings/reset', (req, res) => {
  * The frontend connects here and keeps the connection open.
  * Each connected browser tab is a separate client in the Set.
  ***/
-app.get('/api/detection/events', (req, res) => {
+app.get('/api/detection/events', allowGuest('view'), (req, res) => {
   setupSseConnection(req, res, sseClients);
 })
 
-app.get('/api/camera/stream', async (req, res) => {
+app.get('/api/camera/stream', allowGuest('view'), async (req, res) => {
   const camera_server_url = getCameraUrl();
   try {
     const response = await axios.get(`${camera_server_url}/video_feed`, {
@@ -302,7 +2166,7 @@ app.get('/api/camera/stream', async (req, res) => {
   }
 });
 
-app.get('/api/camera/health', async (req, res) => {
+app.get('/api/camera/health', allowGuest('view'), async (req, res) => {
   let camera_server_url = getCameraUrl();
   try {
     const flaskResponse = await axios.get(`${camera_server_url}/health`, {
@@ -353,8 +2217,7 @@ app.get('/api/health', async (req, res) => {
  * Moves the laser left or right
  * GET /api/laser/move-x?direction=left|right
  */
-app.get('/api/laser/move-x', async (req, res) => {
-  let flask_server_url = getFlaskServerUrl();
+app.get('/api/laser/move-x', allowGuest('control'), requireLease, manualTakeover, async (req, res) => {
   try {
     const { direction } = req.query;
     
@@ -367,23 +2230,18 @@ app.get('/api/laser/move-x', async (req, res) => {
     
     console.log(`Moving laser ${direction}...`);
     
-    const flaskResponse = await axios.get(
-      `${flask_server_url}/move-x`,
-      {
-        params: { direction: direction.toLowerCase() },
-        timeout: 1000
-      }
-    );
+    const data = await laserController.guardedStep('x', direction.toLowerCase());
+    recordMove({ type: 'step', axis: 'x', direction: direction.toLowerCase() });
     
     res.json({
       status: 'success',
-      data: flaskResponse.data,
+      data,
       timestamp: new Date().toISOString()
     });
     
   } catch (error) {
     console.error('X-axis movement error:', error.message);
-    handleFlaskError(error, res, 'Failed to move laser on X-axis');
+    handleLaserError(error, res, 'Failed to move laser on X-axis');
   }
 });
 
@@ -391,8 +2249,7 @@ app.get('/api/laser/move-x', async (req, res) => {
  * Moves the laser up or down
  * GET /api/laser/move-y?direction=up|down
  */
-app.get('/api/laser/move-y', async (req, res) => {
-  let flask_server_url = getFlaskServerUrl();
+app.get('/api/laser/move-y', allowGuest('control'), requireLease, manualTakeover, async (req, res) => {
   try {
     const { direction } = req.query;
     
@@ -404,54 +2261,310 @@ app.get('/api/laser/move-y', async (req, res) => {
     }
     
     console.log(`Moving laser ${direction}...`);
-    const flaskResponse = await axios.get(
-      `${flask_server_url}/move-y`,
-      {
-        params: { direction: direction.toLowerCase() },
-        timeout: 1000
-      }
-    );
+    const data = await laserController.guardedStep('y', direction.toLowerCase());
+    recordMove({ type: 'step', axis: 'y', direction: direction.toLowerCase() });
     
     res.json({
       status: 'success',
-      data: flaskResponse.data,
+      data,
       timestamp: new Date().toISOString()
     });
     
   } catch (error) {
     console.error('Y-axis movement error:', error.message);
-    handleFlaskError(error, res, 'Failed to move laser on Y-axis');
+    handleLaserError(error, res, 'Failed to move laser on Y-axis');
   }
 });
 
 /**
- * Centers both servos
+ * Moves both axes together with a proportional velocity
+ * GET /api/laser/move?dx=-1..1&dy=-1..1
+ * dx is right-positive, dy down-positive; magnitude scales the speed
  */
-app.get('/api/laser/center', async (req, res) => {
-  let flask_server_url = getFlaskServerUrl();
+app.get('/api/laser/move', allowGuest('control'), requireLease, manualTakeover, async (req, res) => {
+  try {
+    const dx = parseFloat(req.query.dx ?? 0);
+    const dy = parseFloat(req.query.dy ?? 0);
+
+    const validation = laserController.validateVelocity({ dx, dy });
+    if (!validation.valid) {
+      return res.status(400).json({
+        status: 'error',
+        error: 'Invalid velocity',
+        details: validation.errors
+      });
+    }
+
+    const result = await laserController.moveVelocity(dx, dy);
+    recordMove({ type: 'move', dx, dy });
+
+    res.json({
+      status: 'success',
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Velocity movement error:', error.message);
+    handleLaserError(error, res, 'Failed to move laser');
+  }
+});
+
+/**
+ * Gets the current pan/tilt angles
+ * GET /api/laser/position
+ */
+app.get('/api/laser/position', allowGuest('view'), async (req, res) => {
+  try {
+    const position = await laserController.getPosition();
+
+    res.json({
+      status: 'success',
+      data: position,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Position read error:', error.message);
+    handleLaserError(error, res, 'Failed to get laser position');
+  }
+});
+
+/**
+ * Moves the laser to absolute pan/tilt angles
+ * POST /api/laser/position { pan, tilt, speed?, easing? }
+ * speed is in degrees/second; easing is linear|ease-in|ease-out|ease-in-out
+ */
+app.post('/api/laser/position', allowGuest('control'), requireLease, async (req, res) => {
+  try {
+    const { pan, tilt, speed, easing } = req.body || {};
+
+    const validation = laserController.validateTarget({ pan, tilt, speed, easing });
+    if (!validation.valid) {
+      return res.status(400).json({
+        status: 'error',
+        error: 'Invalid position',
+        details: validation.errors
+      });
+    }
+
+    // A target in a no-go zone is refused before it pauses autonomous play
+    laserController.assertAllowed({ pan, tilt }, laserController.getZoneCheck());
+    await pauseForManualControl(req);
+
+    console.log(`Moving laser to pan ${pan}, tilt ${tilt}...`);
+    const result = await laserController.moveTo({ pan, tilt }, { speed, easing });
+    // A move cut short by a newer one or an emergency stop isn't part of the pattern
+    if (!result.superseded) {
+      recordMove({ type: 'position', pan, tilt, speed, easing });
+    }
+
+    res.json({
+      status: 'success',
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Absolute move error:', error.message);
+    handleLaserError(error, res, 'Failed to move laser to position');
+  }
+});
+
+/**
+ * Aims the laser at a point on the camera feed
+ * POST /api/laser/aim { x, y } normalized to 0..1, origin top-left
+ */
+app.post('/api/laser/aim', allowGuest('control'), requireLease, async (req, res) => {
+  try {
+    const { x, y } = req.body || {};
+
+    if ([x, y].some(value => typeof value !== 'number' || value < 0 || value > 1)) {
+      return res.status(400).json({
+        status: 'error',
+        error: 'x and y must be numbers between 0 and 1'
+      });
+    }
+
+    const calibration = getCalibration(getDeviceId());
+    if (!calibration) {
+      throw laserError('Laser is not calibrated', 'NOT_CALIBRATED');
+    }
+
+    const angles = pixelToAngles(calibration.transform, { x, y });
+    const target = {
+      pan: Math.min(ANGLE_MAX, Math.max(ANGLE_MIN, angles.pan)),
+      tilt: Math.min(ANGLE_MAX, Math.max(ANGLE_MIN, angles.tilt))
+    };
+
+    laserController.assertAllowed(target, laserController.getZoneCheck());
+    await pauseForManualControl(req);
+
+    console.log(`Aiming laser at (${x.toFixed(2)}, ${y.toFixed(2)})...`);
+    const result = await laserController.moveTo(target);
+    if (!result.superseded) {
+      recordMove({ type: 'position', ...target });
+    }
+
+    res.json({
+      status: 'success',
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Aim error:', error.message);
+    handleLaserError(error, res, 'Failed to aim laser');
+  }
+});
+
+/**
+ * Centers both servos (the laser is switched off if center is in a no-go zone)
+ */
+app.get('/api/laser/center', allowGuest('control'), requireLease, manualTakeover, async (req, res) => {
   try {
     console.log('Centering laser...');
     
-    const flaskResponse = await axios.get(`${flask_server_url}/center`, {
-      timeout: 10000
-    });
+    const data = await laserController.center();
+    recordMove({ type: 'center' });
     
     res.json({
       status: 'success',
-      data: flaskResponse.data,
+      data,
       timestamp: new Date().toISOString()
     });
     
   } catch (error) {
     console.error('Center error:', error.message);
-    handleFlaskError(error, res, 'Failed to center laser');
+    handleLaserError(error, res, 'Failed to center laser');
+  }
+});
+
+/**
+ * Laser watchdog state: who turned the laser on, when, and the last time it tripped
+ * GET /api/laser/watchdog
+ */
+app.get('/api/laser/watchdog', allowGuest('view'), (req, res) => {
+  res.json({
+    status: 'success',
+    data: laserWatchdog.getState(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * GET /api/laser/budget
+ * Today's play time against the daily budget, and any rest period in progress
+ */
+app.get('/api/laser/budget', allowGuest('view'), (req, res) => {
+  try {
+    res.json({
+      status: 'success',
+      data: playBudget.getState(),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error fetching play budget:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to fetch play budget',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/laser/emergency-stop
+ * Whether an emergency stop is in effect, and who pressed it
+ */
+app.get('/api/laser/emergency-stop', allowGuest('view'), (req, res) => {
+  res.json({
+    status: 'success',
+    data: { halted: autonomousModeManager.halted },
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * POST /api/laser/emergency-stop
+ * Stop everything: end the autonomous session and any pattern, turn the laser off,
+ * take control away from its holder and refuse laser commands until re-armed
+ */
+app.post('/api/laser/emergency-stop', allowGuest('control'), async (req, res) => {
+  const by = getRequesterName(req);
+  console.warn(`EMERGENCY STOP by ${by}`);
+
+  try {
+    // Moves already under way must not keep stepping after the halt
+    laserController.cancelMove();
+    await autonomousModeManager.emergencyStop(by);
+    patternPlayer.stop();
+    strategyPlayer.stop();
+    catTracker.stop();
+    controlLease.revoke();
+    laserWatchdog.markOff();
+    playBudget.stop();
+    sessionHistory.endManual('emergency-stop');
+
+    // The session stop above already turns the laser off, but it may not have been running
+    let laserOff = true;
+    try {
+      await axios.get(`${getFlaskServerUrl()}/off`, { timeout: 5000 });
+    } catch (error) {
+      console.error('Emergency stop could not reach the laser:', error.message);
+      laserOff = false;
+    }
+
+    const halted = autonomousModeManager.halted;
+    broadcastEvent(sseClients, 'halt', { halted });
+
+    res.json({
+      status: 'success',
+      data: { halted, laserOff },
+      message: laserOff
+        ? 'Laser stopped'
+        : 'Laser commands are blocked, but the device did not confirm the laser is off',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Emergency stop error:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to complete emergency stop',
+      details: error.message
+    });
   }
 });
 
+/**
+ * POST /api/laser/rearm
+ * Lift an emergency stop so the laser can be used again
+ */
+app.post('/api/laser/rearm', requireAuth, (req, res) => {
+  if (!autonomousModeManager.rearm()) {
+    return res.status(409).json({
+      status: 'error',
+      error: 'Emergency stop is not active'
+    });
+  }
+
+  console.log(`Laser re-armed by ${getRequesterName(req)}`);
+  broadcastEvent(sseClients, 'halt', { halted: null });
+
+  res.json({
+    status: 'success',
+    data: { halted: null },
+    message: 'Laser re-armed',
+    timestamp: new Date().toISOString()
+  });
+});
+
 /**
  * Gets current laser status from Flask server
  */
-app.get('/api/laser/status', async (req, res) => {
+app.get('/api/laser/status', allowGuest('view'), async (req, res) => {
   let flask_server_url = getFlaskServerUrl();
   try {
     const flaskResponse = await axios.get(`${flask_server_url}/status`, {
@@ -473,12 +2586,16 @@ app.get('/api/laser/status', async (req, res) => {
 /**
  * Gets current laser status from Flask server
  */
-app.get('/api/laser/off', async (req, res) => {
+app.get('/api/laser/off', allowGuest('control'), manualTakeover, async (req, res) => {
   let flask_server_url = getFlaskServerUrl();
   try {
     const flaskResponse = await axios.get(`${flask_server_url}/off`, {
       timeout: 5000
     });
+    laserWatchdog.markOff();
+    playBudget.stop();
+    sessionHistory.endManual('stopped');
+    recordMove({ type: 'laser', on: false });
     
     res.json({
       status: 'success',
@@ -495,16 +2612,38 @@ app.get('/api/laser/off', async (req, res) => {
 /**
  * Gets current laser status from Flask server
  */
-app.get('/api/laser/on', async (req, res) => {
+app.get('/api/laser/on', allowGuest('control'), requireLease, async (req, res) => {
+  // Over budget or still resting: refuse or just warn, as the owner chose.
+  // Checked before the takeover, so a refusal leaves a running session alone.
+  const budgetBlock = playBudget.running ? null : playBudget.getBlock();
+  if (budgetBlock && getOwnerSettings()?.budgetEnforcement === 'block') {
+    return res.status(429).json({
+      status: 'error',
+      error: budgetBlock.message,
+      code: budgetBlock.code,
+      data: playBudget.getState()
+    });
+  }
+
+  await pauseForManualControl(req);
+
   let flask_server_url = getFlaskServerUrl();
   try {
     const flaskResponse = await axios.get(`${flask_server_url}/on`, {
       timeout: 5000
     });
+    laserWatchdog.markOn(getRequesterName(req));
+    playBudget.start('manual');
+    // During an autonomous session this is a takeover, and the session itself is recorded
+    if (!autonomousModeManager.isSessionActive) {
+      sessionHistory.startManual(getRequesterName(req));
+    }
+    recordMove({ type: 'laser', on: true });
     
     res.json({
       status: 'success',
       data: flaskResponse.data,
+      ...(budgetBlock && { warning: budgetBlock.message }),
       timestamp: new Date().toISOString()
     });
     
@@ -518,9 +2657,9 @@ app.get('/api/laser/on', async (req, res) => {
  * GET /api/settings/history
  * Get configuration change history
  */
-app.get('/api/settings/history', (req, res) => {
+app.get('/api/settings/history', requireAuth, (req, res) => {
   try {
-    const userId = 'jasmi';
+    const userId = req.user.username;
     const limit = parseInt(req.query.limit) || 10;
     
     const history = getConfigurationHistory(userId, limit);
@@ -542,10 +2681,10 @@ app.get('/api/settings/history', (req, res) => {
   }
 });
 
-app.get('/api/settings', (req, res) => {
+app.get('/api/settings', requireAuth, (req, res) => {
 // Retrieve current settings for the user
   try {
-    const userId = 'jasmi';
+    const userId = req.user.username;
     
     const settings = getSettings(userId);
     
@@ -595,6 +2734,7 @@ app.use((req, res) => {
 });
 
 // Start the server
-startServer(app, PORT). then(() => {
+startServer(app, PORT). then((server) => {
+   controlChannel.attach(server);
    autonomousModeManager.initialize();
 });
\ No newline at end of file
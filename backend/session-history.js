@@ -0,0 +1,171 @@
+/**
+ * Play session history
+ *
+ * Keeps track of manual play (laser on until off) so it can be recorded like
+ * autonomous sessions, and sums recorded sessions up for the stats view:
+ * minutes per day, sessions per week and activity by hour of day, all in the
+ * owner's timezone.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Sessions are split into chunks this long to spread their minutes over days and hours
+const CHUNK_MS = 15 * 60 * 1000;
+
+/**
+ * 'YYYY-MM-DD' shifted by a number of days
+ */
+function addDays(day, count) {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, date + count)).toISOString().slice(0, 10);
+}
+
+/**
+ * The Monday of the week a day falls in
+ */
+function weekStart(day) {
+  const [year, month, date] = day.split('-').map(Number);
+  const weekday = new Date(Date.UTC(year, month - 1, date)).getUTCDay();
+  return addDays(day, -((weekday + 6) % 7));
+}
+
+const roundMinutes = (minutes) => Math.round(minutes * 10) / 10;
+
+/**
+ * Sum sessions up over the last `days` local days (today included)
+ */
+function summarizeSessions(sessions, { timezone, days = 30, now = Date.now() } = {}) {
+  const formatter = new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone || undefined,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    hourCycle: 'h23'
+  });
+  const localTime = (ms) => {
+    const parts = Object.fromEntries(formatter.formatToParts(new Date(ms)).map(part => [part.type, part.value]));
+    return { day: `${parts.year}-${parts.month}-${parts.day}`, hour: Number(parts.hour) };
+  };
+
+  const today = localTime(now).day;
+  const perDay = new Map();
+  const perWeek = new Map();
+  for (let i = days - 1; i >= 0; i--) {
+    const day = addDays(today, -i);
+    perDay.set(day, { day, minutes: 0, sessions: 0 });
+    const week = weekStart(day);
+    if (!perWeek.has(week)) {
+      perWeek.set(week, { weekStart: week, minutes: 0, sessions: 0 });
+    }
+  }
+  const perHour = Array.from({ length: 24 }, (_, hour) => ({ hour, minutes: 0, sessions: 0 }));
+  const byTrigger = { manual: 0, detection: 0, interval: 0, schedule: 0 };
+  let total = 0;
+
+  for (const session of sessions) {
+    const start = localTime(session.startedAt);
+    if (perDay.has(start.day)) {
+      total += 1;
+      byTrigger[session.trigger] = (byTrigger[session.trigger] ?? 0) + 1;
+      perDay.get(start.day).sessions += 1;
+      perWeek.get(weekStart(start.day)).sessions += 1;
+      perHour[start.hour].sessions += 1;
+    }
+
+    // Minutes count where they were played, even when a session runs past midnight
+    for (let t = session.startedAt; t < session.endedAt;) {
+      const next = Math.min(session.endedAt, (Math.floor(t / CHUNK_MS) + 1) * CHUNK_MS);
+      const local = localTime(t);
+      if (perDay.has(local.day)) {
+        const minutes = (next - t) / 60000;
+        perDay.get(local.day).minutes += minutes;
+        perWeek.get(weekStart(local.day)).minutes += minutes;
+        perHour[local.hour].minutes += minutes;
+      }
+      t = next;
+    }
+  }
+
+  const minutesPerDay = [...perDay.values()].map(entry => ({ ...entry, minutes: roundMinutes(entry.minutes) }));
+  const sessionsPerWeek = [...perWeek.values()].map(entry => ({ ...entry, minutes: roundMinutes(entry.minutes) }));
+  const peakHours = perHour.map(entry => ({ ...entry, minutes: roundMinutes(entry.minutes) }));
+  const totalMinutes = minutesPerDay.reduce((sum, entry) => sum + entry.minutes, 0);
+  const busiest = peakHours.reduce((best, entry) => (entry.minutes > (best?.minutes ?? 0) ? entry : best), null);
+
+  return {
+    days,
+    timezone: formatter.resolvedOptions().timeZone,
+    totals: {
+      sessions: total,
+      minutes: roundMinutes(totalMinutes),
+      averageSessionMinutes: total > 0 ? roundMinutes(totalMinutes / total) : 0,
+      byTrigger,
+      peakHour: busiest?.hour ?? null
+    },
+    minutesPerDay,
+    sessionsPerWeek,
+    peakHours
+  };
+}
+
+class SessionHistory {
+  /**
+   * options:
+   *   recordSession ({ trigger, startedBy, startedAt, endedAt, endReason }) => void, stores a finished session
+   */
+  constructor(options = {}) {
+    this.recordSession = options.recordSession || (() => {});
+    // Laser on by hand right now: { startedBy, startedAt }
+    this.manual = null;
+
+    console.log('Session History initialized');
+  }
+
+  /**
+   * Someone turned the laser on by hand
+   */
+  startManual(startedBy) {
+    if (!this.manual) {
+      this.manual = { startedBy, startedAt: Date.now() };
+    }
+  }
+
+  /**
+   * Manual play ended - reasons as for autonomous sessions (stopped, watchdog, ...)
+   */
+  endManual(endReason) {
+    if (!this.manual) {
+      return;
+    }
+
+    this.record({ trigger: 'manual', ...this.manual, endedAt: Date.now(), endReason });
+    this.manual = null;
+  }
+
+  /**
+   * An autonomous session ended (the AutonomousModeManager's ended summary)
+   */
+  recordAutonomous(ended) {
+    this.record({
+      trigger: ended.trigger,
+      startedBy: 'autonomous',
+      startedAt: ended.startedAt,
+      endedAt: ended.endedAt,
+      endReason: ended.endReason
+    });
+  }
+
+  record(session) {
+    try {
+      this.recordSession(session);
+    } catch (error) {
+      console.error('Error recording play session:', error.message);
+    }
+  }
+}
+
+module.exports = {
+  SessionHistory,
+  summarizeSessions,
+  DAY_MS
+};
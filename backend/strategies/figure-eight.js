@@ -0,0 +1,32 @@
+/**
+ * Figure-eight: loops around a sideways eight, a little bigger or smaller
+ * and a little quicker or slower every lap
+ */
+const POINTS_PER_LAP = 24;
+
+const between = (min, max) => min + Math.random() * (max - min);
+
+module.exports = {
+  id: 'figure-eight',
+  name: 'Figure-eight',
+  description: 'Smooth laps around a sideways eight',
+  next({ state }) {
+    if (state.point === undefined || state.point >= POINTS_PER_LAP) {
+      state.point = 0;
+      state.width = between(0.25, 0.4);
+      state.height = between(0.15, 0.3);
+      state.stepMs = between(250, 500);
+    }
+
+    // Lemniscate of Gerono, centered in the play area
+    const t = (2 * Math.PI * state.point) / POINTS_PER_LAP;
+    state.point += 1;
+    return {
+      x: 0.5 + state.width * Math.sin(t),
+      y: 0.5 + state.height * Math.sin(2 * t),
+      durationMs: state.stepMs,
+      // Linger a moment where the lap closes
+      holdMs: state.point === POINTS_PER_LAP ? between(500, 1500) : 0
+    };
+  }
+};
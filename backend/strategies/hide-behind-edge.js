@@ -0,0 +1,65 @@
+/**
+ * Hide behind the edge: runs off to an edge of the play area and vanishes,
+ * peeks back out a couple of times, then bolts into the open
+ */
+const EDGE = 0.03;
+const PEEK_DEPTH = 0.08;
+
+const between = (min, max) => min + Math.random() * (max - min);
+
+/**
+ * A random spot on one of the four edges, and the way back into the play area
+ */
+function pickEdge() {
+  const along = between(0.15, 0.85);
+  const edges = [
+    { x: EDGE, y: along, inward: { x: 1, y: 0 } },
+    { x: 1 - EDGE, y: along, inward: { x: -1, y: 0 } },
+    { x: along, y: EDGE, inward: { x: 0, y: 1 } },
+    { x: along, y: 1 - EDGE, inward: { x: 0, y: -1 } }
+  ];
+  return edges[Math.floor(Math.random() * edges.length)];
+}
+
+/**
+ * The steps of one hide-and-peek round
+ */
+function planRound() {
+  const edge = pickEdge();
+  const hide = { x: edge.x, y: edge.y };
+  const peek = {
+    x: edge.x + edge.inward.x * PEEK_DEPTH,
+    y: edge.y + edge.inward.y * PEEK_DEPTH
+  };
+
+  const steps = [
+    { ...hide, durationMs: between(300, 600), easing: 'ease-in' },
+    { laser: false, holdMs: between(1500, 4000) }
+  ];
+  const peeks = 1 + Math.floor(Math.random() * 3);
+  for (let i = 0; i < peeks; i++) {
+    steps.push(
+      { laser: true, ...hide, holdMs: between(200, 500) },
+      { ...peek, durationMs: between(300, 700), holdMs: between(300, 900) },
+      { ...hide, durationMs: 200 },
+      { laser: false, holdMs: between(800, 2500) }
+    );
+  }
+  steps.push(
+    { laser: true, ...hide, holdMs: 150 },
+    { x: between(0.3, 0.7), y: between(0.3, 0.7), easing: 'ease-out', holdMs: between(1000, 2500) }
+  );
+  return steps;
+}
+
+module.exports = {
+  id: 'hide-behind-edge',
+  name: 'Hide behind the edge',
+  description: 'Vanishes at an edge, peeks out, then bolts into the open',
+  next({ state }) {
+    if (!state.steps || state.steps.length === 0) {
+      state.steps = planRound();
+    }
+    return state.steps.shift();
+  }
+};
@@ -0,0 +1,31 @@
+/**
+ * Random darting: quick jumps to random spots, with short pauses in between
+ * and now and then a little twitch on the spot, like a fly that can't settle
+ */
+const TWITCH_CHANCE = 0.25;
+const TWITCH_SIZE = 0.05;
+const MARGIN = 0.1;
+
+const between = (min, max) => min + Math.random() * (max - min);
+
+module.exports = {
+  id: 'random-darting',
+  name: 'Random darting',
+  description: 'Fast jumps to random spots with short pauses',
+  next({ position }) {
+    if (Math.random() < TWITCH_CHANCE) {
+      return {
+        x: position.x + between(-TWITCH_SIZE, TWITCH_SIZE),
+        y: position.y + between(-TWITCH_SIZE, TWITCH_SIZE),
+        holdMs: between(150, 400)
+      };
+    }
+
+    return {
+      x: between(MARGIN, 1 - MARGIN),
+      y: between(MARGIN, 1 - MARGIN),
+      easing: 'ease-out',
+      holdMs: between(400, 1800)
+    };
+  }
+};
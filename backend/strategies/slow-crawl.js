@@ -0,0 +1,40 @@
+/**
+ * Slow crawl: creeps towards a spot in small steps, freezing now and then
+ * like prey that thinks it has been seen
+ */
+const STEP_SIZE = 0.04;
+const FREEZE_CHANCE = 0.15;
+const MARGIN = 0.1;
+
+const between = (min, max) => min + Math.random() * (max - min);
+
+module.exports = {
+  id: 'slow-crawl',
+  name: 'Slow crawl',
+  description: 'Creeps along in small steps and freezes now and then',
+  next({ position, state }) {
+    const goal = state.goal;
+    const distance = goal ? Math.hypot(goal.x - position.x, goal.y - position.y) : 0;
+
+    if (!goal || distance < STEP_SIZE) {
+      state.goal = { x: between(MARGIN, 1 - MARGIN), y: between(MARGIN, 1 - MARGIN) };
+      return { holdMs: between(800, 2000) };
+    }
+
+    if (Math.random() < FREEZE_CHANCE) {
+      return { holdMs: between(1500, 4000) };
+    }
+
+    // A small sideways wobble keeps the path from looking ruler-straight
+    const wobble = between(-0.3, 0.3);
+    const dx = (goal.x - position.x) / distance;
+    const dy = (goal.y - position.y) / distance;
+    return {
+      x: position.x + (dx - dy * wobble) * STEP_SIZE,
+      y: position.y + (dy + dx * wobble) * STEP_SIZE,
+      durationMs: between(700, 1400),
+      easing: 'ease-in-out',
+      holdMs: between(0, 300)
+    };
+  }
+};
@@ -0,0 +1,262 @@
+/**
+ * Play strategies for autonomous sessions, and the player that runs them
+ *
+ * A strategy is a plugin object:
+ *   {
+ *     id:          'kebab-case-id', also the key in settings.strategyWeights
+ *     name:        shown in the settings
+ *     description: one line about how it plays
+ *     weight:      default weight when the settings don't give one (1 if left out)
+ *     next(context) => the next step
+ *   }
+ * context.position is where the dot is now and context.state is scratch space
+ * the strategy keeps between steps; context.elapsedMs counts from the start.
+ * A step is { x, y, durationMs, easing, holdMs, laser }, all optional:
+ *   x, y        where to move, in the play area (0..1, origin top-left)
+ *   durationMs  how long the move should take (left out: as fast as possible)
+ *   easing      a LaserController easing
+ *   holdMs      how long to wait before asking for the next step
+ *   laser       switch the dot on or off before moving
+ *
+ * The play area is the camera frame when the laser is calibrated, and a box
+ * around the servo center otherwise. Built-in strategies live in ./strategies;
+ * loadStrategyPlugins registers every module in a directory.
+ */
+const fs = require('fs');
+const path = require('path');
+const { pixelToAngles } = require('./calibration');
+const { ANGLE_MIN, ANGLE_MAX } = require('./laser-controller');
+
+// Uncalibrated play area in servo angles - y runs down, tilt runs up
+const DEFAULT_AREA = { pan: [45, 135], tilt: [45, 135] };
+const MIN_STEP_GAP_MS = 50;
+const MAX_SPEED = 360;
+const STRATEGY_ID = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const strategies = new Map();
+
+/**
+ * Add a strategy to the library. A later registration with the same id replaces the earlier one.
+ */
+function registerStrategy(strategy) {
+  if (!strategy || !STRATEGY_ID.test(strategy.id)) {
+    throw new Error('Strategy id must be lowercase letters, digits and dashes');
+  }
+  if (typeof strategy.next !== 'function') {
+    throw new Error(`Strategy "${strategy.id}" has no next() function`);
+  }
+
+  strategies.set(strategy.id, {
+    name: strategy.id,
+    description: '',
+    weight: 1,
+    ...strategy
+  });
+}
+
+/**
+ * Register every .js module in a directory, each exporting one strategy or an array of them
+ */
+function loadStrategyPlugins(directory) {
+  if (!fs.existsSync(directory)) {
+    return;
+  }
+
+  for (const file of fs.readdirSync(directory).filter(name => name.endsWith('.js')).sort()) {
+    try {
+      const exported = require(path.join(directory, file));
+      for (const strategy of Array.isArray(exported) ? exported : [exported]) {
+        registerStrategy(strategy);
+      }
+    } catch (error) {
+      console.error(`Failed to load play strategy ${file}:`, error.message);
+    }
+  }
+}
+
+function getStrategy(id) {
+  return strategies.get(id) || null;
+}
+
+/**
+ * All registered strategies with the weight the given settings weights give them
+ */
+function getStrategies(weights = null) {
+  return [...strategies.values()].map(({ id, name, description, weight }) => ({
+    id,
+    name,
+    description,
+    weight: weights?.[id] ?? weight
+  }));
+}
+
+/**
+ * Pick a strategy at random, in proportion to its weight.
+ * Returns null when every weight is 0.
+ */
+function pickStrategy(weights = null, random = Math.random) {
+  const candidates = getStrategies(weights).filter(strategy => strategy.weight > 0);
+  const total = candidates.reduce((sum, strategy) => sum + strategy.weight, 0);
+  let roll = random() * total;
+
+  for (const candidate of candidates) {
+    roll -= candidate.weight;
+    if (roll < 0) {
+      return getStrategy(candidate.id);
+    }
+  }
+  return candidates.length > 0 ? getStrategy(candidates[candidates.length - 1].id) : null;
+}
+
+class StrategyPlayer {
+  /**
+   * options:
+   *   getCalibration () => the device's saved calibration, or null
+   *   onChange       (state) => void, called when a strategy starts or stops
+   */
+  constructor(laserController, options = {}) {
+    this.laserController = laserController;
+    this.getCalibration = options.getCalibration || (() => null);
+    this.onChange = options.onChange || (() => {});
+    // Bumped on every play/stop so an older loop notices and exits
+    this.playId = 0;
+    this.current = null;
+
+    console.log('Strategy Player initialized');
+  }
+
+  /**
+   * Servo angles for a point in the play area
+   */
+  toAngles(point) {
+    const calibration = this.getCalibration();
+    const angles = calibration
+      ? pixelToAngles(calibration.transform, point)
+      : {
+        pan: DEFAULT_AREA.pan[0] + point.x * (DEFAULT_AREA.pan[1] - DEFAULT_AREA.pan[0]),
+        tilt: DEFAULT_AREA.tilt[1] - point.y * (DEFAULT_AREA.tilt[1] - DEFAULT_AREA.tilt[0])
+      };
+    return {
+      pan: clamp(angles.pan, ANGLE_MIN, ANGLE_MAX),
+      tilt: clamp(angles.tilt, ANGLE_MIN, ANGLE_MAX)
+    };
+  }
+
+  /**
+   * Start running a strategy until stopped
+   */
+  play(strategy, { startedBy = null } = {}) {
+    const playId = ++this.playId;
+    this.current = {
+      strategyId: strategy.id,
+      name: strategy.name,
+      startedBy,
+      startedAt: Date.now()
+    };
+    console.log(`Playing strategy "${strategy.name}"`);
+    this.notify();
+
+    return this.run(playId, strategy);
+  }
+
+  /**
+   * Ask the strategy for steps and carry them out
+   */
+  async run(playId, strategy) {
+    const startedAt = Date.now();
+    const context = { position: { x: 0.5, y: 0.5 }, state: {}, elapsedMs: 0 };
+    let angles = await this.laserController.getPosition().catch(() => null);
+
+    while (playId === this.playId) {
+      context.elapsedMs = Date.now() - startedAt;
+
+      let step;
+      try {
+        step = strategy.next(context) || {};
+      } catch (error) {
+        console.error(`Strategy "${strategy.id}" failed:`, error.message);
+        break;
+      }
+
+      try {
+        if (typeof step.laser === 'boolean') {
+          await this.laserController.setLaser(step.laser);
+          // Stopped while that was in flight - a move now would outlive the stop
+          if (playId !== this.playId) {
+            break;
+          }
+        }
+
+        if (typeof step.x === 'number' && typeof step.y === 'number') {
+          const point = { x: clamp(step.x, 0, 1), y: clamp(step.y, 0, 1) };
+          const target = this.toAngles(point);
+          const distance = angles
+            ? Math.max(Math.abs(target.pan - angles.pan), Math.abs(target.tilt - angles.tilt))
+            : 0;
+          const speed = step.durationMs > 0 && distance > 0
+            ? clamp(distance / (step.durationMs / 1000), 1, MAX_SPEED)
+            : undefined;
+
+          const result = await this.laserController.moveTo(target, { speed, easing: step.easing });
+          if (playId !== this.playId || result.superseded) {
+            break;
+          }
+          angles = result.position;
+          context.position = point;
+        }
+      } catch (error) {
+        // A no-go zone or a device hiccup - the strategy just carries on with its next step
+        console.error(`Strategy "${strategy.id}" step failed:`, error.message);
+      }
+
+      await delay(Math.max(MIN_STEP_GAP_MS, step.holdMs || 0));
+    }
+
+    if (playId === this.playId) {
+      this.current = null;
+      this.notify();
+    }
+  }
+
+  /**
+   * Stop whatever is playing
+   */
+  stop() {
+    if (!this.current) {
+      return false;
+    }
+
+    this.playId++;
+    // A slow move could otherwise keep going for seconds after the stop
+    this.laserController.cancelMove();
+    console.log(`Stopped strategy "${this.current.name}"`);
+    this.current = null;
+    this.notify();
+    return true;
+  }
+
+  getState() {
+    return { playing: this.current };
+  }
+
+  notify() {
+    this.onChange(this.getState());
+  }
+
+  shutdown() {
+    this.stop();
+  }
+}
+
+module.exports = {
+  StrategyPlayer,
+  registerStrategy,
+  loadStrategyPlugins,
+  getStrategy,
+  getStrategies,
+  pickStrategy,
+  STRATEGY_ID
+};
@@ -0,0 +1,148 @@
+/**
+ * Absolute moves and guarded steps against a fake Flask device
+ * Run with `node --test` from the backend directory.
+ */
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+
+const { LaserController, STEP_DEGREES } = require('../laser-controller');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+let device;
+let halted;
+
+beforeEach(() => {
+  device = { pan: 90, tilt: 90, panBackwards: false };
+  halted = false;
+  // Just enough of Flask: /status reports the angles, /move-x and /move-y step them
+  mock.method(axios, 'get', async (url, { params } = {}) => {
+    if (url.endsWith('/move-x')) {
+      const right = (params.direction === 'right') !== device.panBackwards;
+      device.pan += right ? STEP_DEGREES : -STEP_DEGREES;
+    } else if (url.endsWith('/move-y')) {
+      device.tilt += params.direction === 'up' ? STEP_DEGREES : -STEP_DEGREES;
+    }
+    return { data: { status: 'success', current_pan: device.pan, current_tilt: device.tilt } };
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+function createController(zoneCheck = null) {
+  return new LaserController(() => 'http://flask.invalid', () => zoneCheck, () => halted);
+}
+
+// A no-go zone over pan 120-130
+const sofaCheck = (position) => (position.pan >= 120 && position.pan <= 130
+  ? { id: 1, name: 'Sofa' }
+  : null);
+
+test('a move without a speed steps straight to the target', async () => {
+  const controller = createController();
+  const result = await controller.moveTo({ pan: 110, tilt: 70 });
+  assert.strictEqual(result.reached, true);
+  assert.deepStrictEqual(result.position, { pan: 110, tilt: 70 });
+  assert.strictEqual(device.pan, 110);
+  assert.strictEqual(device.tilt, 70);
+});
+
+test('a move learns an axis that is wired backwards', async () => {
+  device.panBackwards = true;
+  const controller = createController();
+  const result = await controller.moveTo({ pan: 60, tilt: 90 });
+  assert.strictEqual(result.reached, true);
+  assert.strictEqual(device.pan, 60);
+  assert.strictEqual(controller.inverted.pan, true);
+});
+
+test('a move into a no-go zone is refused before any step', async () => {
+  const controller = createController(sofaCheck);
+  await assert.rejects(controller.moveTo({ pan: 125, tilt: 90 }), { code: 'NO_GO_ZONE' });
+  assert.strictEqual(device.pan, 90);
+});
+
+test('a move across a no-go zone stops short of it', async () => {
+  const controller = createController(sofaCheck);
+  await assert.rejects(controller.moveTo({ pan: 150, tilt: 90 }), { code: 'NO_GO_ZONE' });
+  assert.strictEqual(device.pan, 115);
+});
+
+test('a cancelled move stops where it is', async () => {
+  const controller = createController();
+  const move = controller.moveTo({ pan: 170, tilt: 90 }, { speed: 20 });
+
+  await delay(300);
+  controller.cancelMove();
+
+  const result = await move;
+  assert.strictEqual(result.superseded, true);
+  assert.strictEqual(result.reached, false);
+  const stoppedAt = device.pan;
+  await delay(200);
+  assert.strictEqual(device.pan, stoppedAt);
+});
+
+test('a new move takes over from a slow one', async () => {
+  const controller = createController();
+  const slow = controller.moveTo({ pan: 170, tilt: 90 }, { speed: 20 });
+  await delay(100);
+
+  const fast = await controller.moveTo({ pan: 60, tilt: 90 });
+  assert.strictEqual((await slow).superseded, true);
+  assert.strictEqual(fast.reached, true);
+  assert.strictEqual(device.pan, 60);
+});
+
+test('a guarded step moves outside no-go zones', async () => {
+  const controller = createController(sofaCheck);
+  await controller.guardedStep('x', 'right');
+  assert.strictEqual(device.pan, 90 + STEP_DEGREES);
+});
+
+test('a guarded step into a no-go zone is refused', async () => {
+  device.pan = 115;
+  const controller = createController(sofaCheck);
+  await assert.rejects(controller.guardedStep('x', 'right'), { code: 'NO_GO_ZONE' });
+  assert.strictEqual(device.pan, 115);
+});
+
+test('a guarded step on a backwards axis backs out of a no-go zone', async () => {
+  device.pan = 135;
+  device.panBackwards = true;
+  const controller = createController(sofaCheck);
+  // Predicted to go right, away from the zone, but lands inside it
+  await assert.rejects(controller.guardedStep('x', 'right'), { code: 'NO_GO_ZONE' });
+  assert.strictEqual(device.pan, 135);
+  assert.strictEqual(controller.inverted.pan, true);
+});
+
+test('an emergency stop ends a slow move where it is', async () => {
+  const controller = createController();
+  const move = controller.moveTo({ pan: 170, tilt: 90 }, { speed: 20 });
+
+  await delay(300);
+  // What POST /api/laser/emergency-stop does
+  halted = true;
+  controller.cancelMove();
+
+  const result = await move;
+  assert.strictEqual(result.reached, false);
+  const stoppedAt = device.pan;
+  assert.ok(stoppedAt < 170, `should have stopped short, is at ${stoppedAt}`);
+
+  await delay(200);
+  assert.strictEqual(device.pan, stoppedAt);
+});
+
+test('no step goes out while halted, even without a cancel', async () => {
+  const controller = createController();
+  halted = true;
+  await assert.rejects(controller.moveTo({ pan: 120, tilt: 90 }), { code: 'HALTED' });
+  await assert.rejects(controller.guardedStep('x', 'right'), { code: 'HALTED' });
+  assert.strictEqual(device.pan, 90);
+  assert.strictEqual(device.tilt, 90);
+});
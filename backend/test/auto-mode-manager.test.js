@@ -0,0 +1,104 @@
+/**
+ * Picking an interrupted autonomous session back up after a restart
+ * Run with `node --test` from the backend directory.
+ */
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+
+const AutonomousModeManager = require('../auto-mode-manager');
+
+const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6];
+// 23:30 UTC on a Monday
+const NOW = Date.UTC(2026, 0, 5, 23, 30);
+
+let laserOn;
+let requests;
+
+beforeEach(() => {
+  // Quiet hours and presence go by the wall clock, so new Date() has to follow too
+  mock.timers.enable({ apis: ['Date'], now: NOW });
+  laserOn = true;
+  requests = [];
+  mock.method(axios, 'get', async (url) => {
+    requests.push(url);
+    return { data: { status: 'success', laser_on: laserOn } };
+  });
+  mock.method(axios, 'post', async (url) => {
+    requests.push(url);
+    return { data: { status: 'success' } };
+  });
+});
+
+afterEach(() => {
+  mock.timers.reset();
+  mock.restoreAll();
+});
+
+/**
+ * A manager that restarts with a session 10 minutes from its end; runSession
+ * is replaced so a resume is recorded instead of played
+ */
+function createManager({ settings = {}, schedules = [] } = {}) {
+  const manager = new AutonomousModeManager(
+    () => ({ autonomousModeEnabled: true, presence: 'away', timezone: 'UTC', ...settings }),
+    () => 'http://flask.invalid',
+    {
+      getSchedules: () => schedules,
+      loadState: () => ({
+        lastActivationTime: NOW - 5 * 60 * 1000,
+        halted: null,
+        lastSession: null,
+        session: { trigger: 'interval', startedAt: NOW - 5 * 60 * 1000, endsAt: NOW + 10 * 60 * 1000 }
+      })
+    }
+  );
+  manager.resumed = [];
+  mock.method(manager, 'runSession', async (session) => {
+    manager.resumed.push(session);
+  });
+  return manager;
+}
+
+test('a session the device is still playing is resumed', async () => {
+  const manager = createManager();
+  await manager.restoreState();
+  assert.strictEqual(manager.resumed.length, 1);
+  assert.strictEqual(manager.lastSession, null);
+});
+
+test('a session is not resumed into quiet hours', async () => {
+  const manager = createManager({
+    schedules: [{
+      name: 'Night',
+      type: 'quiet',
+      enabled: true,
+      definition: { days: EVERY_DAY, start: '22:00', end: '07:00' }
+    }]
+  });
+  await manager.restoreState();
+  assert.strictEqual(manager.resumed.length, 0);
+  assert.strictEqual(manager.lastSession.endReason, 'interrupted');
+  assert.ok(requests.includes('http://flask.invalid/off'));
+});
+
+test('a session is not resumed once someone is home', async () => {
+  const manager = createManager({ settings: { presence: 'home' } });
+  await manager.restoreState();
+  assert.strictEqual(manager.resumed.length, 0);
+  assert.strictEqual(manager.lastSession.endReason, 'interrupted');
+});
+
+test('a session is not resumed with autonomous mode switched off', async () => {
+  const manager = createManager({ settings: { autonomousModeEnabled: false } });
+  await manager.restoreState();
+  assert.strictEqual(manager.resumed.length, 0);
+});
+
+test('a session is not resumed when the device laser is already off', async () => {
+  laserOn = false;
+  const manager = createManager();
+  await manager.restoreState();
+  assert.strictEqual(manager.resumed.length, 0);
+  assert.strictEqual(manager.lastSession.endReason, 'interrupted');
+});
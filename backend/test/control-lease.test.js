@@ -0,0 +1,82 @@
+/**
+ * Control lease: holding, lapsing and keeping it alive with commands
+ * Run with `node --test` from the backend directory.
+ */
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+
+const ControlLeaseManager = require('../control-lease');
+const ControlChannel = require('../control-channel');
+
+const probe = new ControlLeaseManager();
+const LEASE_TIMEOUT_MS = probe.getState().timeoutMs;
+probe.shutdown();
+
+let now;
+let lease;
+
+beforeEach(() => {
+  now = 1_000_000;
+  mock.method(Date, 'now', () => now);
+  lease = new ControlLeaseManager();
+});
+
+afterEach(() => {
+  lease.shutdown();
+  mock.restoreAll();
+});
+
+/**
+ * Move the clock on and let the lease drop whatever lapsed
+ */
+function advance(ms) {
+  now += ms;
+  lease.expireStale();
+}
+
+test('a lease lapses without heartbeats', () => {
+  const token = lease.acquire('tab-1', 'jasmi', 'user:1');
+  advance(LEASE_TIMEOUT_MS + 1);
+  assert.strictEqual(lease.isHolder(token), false);
+  assert.strictEqual(lease.getState().holder, null);
+});
+
+test('a held lease survives past the timeout while commands keep arriving', () => {
+  const token = lease.acquire('tab-1', 'jasmi', 'user:1');
+  for (let elapsed = 0; elapsed < LEASE_TIMEOUT_MS * 3; elapsed += LEASE_TIMEOUT_MS / 2) {
+    advance(LEASE_TIMEOUT_MS / 2);
+    // What requireLease does with every accepted laser command
+    assert.strictEqual(lease.heartbeat(token), true);
+  }
+  assert.strictEqual(lease.isHolder(token), true);
+});
+
+test('control channel intents keep the lease alive', async () => {
+  const sent = [];
+  const channel = new ControlChannel({
+    laserController: {
+      moveVelocity: async () => ({ steps: { x: 1, y: 0 } }),
+      getPosition: async () => ({ pan: 95, tilt: 90 })
+    },
+    controlLease: lease,
+    isHalted: () => false,
+    authenticate: () => 'jasmi',
+    onCommand: () => {}
+  });
+  const ws = { OPEN: 1, readyState: 1, send: (message) => sent.push(JSON.parse(message)) };
+  const token = lease.acquire('tab-1', 'jasmi', 'user:1');
+
+  for (let seq = 1; seq <= 4; seq++) {
+    advance(LEASE_TIMEOUT_MS / 2);
+    await channel.execute(ws, { type: 'move', seq, leaseToken: token, dx: 1, dy: 0 });
+  }
+
+  assert.strictEqual(lease.isHolder(token), true);
+  assert.ok(sent.every(message => message.type === 'ack'));
+});
+
+test('heartbeats with a stale token do not revive the lease', () => {
+  const token = lease.acquire('tab-1', 'jasmi', 'user:1');
+  advance(LEASE_TIMEOUT_MS + 1);
+  assert.strictEqual(lease.heartbeat(token), false);
+});
@@ -0,0 +1,120 @@
+/**
+ * Signed detection callbacks: signatures, replays, clock skew and key rotation
+ * Run with `node --test` from the backend directory.
+ */
+const { test, after, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The device keys and nonces live in the database - use a throwaway one
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cclt-device-auth-'));
+process.env.DB_PATH = path.join(dataDir, 'cclt.db');
+
+const { db, createDevice, addDeviceKey } = require('../database');
+const {
+  KEY_ROTATION_GRACE_MS,
+  generateDeviceSecret,
+  buildSignatureHeaders,
+  verifyDeviceRequest
+} = require('../device-auth');
+
+const BODY = JSON.stringify({ status: 'ok', confidence: 0.9 });
+
+let deviceCount = 0;
+
+/**
+ * A freshly registered device with one key
+ */
+function registerDevice() {
+  const deviceId = `pi-${++deviceCount}`;
+  const secret = generateDeviceSecret();
+  createDevice(deviceId, 'Test Pi');
+  addDeviceKey(deviceId, secret);
+  return { deviceId, secret };
+}
+
+/**
+ * Just enough of an Express request for verifyDeviceRequest
+ */
+function signedRequest(headers, body = BODY) {
+  return { get: (name) => headers[name], rawBody: Buffer.from(body) };
+}
+
+after(() => {
+  db.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('a correctly signed request is accepted', () => {
+  const { deviceId, secret } = registerDevice();
+  const result = verifyDeviceRequest(signedRequest(buildSignatureHeaders(deviceId, secret, BODY)));
+  assert.deepStrictEqual(result, { valid: true, deviceId });
+});
+
+test('a request signed with the wrong key is rejected', () => {
+  const { deviceId } = registerDevice();
+  const headers = buildSignatureHeaders(deviceId, generateDeviceSecret(), BODY);
+  assert.deepStrictEqual(verifyDeviceRequest(signedRequest(headers)), { valid: false, error: 'Invalid signature' });
+});
+
+test('a tampered body no longer matches its signature', () => {
+  const { deviceId, secret } = registerDevice();
+  const headers = buildSignatureHeaders(deviceId, secret, BODY);
+  const tampered = JSON.stringify({ status: 'ok', confidence: 0.1 });
+  assert.strictEqual(verifyDeviceRequest(signedRequest(headers, tampered)).error, 'Invalid signature');
+});
+
+test('missing signature headers are rejected', () => {
+  const { deviceId, secret } = registerDevice();
+  const headers = buildSignatureHeaders(deviceId, secret, BODY);
+  delete headers['X-CCLT-Nonce'];
+  assert.strictEqual(verifyDeviceRequest(signedRequest(headers)).error, 'Missing signature headers');
+});
+
+test('a replayed request is rejected', () => {
+  const { deviceId, secret } = registerDevice();
+  const headers = buildSignatureHeaders(deviceId, secret, BODY);
+  assert.strictEqual(verifyDeviceRequest(signedRequest(headers)).valid, true);
+  assert.deepStrictEqual(verifyDeviceRequest(signedRequest(headers)), { valid: false, error: 'Replayed request' });
+});
+
+test('a request from too far in the past or future is rejected', () => {
+  const { deviceId, secret } = registerDevice();
+  const now = Date.now();
+
+  for (const skewMs of [-6 * 60 * 1000, 6 * 60 * 1000]) {
+    mock.method(Date, 'now', () => now + skewMs);
+    const headers = buildSignatureHeaders(deviceId, secret, BODY);
+    mock.restoreAll();
+    assert.strictEqual(verifyDeviceRequest(signedRequest(headers)).error, 'Stale or invalid timestamp');
+  }
+});
+
+test('a device clock a little off is tolerated', () => {
+  const { deviceId, secret } = registerDevice();
+  const now = Date.now();
+  mock.method(Date, 'now', () => now - 4 * 60 * 1000);
+  const headers = buildSignatureHeaders(deviceId, secret, BODY);
+  mock.restoreAll();
+  assert.strictEqual(verifyDeviceRequest(signedRequest(headers)).valid, true);
+});
+
+test('the old key keeps working during the rotation grace period, and not after', () => {
+  const { deviceId, secret: oldSecret } = registerDevice();
+  const newSecret = generateDeviceSecret();
+  addDeviceKey(deviceId, newSecret, KEY_ROTATION_GRACE_MS);
+
+  assert.strictEqual(verifyDeviceRequest(signedRequest(buildSignatureHeaders(deviceId, oldSecret, BODY))).valid, true);
+  assert.strictEqual(verifyDeviceRequest(signedRequest(buildSignatureHeaders(deviceId, newSecret, BODY))).valid, true);
+
+  // The grace period runs out
+  db.prepare(`
+    UPDATE device_keys SET expires_at = datetime('now', '-1 minute')
+    WHERE device_id = ? AND expires_at IS NOT NULL
+  `).run(deviceId);
+
+  assert.strictEqual(verifyDeviceRequest(signedRequest(buildSignatureHeaders(deviceId, oldSecret, BODY))).error, 'Invalid signature');
+  assert.strictEqual(verifyDeviceRequest(signedRequest(buildSignatureHeaders(deviceId, newSecret, BODY))).valid, true);
+});
@@ -0,0 +1,52 @@
+/**
+ * Velocity moves: how stick deflection turns into servo steps
+ * Run with `node --test` from the backend directory.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { LaserController } = require('../laser-controller');
+
+/**
+ * A controller whose steps are counted instead of sent to Flask
+ */
+function createController() {
+  const controller = new LaserController(() => 'http://flask.invalid');
+  controller.sent = [];
+  controller.guardedStep = async (axis, direction) => {
+    controller.sent.push(`${axis}:${direction}`);
+  };
+  return controller;
+}
+
+test('a full push moves the most steps', async () => {
+  const controller = createController();
+  const { steps } = await controller.moveVelocity(1, -1);
+  assert.deepStrictEqual(steps, { x: 2, y: -2 });
+  assert.deepStrictEqual(controller.sent.sort(), ['x:right', 'x:right', 'y:up', 'y:up']);
+});
+
+test('a half push moves on the first command', async () => {
+  const controller = createController();
+  const { steps } = await controller.moveVelocity(0.5, -0.5);
+  assert.deepStrictEqual(steps, { x: 1, y: -1 });
+});
+
+test('a light push still moves, less often', async () => {
+  const controller = createController();
+  let moved = 0;
+  for (let i = 0; i < 10; i++) {
+    moved += (await controller.moveVelocity(0.1, 0)).steps.x;
+  }
+  assert.strictEqual(moved, 2);
+  assert.ok(controller.sent.every(step => step === 'x:right'));
+});
+
+test('reversing drops the carry from the other direction', async () => {
+  const controller = createController();
+  await controller.moveVelocity(0.2, 0);
+  controller.sent = [];
+  const { steps } = await controller.moveVelocity(-0.2, 0);
+  assert.strictEqual(steps.x, 0);
+  assert.deepStrictEqual(controller.sent, []);
+});
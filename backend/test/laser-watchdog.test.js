@@ -0,0 +1,76 @@
+/**
+ * Laser watchdog: when it turns a laser left on back off
+ * Run with `node --test` from the backend directory.
+ */
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+
+const LaserWatchdog = require('../laser-watchdog');
+
+const HEARTBEAT_MS = 3000; // how often the UI sends lease heartbeats
+
+let now;
+let laserOn;
+let trips;
+let watchdog;
+
+beforeEach(() => {
+  now = 1_000_000;
+  laserOn = true;
+  trips = [];
+  mock.method(Date, 'now', () => now);
+  // Stand-in for the Flask server: /status reports the laser, /off turns it off
+  mock.method(axios, 'get', async (url) => {
+    if (url.endsWith('/off')) {
+      laserOn = false;
+    }
+    return { data: { laser_on: laserOn } };
+  });
+  watchdog = new LaserWatchdog(() => 'http://flask.invalid', (trip) => trips.push(trip));
+});
+
+afterEach(() => {
+  watchdog.shutdown();
+  mock.restoreAll();
+});
+
+test('an active client does not trip the watchdog', async () => {
+  const { heartbeatTimeoutMs } = watchdog.getState();
+  watchdog.markOn('jasmi');
+
+  for (let elapsed = 0; elapsed < heartbeatTimeoutMs * 4; elapsed += HEARTBEAT_MS) {
+    now += HEARTBEAT_MS;
+    watchdog.heartbeat();
+    await watchdog.check();
+  }
+
+  assert.deepStrictEqual(trips, []);
+  assert.strictEqual(laserOn, true);
+});
+
+test('a client that goes quiet trips the watchdog', async () => {
+  const { heartbeatTimeoutMs } = watchdog.getState();
+  watchdog.markOn('jasmi');
+
+  now += heartbeatTimeoutMs + 1;
+  await watchdog.check();
+
+  assert.strictEqual(trips.length, 1);
+  assert.strictEqual(trips[0].reason, 'Controlling client stopped sending heartbeats');
+  assert.strictEqual(laserOn, false);
+});
+
+test('heartbeats do not stretch the maximum on-time', async () => {
+  const { maxOnMs } = watchdog.getState();
+  watchdog.markOn('jasmi');
+
+  for (let elapsed = 0; elapsed <= maxOnMs; elapsed += HEARTBEAT_MS) {
+    now += HEARTBEAT_MS;
+    watchdog.heartbeat();
+    await watchdog.check();
+  }
+
+  assert.strictEqual(trips.length, 1);
+  assert.strictEqual(trips[0].reason, 'Maximum continuous on-time reached');
+});
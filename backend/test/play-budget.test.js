@@ -0,0 +1,102 @@
+/**
+ * Daily play budget running out and the rest period between sessions
+ * Run with `node --test` from the backend directory.
+ */
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+
+const PlayBudget = require('../play-budget');
+
+const MINUTE = 60 * 1000;
+// 10:00 UTC on a Monday
+const NOW = Date.UTC(2026, 0, 5, 10, 0);
+
+let settings;
+let usage;
+let exhausted;
+let budget;
+
+beforeEach(() => {
+  // Days are counted by the wall clock, so new Date() has to follow too
+  mock.timers.enable({ apis: ['Date'], now: NOW });
+  settings = { timezone: 'UTC', dailyBudgetMinutes: 30, restMinutes: 15, budgetEnforcement: 'block' };
+  usage = new Map();
+  exhausted = [];
+  budget = new PlayBudget(() => settings, {
+    getUsage: (day) => usage.get(day) || 0,
+    addUsage: (day, ms) => usage.set(day, (usage.get(day) || 0) + ms),
+    onExhausted: (source) => exhausted.push(source)
+  });
+});
+
+afterEach(() => {
+  budget.shutdown();
+  mock.timers.reset();
+});
+
+test('play within the budget is not blocked', () => {
+  budget.start('manual');
+  mock.timers.tick(20 * MINUTE);
+  budget.check();
+  assert.strictEqual(budget.getState().exhausted, false);
+  assert.strictEqual(budget.getState().remainingMs, 10 * MINUTE);
+  assert.deepStrictEqual(exhausted, []);
+});
+
+test('running out mid-session is reported once, to the source playing', () => {
+  budget.start('autonomous');
+  mock.timers.tick(31 * MINUTE);
+  budget.check();
+  mock.timers.tick(MINUTE);
+  budget.check();
+  assert.deepStrictEqual(exhausted, ['autonomous']);
+});
+
+test('a used-up budget blocks the next session for the rest of the day', () => {
+  budget.start('manual');
+  mock.timers.tick(30 * MINUTE);
+  budget.stop();
+  mock.timers.tick(60 * MINUTE);
+  assert.strictEqual(budget.getBlock().code, 'BUDGET_EXHAUSTED');
+});
+
+test('the budget starts over at midnight in the owner\'s timezone', () => {
+  usage.set('2026-01-05', 30 * MINUTE);
+  assert.strictEqual(budget.getBlock().code, 'BUDGET_EXHAUSTED');
+
+  // Midnight in Helsinki is 22:00 UTC
+  settings.timezone = 'Europe/Helsinki';
+  mock.timers.tick(12 * 60 * MINUTE + 1);
+  assert.strictEqual(budget.getBlock(), null);
+});
+
+test('no daily limit never runs out', () => {
+  settings.dailyBudgetMinutes = 0;
+  budget.start('manual');
+  mock.timers.tick(10 * 60 * MINUTE);
+  budget.check();
+  assert.strictEqual(budget.getState().exhausted, false);
+  assert.deepStrictEqual(exhausted, []);
+});
+
+test('a session has to wait out the rest period after the last one', () => {
+  budget.start('manual');
+  mock.timers.tick(5 * MINUTE);
+  budget.stop();
+
+  mock.timers.tick(5 * MINUTE);
+  const block = budget.getBlock();
+  assert.strictEqual(block.code, 'RESTING');
+  assert.strictEqual(block.message, 'Resting for another 10 min');
+
+  mock.timers.tick(10 * MINUTE);
+  assert.strictEqual(budget.getBlock(), null);
+});
+
+test('a short break is not a new session and needs no rest', () => {
+  budget.start('manual');
+  mock.timers.tick(5 * MINUTE);
+  budget.stop();
+  mock.timers.tick(30 * 1000);
+  assert.strictEqual(budget.getBlock(), null);
+});
@@ -0,0 +1,79 @@
+/**
+ * No-go zones: which laser positions they contain, with and without a calibration
+ * Run with `node --test` from the backend directory.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { zoneContains, findBlockingZone, validateZone } = require('../safety-zones');
+
+// Camera left to right is pan 135 to 45, top to bottom is tilt 120 to 60
+const calibration = { transform: { pan: [-90, 0, 135], tilt: [0, -60, 120] } };
+
+// A square in the middle of the camera frame: pan 81-99, tilt 84-96
+const square = {
+  id: 1,
+  name: 'Sofa',
+  type: 'polygon',
+  enabled: true,
+  definition: { points: [{ x: 0.4, y: 0.4 }, { x: 0.6, y: 0.4 }, { x: 0.6, y: 0.6 }, { x: 0.4, y: 0.6 }] }
+};
+
+// An L along the left and bottom edges, with the top right cut out
+const ell = {
+  id: 2,
+  name: 'Bookshelf',
+  type: 'polygon',
+  enabled: true,
+  definition: {
+    points: [{ x: 0, y: 0 }, { x: 0.2, y: 0 }, { x: 0.2, y: 0.8 }, { x: 1, y: 0.8 }, { x: 1, y: 1 }, { x: 0, y: 1 }]
+  }
+};
+
+const windowZone = { id: 3, name: 'Window', type: 'angles', enabled: true, definition: { pan: [150, 180] } };
+
+test('a polygon zone contains the positions that land inside it on camera', () => {
+  assert.strictEqual(zoneContains(square, { pan: 90, tilt: 90 }, calibration), true);
+  assert.strictEqual(zoneContains(square, { pan: 120, tilt: 90 }, calibration), false);
+  assert.strictEqual(zoneContains(square, { pan: 90, tilt: 110 }, calibration), false);
+});
+
+test('a concave polygon zone leaves its cut-out free', () => {
+  // x 0.1, y 0.5 - in the upright of the L
+  assert.strictEqual(zoneContains(ell, { pan: 126, tilt: 90 }, calibration), true);
+  // x 0.5, y 0.9 - in the foot of the L
+  assert.strictEqual(zoneContains(ell, { pan: 90, tilt: 66 }, calibration), true);
+  // x 0.5, y 0.5 - in the cut-out
+  assert.strictEqual(zoneContains(ell, { pan: 90, tilt: 90 }, calibration), false);
+});
+
+test('an angle zone contains its ranges, an omitted axis covering everything', () => {
+  assert.strictEqual(zoneContains(windowZone, { pan: 160, tilt: 10 }, calibration), true);
+  assert.strictEqual(zoneContains(windowZone, { pan: 160, tilt: 170 }, null), true);
+  assert.strictEqual(zoneContains(windowZone, { pan: 140, tilt: 90 }, calibration), false);
+});
+
+test('without a calibration only angle zones can block', () => {
+  assert.strictEqual(zoneContains(square, { pan: 90, tilt: 90 }, null), false);
+  assert.strictEqual(findBlockingZone({ pan: 90, tilt: 90 }, [square, windowZone], null), null);
+  assert.strictEqual(findBlockingZone({ pan: 160, tilt: 90 }, [square, windowZone], null), windowZone);
+});
+
+test('a calibration that cannot be inverted blocks nothing through polygons', () => {
+  const flat = { transform: { pan: [1, 1, 0], tilt: [1, 1, 0] } };
+  assert.strictEqual(zoneContains(square, { pan: 90, tilt: 90 }, flat), false);
+});
+
+test('the first enabled zone containing a position blocks it', () => {
+  const disabledSquare = { ...square, enabled: false };
+  assert.strictEqual(findBlockingZone({ pan: 90, tilt: 90 }, [disabledSquare, ell], calibration), null);
+  assert.strictEqual(findBlockingZone({ pan: 90, tilt: 90 }, [ell, square], calibration), square);
+  assert.strictEqual(findBlockingZone({ pan: 60, tilt: 100 }, [ell, square, windowZone], calibration), null);
+});
+
+test('polygon zones can only be drawn once the laser is calibrated', () => {
+  const zone = { name: square.name, type: square.type, definition: square.definition };
+  assert.deepStrictEqual(validateZone(zone, calibration), { valid: true, errors: [] });
+  assert.deepStrictEqual(validateZone(zone, null).errors, ['Calibrate the laser before drawing zones on the camera view']);
+  assert.strictEqual(validateZone({ name: 'Window', type: 'angles', definition: { pan: [150, 180] } }, null).valid, true);
+});
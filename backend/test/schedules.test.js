@@ -0,0 +1,102 @@
+/**
+ * Next play slot and end of quiet hours, across midnight and DST changes
+ * Run with `node --test` from the backend directory.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { findNextSlot, findQuietEnd } = require('../schedules');
+
+// US Eastern: clocks go forward on 8 March 2026 and back on 1 November 2026
+const TIME_ZONE = 'America/New_York';
+const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6];
+
+function play(times, days = EVERY_DAY) {
+  return { name: 'Play', type: 'play', enabled: true, definition: { days, times } };
+}
+
+function quiet(start, end, days = EVERY_DAY) {
+  return { name: 'Quiet', type: 'quiet', enabled: true, definition: { days, start, end } };
+}
+
+test('the next slot is later today when one is left', () => {
+  // Monday 5 January, 10:00 EST
+  const from = Date.UTC(2026, 0, 5, 15, 0);
+  assert.strictEqual(findNextSlot([play(['09:00', '18:00'], [1])], from, TIME_ZONE), Date.UTC(2026, 0, 5, 23, 0));
+});
+
+test('a slot already past today comes round next week', () => {
+  const from = Date.UTC(2026, 0, 5, 15, 0);
+  assert.strictEqual(findNextSlot([play(['09:00'], [1])], from, TIME_ZONE), Date.UTC(2026, 0, 12, 14, 0));
+});
+
+test('slots inside quiet hours that cross midnight are skipped', () => {
+  const schedules = [play(['07:00', '21:00']), quiet('22:00', '08:00')];
+  // Monday 21:30 EST - Tuesday's 07:00 is still quiet, so Tuesday's 21:00 is next
+  const from = Date.UTC(2026, 0, 6, 2, 30);
+  assert.strictEqual(findNextSlot(schedules, from, TIME_ZONE), Date.UTC(2026, 0, 7, 2, 0));
+});
+
+test('disabled or missing play schedules give no slot', () => {
+  const disabled = { ...play(['09:00']), enabled: false };
+  assert.strictEqual(findNextSlot([disabled, quiet('22:00', '07:00')], Date.now(), TIME_ZONE), null);
+});
+
+test('a slot on the day clocks go forward keeps its wall-clock time', () => {
+  // Saturday 7 March, 12:00 EST - Sunday's 09:00 is already EDT
+  const from = Date.UTC(2026, 2, 7, 17, 0);
+  assert.strictEqual(findNextSlot([play(['09:00'], [0])], from, TIME_ZONE), Date.UTC(2026, 2, 8, 13, 0));
+});
+
+test('a slot on the day clocks go back keeps its wall-clock time', () => {
+  // Saturday 31 October, 12:00 EDT - Sunday's 09:00 is already EST
+  const from = Date.UTC(2026, 9, 31, 16, 0);
+  assert.strictEqual(findNextSlot([play(['09:00'], [0])], from, TIME_ZONE), Date.UTC(2026, 10, 1, 14, 0));
+});
+
+test('a slot in the hour clocks skip is passed over', () => {
+  // 02:30 never comes round on 8 March - the clocks jump from 02:00 to 03:00
+  const from = Date.UTC(2026, 2, 7, 17, 0);
+  assert.strictEqual(findNextSlot([play(['02:30', '09:00'], [0])], from, TIME_ZONE), Date.UTC(2026, 2, 8, 13, 0));
+});
+
+test('outside quiet hours the quiet end is now', () => {
+  const from = Date.UTC(2026, 0, 5, 15, 0);
+  assert.strictEqual(findQuietEnd([quiet('22:00', '07:00')], from, TIME_ZONE), from);
+});
+
+test('quiet hours crossing midnight end the next morning', () => {
+  // Monday 23:30 EST
+  const from = Date.UTC(2026, 0, 6, 4, 30);
+  assert.strictEqual(findQuietEnd([quiet('22:00', '07:00')], from, TIME_ZONE), Date.UTC(2026, 0, 6, 12, 0));
+});
+
+test('the morning part of last night\'s quiet hours ends the same morning', () => {
+  // Tuesday 01:00 EST, inside the window that started Monday evening
+  const from = Date.UTC(2026, 0, 6, 6, 0);
+  assert.strictEqual(findQuietEnd([quiet('22:00', '07:00', [1])], from, TIME_ZONE), Date.UTC(2026, 0, 6, 12, 0));
+});
+
+test('back-to-back quiet hours hand over to each other', () => {
+  const from = Date.UTC(2026, 0, 6, 4, 30);
+  const schedules = [quiet('22:00', '07:00'), quiet('06:00', '09:00')];
+  assert.strictEqual(findQuietEnd(schedules, from, TIME_ZONE), Date.UTC(2026, 0, 6, 14, 0));
+});
+
+test('quiet hours across the night clocks go forward end at the wall-clock time', () => {
+  // Saturday 7 March, 23:00 EST - 07:00 on Sunday is EDT
+  const from = Date.UTC(2026, 2, 8, 4, 0);
+  assert.strictEqual(findQuietEnd([quiet('22:00', '07:00')], from, TIME_ZONE), Date.UTC(2026, 2, 8, 11, 0));
+});
+
+test('quiet hours ending in the hour clocks skip end when the clocks jump', () => {
+  // Saturday 7 March, 23:00 EST - 02:30 never comes round, the clocks go from 02:00 EST to 03:00 EDT
+  const from = Date.UTC(2026, 2, 8, 4, 0);
+  assert.strictEqual(findQuietEnd([quiet('22:00', '02:30')], from, TIME_ZONE), Date.UTC(2026, 2, 8, 7, 0));
+});
+
+test('quiet hours across the night clocks go back end at the wall-clock time', () => {
+  // Saturday 31 October, 23:00 EDT - 07:00 on Sunday is EST
+  const from = Date.UTC(2026, 10, 1, 3, 0);
+  assert.strictEqual(findQuietEnd([quiet('22:00', '07:00')], from, TIME_ZONE), Date.UTC(2026, 10, 1, 12, 0));
+});
@@ -4,9 +4,32 @@ import Joystick from "./Components/Joystick";
 import Alert from "./Components/Alert";
 import SettingsIcon from "@mui/icons-material/Settings";
 import RefreshIcon from "@mui/icons-material/Refresh";
+import LogoutIcon from "@mui/icons-material/Logout";
+import FiberManualRecordIcon from "@mui/icons-material/FiberManualRecord";
+import ReportIcon from "@mui/icons-material/Report";
+import PetsIcon from "@mui/icons-material/Pets";
 import FullScreenDialog from "./Components/SettingsDialog";
+import LoginScreen from "./Components/LoginScreen";
+import ControlBanner from "./Components/ControlBanner";
+import AutonomousBanner from "./Components/AutonomousBanner";
+import { getNormalizedClick, getImagePoint } from "./videoCoordinates";
+import { useGamepad } from "./gamepad";
+
+// Identifies this browser tab to the control lease
+const CLIENT_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+const LEASE_HEARTBEAT_MS = 3000;
+const CONTROL_RECONNECT_MS = 2000;
+// Keyboard arrows as one full-deflection velocity tick
+const KEY_VECTORS = {
+  left: { dx: -1, dy: 0 },
+  right: { dx: 1, dy: 0 },
+  up: { dx: 0, dy: -1 },
+  down: { dx: 0, dy: 1 },
+};
 
 function App() {
+  const [user, setUser] = useState(null);
+  const [authChecked, setAuthChecked] = useState(false);
   const [backendStatus, setBackendStatus] = useState("checking...");
   const [isConnected, setIsConnected] = useState(false);
   const [laserOn, setLaserOn] = useState(false);
@@ -16,18 +39,56 @@ function App() {
   const [catDetected, setCatDetected] = useState(false);
   const [showAlert, setShowAlert] = useState(false);
   const [settingsOpen, setSettingsOpen] = useState(false);
+  const [lease, setLease] = useState(null);
+  const [aimMarker, setAimMarker] = useState(null);
+  const [recording, setRecording] = useState(false);
+  const [lagMs, setLagMs] = useState(null);
+  const [watchdogTrip, setWatchdogTrip] = useState(null);
+  // Emergency stop in effect: { by, at }
+  const [halted, setHalted] = useState(null);
+  const [gamepadMapping, setGamepadMapping] = useState(null);
+  const [autonomousStatus, setAutonomousStatus] = useState(null);
+  // Today's play time against the daily budget
+  const [playBudget, setPlayBudget] = useState(null);
+  // Cat tracking in progress: { startedBy, startedAt }
+  const [tracking, setTracking] = useState(null);
+
+  // Secret token proving this tab holds the control lease
+  const leaseTokenRef = useRef(null);
+  // True while a joystick vector command is on its way - newer ticks are skipped
+  const vectorInFlightRef = useRef(false);
+  // Control channel WebSocket, and when each not-yet-acknowledged intent was sent
+  const controlSocketRef = useRef(null);
+  const controlSeqRef = useRef(0);
+  const sentAtRef = useRef(new Map());
 
   const ALERT_COOLDOWN_MS = 3 * 60 * 1000; // 3 minutes
   // Tracks the last time the alert was shown so we can enforce the cooldown
   const lastAlertTimeRef = useRef(0);
   // Mirrors catDetected in a ref so interval callbacks always read the latest value
   const catDetectedRef = useRef(false);
+  const cameraFeedRef = useRef(null);
 
   useEffect(() => {
-    checkBackendHealth();
+    checkSession();
   }, []);
 
   useEffect(() => {
+    if (!user) return;
+    checkBackendHealth();
+    loadHaltState();
+    loadLease();
+    loadAutonomousStatus();
+    loadPlayBudget();
+    loadTracking();
+  }, [user]);
+
+  const isGuest = user?.role === "guest";
+  // Guests with a view-only link can watch but not move the laser
+  const canControl = Boolean(user) && (!isGuest || user.permission === "control");
+
+  useEffect(() => {
+    if (!canControl) return;
     const handleKeyDown = (event) => {
       if (
         ["ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight"].includes(event.key)
@@ -69,9 +130,16 @@ function App() {
       window.removeEventListener("keydown", handleKeyDown);
       window.removeEventListener("keyup", handleKeyUp);
     };
-  }, [isMoving]);
+  }, [isMoving, canControl]);
+
+  // Gamepad mapping lives in the user's settings - reload it when the dialog closes
+  useEffect(() => {
+    if (!user || isGuest || settingsOpen) return;
+    loadGamepadMapping();
+  }, [user, settingsOpen]);
 
   useEffect(() => {
+    if (!user) return;
     const eventSource = new EventSource('/api/detection/events');
 
     eventSource.onmessage = (event) => {
@@ -89,6 +157,73 @@ function App() {
       }
     };
 
+    eventSource.addEventListener('lease', (event) => {
+      try {
+        setLease(JSON.parse(event.data));
+      } catch (error) {
+        console.error('Failed to parse lease event:', error);
+      }
+    });
+
+    // An autonomous session started or ended
+    eventSource.addEventListener('autonomous', (event) => {
+      try {
+        receiveAutonomousStatus(JSON.parse(event.data));
+      } catch (error) {
+        console.error('Failed to parse autonomous event:', error);
+      }
+    });
+
+    // Someone pressed the emergency stop, or re-armed the laser
+    eventSource.addEventListener('halt', (event) => {
+      try {
+        const { halted } = JSON.parse(event.data);
+        setHalted(halted);
+        if (halted) {
+          leaseTokenRef.current = null;
+          setLaserOn(false);
+          setRecording(false);
+        }
+      } catch (error) {
+        console.error('Failed to parse halt event:', error);
+      }
+    });
+
+    // Cat tracking started or stopped
+    eventSource.addEventListener('tracking', (event) => {
+      try {
+        setTracking(JSON.parse(event.data).tracking);
+      } catch (error) {
+        console.error('Failed to parse tracking event:', error);
+      }
+    });
+
+    // Play time was booked, the budget changed, or it ran out
+    eventSource.addEventListener('budget', (event) => {
+      try {
+        const budget = JSON.parse(event.data);
+        setPlayBudget(budget);
+        // Out of budget with blocking on: the backend turned the laser off
+        if (budget.exhausted && budget.enforcement === 'block' && !budget.playing) {
+          setLaserOn(false);
+        }
+      } catch (error) {
+        console.error('Failed to parse budget event:', error);
+      }
+    });
+
+    // The backend watchdog turned the laser off on its own
+    eventSource.addEventListener('watchdog', (event) => {
+      try {
+        const trip = JSON.parse(event.data);
+        console.warn('Laser watchdog tripped:', trip.reason);
+        setWatchdogTrip(trip);
+        setLaserOn(false);
+      } catch (error) {
+        console.error('Failed to parse watchdog event:', error);
+      }
+    });
+
     eventSource.onerror = (error) => {
       console.error('SSE connection error:', error);
     };
@@ -96,7 +231,100 @@ function App() {
     return () => {
       eventSource.close();
     };
-  }, []);
+  }, [user]);
+
+  // Control channel: stream movement intents, measure lag from the acks
+  useEffect(() => {
+    if (!canControl) return;
+    let closed = false;
+    let reconnectTimer = null;
+
+    const connect = () => {
+      const protocol = window.location.protocol === "https:" ? "wss" : "ws";
+      const socket = new WebSocket(`${protocol}://${window.location.host}/api/control/ws`);
+      controlSocketRef.current = socket;
+
+      socket.onmessage = (event) => {
+        try {
+          const message = JSON.parse(event.data);
+          const sentAt = sentAtRef.current.get(message.seq);
+
+          // Older intents were coalesced into this one - forget them too
+          for (const seq of sentAtRef.current.keys()) {
+            if (seq <= message.seq) sentAtRef.current.delete(seq);
+          }
+
+          if (message.type === "ack" && sentAt) {
+            setLagMs(Date.now() - sentAt);
+          } else if (message.type === "error") {
+            if (message.code === "NO_LEASE") {
+              leaseTokenRef.current = null;
+            } else {
+              console.error("Control channel error:", message.error);
+            }
+          }
+        } catch (error) {
+          console.error("Failed to parse control message:", error);
+        }
+      };
+
+      socket.onclose = () => {
+        controlSocketRef.current = null;
+        sentAtRef.current.clear();
+        setLagMs(null);
+        if (!closed) {
+          reconnectTimer = setTimeout(connect, CONTROL_RECONNECT_MS);
+        }
+      };
+    };
+
+    connect();
+
+    return () => {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      controlSocketRef.current?.close();
+    };
+  }, [canControl]);
+
+  // Keep the control lease (and with it the laser watchdog) alive while this tab holds it,
+  // and hand it back when the tab goes away
+  useEffect(() => {
+    if (!canControl) return;
+
+    const interval = setInterval(async () => {
+      if (!leaseTokenRef.current) return;
+      try {
+        const response = await fetch("/api/control/lease/heartbeat", {
+          method: "POST",
+          headers: { "X-Lease-Token": leaseTokenRef.current },
+        });
+        if (response.status === 409) {
+          // Lease lapsed or was handed over
+          leaseTokenRef.current = null;
+          const data = await response.json();
+          setLease(data.lease ?? null);
+        }
+      } catch (error) {
+        console.error("Control lease heartbeat failed:", error);
+      }
+    }, LEASE_HEARTBEAT_MS);
+
+    const handlePageHide = () => {
+      if (!leaseTokenRef.current) return;
+      navigator.sendBeacon(
+        "/api/control/lease/release",
+        new Blob([JSON.stringify({ leaseToken: leaseTokenRef.current })], { type: "application/json" })
+      );
+      leaseTokenRef.current = null;
+    };
+    window.addEventListener("pagehide", handlePageHide);
+
+    return () => {
+      clearInterval(interval);
+      window.removeEventListener("pagehide", handlePageHide);
+    };
+  }, [canControl]);
 
   // Keep the ref in sync so interval callbacks always see the latest value
   useEffect(() => {
@@ -129,31 +357,475 @@ function App() {
     return () => clearInterval(interval);
   }, []);
 
+  const loadLease = async () => {
+    try {
+      const response = await fetch("/api/control/lease");
+      const data = await response.json();
+      if (data.status === "success") {
+        setLease(data.data);
+      }
+    } catch (error) {
+      console.error("Failed to load control lease:", error);
+    }
+  };
+
+  const loadGamepadMapping = async () => {
+    try {
+      const response = await fetch("/api/settings");
+      const data = await response.json();
+      if (data.status === "success") {
+        setGamepadMapping(data.data.gamepadMapping);
+      }
+    } catch (error) {
+      console.error("Failed to load gamepad mapping:", error);
+    }
+  };
+
+  /**
+   * Keep autonomous status, with the session end converted to this browser's clock
+   */
+  const receiveAutonomousStatus = (status) => {
+    setAutonomousStatus({
+      ...status,
+      localEndsAt: status.remainingMs !== null ? Date.now() + status.remainingMs : null,
+    });
+  };
+
+  const loadAutonomousStatus = async () => {
+    try {
+      const response = await fetch("/api/autonomous/status");
+      const data = await response.json();
+      if (data.status === "success") {
+        receiveAutonomousStatus(data.data);
+      }
+    } catch (error) {
+      console.error("Failed to load autonomous status:", error);
+    }
+  };
+
+  const loadPlayBudget = async () => {
+    try {
+      const response = await fetch("/api/laser/budget");
+      const data = await response.json();
+      if (data.status === "success") {
+        setPlayBudget(data.data);
+      }
+    } catch (error) {
+      console.error("Failed to load play budget:", error);
+    }
+  };
+
+  /**
+   * Status line for the daily play budget, or null when there is nothing to say
+   */
+  const describePlayBudget = () => {
+    if (!playBudget) return null;
+    if (playBudget.restUntil) {
+      return `Resting ${Math.ceil((playBudget.restUntil - Date.now()) / 60000)} min`;
+    }
+    if (!playBudget.dailyBudgetMinutes) return null;
+    if (playBudget.exhausted) return "Play budget used up";
+    return `${Math.floor(playBudget.remainingMs / 60000)} min play left`;
+  };
+
+  const stopAutonomousSession = async () => {
+    try {
+      const response = await fetch("/api/autonomous/stop", { method: "POST" });
+      const data = await response.json();
+      if (data.status === "success") {
+        receiveAutonomousStatus(data.data);
+      } else if (response.status === 409) {
+        loadAutonomousStatus();
+      }
+    } catch (error) {
+      console.error("Failed to stop autonomous session:", error);
+    }
+  };
+
+  const loadHaltState = async () => {
+    try {
+      const response = await fetch("/api/laser/emergency-stop");
+      const data = await response.json();
+      if (data.status === "success") {
+        setHalted(data.data.halted);
+      }
+    } catch (error) {
+      console.error("Failed to load emergency stop state:", error);
+    }
+  };
+
+  /**
+   * Stop everything and lock the laser until someone re-arms it
+   */
+  const emergencyStop = async () => {
+    try {
+      const response = await fetch("/api/laser/emergency-stop", { method: "POST" });
+      const data = await response.json();
+      if (data.status === "success") {
+        setHalted(data.data.halted);
+        setLaserOn(false);
+        leaseTokenRef.current = null;
+        if (!data.data.laserOff) {
+          window.alert(data.message);
+        }
+      }
+    } catch (error) {
+      console.error("Emergency stop failed:", error);
+      window.alert("Emergency stop failed - could not reach the backend");
+    }
+  };
+
+  const rearm = async () => {
+    if (!window.confirm("Re-arm the laser? It can be moved and turned on again.")) return;
+
+    try {
+      const response = await fetch("/api/laser/rearm", { method: "POST" });
+      const data = await response.json();
+      if (data.status === "success" || response.status === 409) {
+        setHalted(null);
+      }
+    } catch (error) {
+      console.error("Failed to re-arm laser:", error);
+    }
+  };
+
+  const acquireLease = async () => {
+    try {
+      const response = await fetch("/api/control/lease", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ clientId: CLIENT_ID }),
+      });
+      const data = await response.json();
+
+      if (data.status === "success") {
+        leaseTokenRef.current = data.data.leaseToken;
+        setLease(data.data.lease);
+        return true;
+      }
+      setLease(data.lease ?? null);
+    } catch (error) {
+      console.error("Failed to acquire control lease:", error);
+    }
+    return false;
+  };
+
+  const releaseLease = async () => {
+    try {
+      const response = await fetch("/api/control/lease/release", {
+        method: "POST",
+        headers: { "X-Lease-Token": leaseTokenRef.current || "" },
+      });
+      const data = await response.json();
+      leaseTokenRef.current = null;
+      setLease(data.data);
+    } catch (error) {
+      console.error("Failed to release control lease:", error);
+    }
+  };
+
+  const requestHandover = async () => {
+    try {
+      await fetch("/api/control/lease/request", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ clientId: CLIENT_ID }),
+      });
+    } catch (error) {
+      console.error("Failed to request control:", error);
+    }
+  };
+
+  const respondToHandover = async (approve) => {
+    try {
+      const response = await fetch("/api/control/lease/respond", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Lease-Token": leaseTokenRef.current || "",
+        },
+        body: JSON.stringify({ approve }),
+      });
+      const data = await response.json();
+      if (data.status === "success" && approve) {
+        leaseTokenRef.current = null;
+      }
+    } catch (error) {
+      console.error("Failed to answer handover request:", error);
+    }
+  };
+
+  /**
+   * Send a laser command, taking the control lease first if nobody holds it
+   */
+  const laserCommand = async (endpoint, options = {}) => {
+    if (!leaseTokenRef.current && !(await acquireLease())) {
+      return null;
+    }
+
+    const response = await fetch(endpoint, {
+      ...options,
+      headers: { ...options.headers, "X-Lease-Token": leaseTokenRef.current || "" },
+    });
+    if (response.status === 409) {
+      // Lease lapsed or was handed over
+      leaseTokenRef.current = null;
+    }
+    return response;
+  };
+
+  /**
+   * Send a movement intent over the control channel.
+   * Returns false if the socket isn't open (callers fall back to HTTP).
+   */
+  const sendIntent = async (intent) => {
+    if (controlSocketRef.current?.readyState !== WebSocket.OPEN) {
+      return false;
+    }
+    if (!leaseTokenRef.current && !(await acquireLease())) {
+      return true;
+    }
+
+    const seq = ++controlSeqRef.current;
+    sentAtRef.current.set(seq, Date.now());
+    controlSocketRef.current.send(JSON.stringify({
+      ...intent,
+      seq,
+      leaseToken: leaseTokenRef.current,
+    }));
+    return true;
+  };
+
   const moveWithDebounce = async (direction, axis) => {
+    // The control channel coalesces on the server, so no lock is needed
+    if (await sendIntent({ type: "move", ...KEY_VECTORS[direction] })) return;
+
     if (isMoving) return;
 
     setIsMoving(true);
     try {
-      await fetch(`api/laser/move-${axis}?direction=${direction}`);
+      await laserCommand(`api/laser/move-${axis}?direction=${direction}`);
     } finally {
       setTimeout(() => setIsMoving(false), 300);
     }
   };
 
+  /**
+   * Move both axes with the joystick vector (dx right, dy down, each -1..1)
+   */
+  const moveVector = async ({ dx, dy }) => {
+    if (await sendIntent({ type: "move", dx, dy })) return;
+
+    if (vectorInFlightRef.current) return;
+
+    vectorInFlightRef.current = true;
+    try {
+      await laserCommand(`/api/laser/move?dx=${dx.toFixed(2)}&dy=${dy.toFixed(2)}`);
+    } catch (error) {
+      console.error("Failed to move laser:", error);
+    } finally {
+      vectorInFlightRef.current = false;
+    }
+  };
+
+  /**
+   * Tap on the camera feed: send the laser to that spot
+   */
+  const aimAtClick = async (event) => {
+    if (!canControl) return;
+
+    const point = getNormalizedClick(event, cameraFeedRef.current);
+    if (!point) return;
+
+    setAimMarker(getImagePoint(point, cameraFeedRef.current));
+    setTimeout(() => setAimMarker(null), 600);
+
+    if (!leaseTokenRef.current && !(await acquireLease())) return;
+
+    try {
+      const response = await fetch("/api/laser/aim", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Lease-Token": leaseTokenRef.current || "",
+        },
+        body: JSON.stringify(point),
+      });
+      const data = await response.json();
+
+      if (response.status === 409 && data.lease) {
+        leaseTokenRef.current = null;
+      } else if (data.status !== "success") {
+        console.error("Failed to aim laser:", data.error);
+      }
+    } catch (error) {
+      console.error("Failed to aim laser:", error);
+    }
+  };
+
+  const turnLaserOn = async () => {
+    try {
+      const response = await laserCommand("/api/laser/on");
+      if (!response) return;
+      const data = await response.json();
+      if (data.status === "success") {
+        setLaserOn(true);
+        setWatchdogTrip(null);
+      } else if (response.status === 429) {
+        window.alert(data.error);
+      }
+    } catch (error) {
+      console.error("Failed to turn laser on:", error);
+    }
+  };
+
   const toggleLaser = async () => {
     try {
       const endpoint = laserOn ? "/api/laser/off" : "/api/laser/on";
-      const response = await fetch(endpoint);
+      const response = laserOn ? await fetch(endpoint) : await laserCommand(endpoint);
+      if (!response) return;
       const data = await response.json();
 
       if (data.status === "success") {
         setLaserOn(!laserOn);
+        setWatchdogTrip(null);
+      } else if (response.status === 429) {
+        window.alert(data.error);
       }
     } catch (error) {
       console.error("Failed to toggle laser:", error);
     }
   };
 
+  const centerLaser = async () => {
+    if (!canControl) return;
+
+    try {
+      await laserCommand("/api/laser/center");
+    } catch (error) {
+      console.error("Failed to center laser:", error);
+    }
+  };
+
+  /**
+   * Start recording manual play, or stop and save it as a named pattern
+   */
+  const toggleRecording = async () => {
+    try {
+      if (!recording) {
+        const response = await laserCommand("/api/patterns/recording", { method: "POST" });
+        if (!response) return;
+        const data = await response.json();
+        if (data.status === "success") {
+          setRecording(true);
+        }
+        return;
+      }
+
+      const name = window.prompt("Name this pattern (cancel to discard it)");
+      const response = name === null
+        ? await laserCommand("/api/patterns/recording", { method: "DELETE" })
+        : await laserCommand("/api/patterns/recording/stop", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ name }),
+          });
+      if (!response) return;
+      const data = await response.json();
+
+      if (data.status === "success" || data.error === "Not recording") {
+        setRecording(false);
+      } else {
+        window.alert(data.error || "Failed to save pattern");
+        if (data.error === "Nothing was recorded") setRecording(false);
+      }
+    } catch (error) {
+      console.error("Failed to toggle recording:", error);
+    }
+  };
+
+  /**
+   * Replay a saved pattern (taking the control lease if needed)
+   */
+  const loadTracking = async () => {
+    try {
+      const response = await fetch("/api/tracking");
+      const data = await response.json();
+      if (data.status === "success") {
+        setTracking(data.data.tracking);
+      }
+    } catch (error) {
+      console.error("Failed to load tracking state:", error);
+    }
+  };
+
+  /**
+   * Start or stop chasing the cat with the laser
+   */
+  const toggleTracking = async () => {
+    try {
+      const response = tracking
+        ? await fetch("/api/tracking/stop", { method: "POST" })
+        : await laserCommand("/api/tracking/start", { method: "POST" });
+      if (!response) return;
+      const data = await response.json();
+
+      if (data.status === "success") {
+        setTracking(data.data.tracking);
+      } else if (!tracking) {
+        window.alert(data.error || "Failed to start tracking");
+      }
+    } catch (error) {
+      console.error("Failed to toggle tracking:", error);
+    }
+  };
+
+  const playPattern = async (patternId) => {
+    const response = await laserCommand(`/api/patterns/${patternId}/play`, { method: "POST" });
+    return response ? response.json() : null;
+  };
+
+  const checkSession = async () => {
+    try {
+      // Redeem a guest link (?guest=<token>) for a guest cookie, then drop it from the URL
+      const guestToken = new URLSearchParams(window.location.search).get("guest");
+      if (guestToken) {
+        await fetch("/api/auth/guest", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ token: guestToken }),
+        });
+        window.history.replaceState(null, "", window.location.pathname);
+      }
+
+      const response = await fetch("/api/auth/me");
+      const data = await response.json();
+      setUser(data.status === "success" ? data.data : null);
+    } catch (error) {
+      console.error("Session check failed:", error);
+      setUser(null);
+    } finally {
+      setAuthChecked(true);
+    }
+  };
+
+  const logout = async () => {
+    try {
+      if (leaseTokenRef.current) {
+        await releaseLease();
+      }
+      await fetch("/api/auth/logout", { method: "POST" });
+    } catch (error) {
+      console.error("Failed to log out:", error);
+    } finally {
+      setSettingsOpen(false);
+      setCameraURL(null);
+      setLease(null);
+      leaseTokenRef.current = null;
+      setUser(null);
+    }
+  };
+
   const checkBackendHealth = async () => {
     try {
       const response = await fetch("/api/health");
@@ -183,6 +855,20 @@ function App() {
     }
   };
 
+  const gamepadName = useGamepad({
+    enabled: canControl && !halted,
+    mapping: gamepadMapping,
+    onMove: moveVector,
+    onToggleLaser: toggleLaser,
+    onCenter: centerLaser,
+  });
+
+  if (!authChecked) return null;
+
+  if (!user) {
+    return <LoginScreen onLogin={setUser} />;
+  }
+
   return (
     <>
     <div className="portrait-overlay">(rotate sideways)</div>
@@ -190,24 +876,89 @@ function App() {
 
       <div className="video-area">
         <img
+          ref={cameraFeedRef}
           src={cameraURL}
           alt="Live Camera Stream"
-          className="camera-feed"
+          className={`camera-feed ${canControl ? "camera-feed--aimable" : ""}`}
+          onClick={aimAtClick}
+        />
+        {aimMarker && (
+          <div
+            className="aim-marker"
+            style={{ left: aimMarker.left, top: aimMarker.top }}
+          />
+        )}
+        <ControlBanner
+          lease={lease}
+          clientId={CLIENT_ID}
+          canControl={canControl}
+          onRequest={requestHandover}
+          onRespond={respondToHandover}
+          onRelease={releaseLease}
+        />
+        <AutonomousBanner
+          status={autonomousStatus}
+          canControl={canControl}
+          onStop={stopAutonomousSession}
         />
       </div>
+      {canControl && (
         <div className="joystick-overlay">
           <Joystick
-            onMove={(direction, axis) => moveWithDebounce(direction, axis)}
+            onMove={(vector) => moveVector(vector)}
           />
         </div>
+      )}
       <nav className="side-menu">
-        <button
-          className={`side-btn btn-laser ${laserOn ? "laser-on" : "laser-off"}`}
-          onClick={toggleLaser}
-        >
-          <span>Laser</span>
-          <span>{laserOn ? "ON" : "OFF"}</span>
-        </button>
+        {canControl && !halted && (
+          <button className="side-btn btn-estop" onClick={emergencyStop}>
+            <ReportIcon />
+            <span>STOP</span>
+          </button>
+        )}
+
+        {halted && (
+          <button
+            className="side-btn btn-estop halted"
+            onClick={rearm}
+            disabled={isGuest}
+            title={`Stopped by ${halted.by || "someone"} at ${new Date(halted.at).toLocaleTimeString()}`}
+          >
+            <span>HALTED</span>
+            {!isGuest && <span className="side-btn-caption">Tap to re-arm</span>}
+          </button>
+        )}
+
+        {canControl && (
+          <button
+            className={`side-btn btn-laser ${laserOn ? "laser-on" : "laser-off"}`}
+            onClick={toggleLaser}
+          >
+            <span>Laser</span>
+            <span>{laserOn ? "ON" : "OFF"}</span>
+          </button>
+        )}
+
+        {canControl && (
+          <button
+            className={`side-btn btn-record ${recording ? "recording" : ""}`}
+            onClick={toggleRecording}
+          >
+            <FiberManualRecordIcon fontSize="small" />
+            <span>{recording ? "Stop Rec" : "Record"}</span>
+          </button>
+        )}
+
+        {canControl && (
+          <button
+            className={`side-btn btn-track ${tracking ? "tracking" : ""}`}
+            onClick={toggleTracking}
+            title={tracking ? `Tracking since ${new Date(tracking.startedAt).toLocaleTimeString()}` : "Keep the dot ahead of the cat"}
+          >
+            <PetsIcon fontSize="small" />
+            <span>{tracking ? "Stop Chase" : "Chase"}</span>
+          </button>
+        )}
 
         <button className="side-btn" onClick={checkBackendHealth}>
           <RefreshIcon fontSize="small" />
@@ -217,11 +968,42 @@ function App() {
         <div className="status-badge">
           <div className={`status-dot ${isConnected ? "connected" : "disconnected"}`} />
           <span className="status-text">{backendStatus}</span>
+          {lagMs !== null && (
+            <span className="status-text status-lag">Lag {lagMs} ms</span>
+          )}
+          {gamepadName && canControl && (
+            <span className="status-text status-lag" title={gamepadName}>
+              Gamepad
+            </span>
+          )}
+          {watchdogTrip && (
+            <span className="status-text status-watchdog" title={watchdogTrip.reason}>
+              Laser auto-off
+            </span>
+          )}
+          {describePlayBudget() && (
+            <span
+              className={`status-text ${playBudget.exhausted ? "status-watchdog" : "status-lag"}`}
+              title={`${Math.round(playBudget.usedMs / 60000)} min played today`}
+            >
+              {describePlayBudget()}
+            </span>
+          )}
         </div>
 
-        <button className="side-btn" onClick={() => setSettingsOpen(true)}>
-          <SettingsIcon fontSize="small" />
-          <span>Settings</span>
+        {!isGuest && (
+          <button className="side-btn" onClick={() => setSettingsOpen(true)}>
+            <SettingsIcon fontSize="small" />
+            <span>Settings</span>
+          </button>
+        )}
+
+        <button className="side-btn" onClick={logout}>
+          <LogoutIcon fontSize="small" />
+          <span>Log out</span>
+          <span className="side-btn-caption">
+            {isGuest ? `Guest: ${user.username}` : user.username}
+          </span>
         </button>
       </nav>
 
@@ -230,6 +1012,9 @@ function App() {
       <FullScreenDialog
         open={settingsOpen}
         onClose={() => setSettingsOpen(false)}
+        onLaserMove={moveWithDebounce}
+        onLaserOn={turnLaserOn}
+        onPlayPattern={playPattern}
       />
     </div>
     </>
@@ -0,0 +1,63 @@
+import { useEffect, useState } from 'react';
+import './ControlBanner.css';
+
+/**
+ * Format a countdown as m:ss
+ */
+function formatRemaining(ms) {
+  const seconds = Math.max(0, Math.ceil(ms / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Shows a running autonomous session with a countdown, and lets controllers end it.
+ * While someone has taken over manually the countdown is frozen.
+ */
+export default function AutonomousBanner({ status, canControl, onStop }) {
+  const [now, setNow] = useState(Date.now());
+  const active = Boolean(status?.sessionActive);
+  const takeover = status?.takeover;
+
+  useEffect(() => {
+    if (!active || takeover) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [active, takeover]);
+
+  if (!active) return null;
+
+  if (takeover) {
+    return (
+      <div className="control-banner control-banner--autonomous control-banner--takeover">
+        <span>Manual control{takeover.by && ` - ${takeover.by}`}</span>
+        <span className="control-banner-countdown">
+          {formatRemaining(status.remainingMs)} of autonomous play left
+        </span>
+        <span className="control-banner-hint">
+          resumes after {Math.round(takeover.idleMs / 1000)}s without input
+        </span>
+        {canControl && (
+          <button className="control-banner-btn" onClick={onStop}>
+            Stop session
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="control-banner control-banner--autonomous">
+      <span>Autonomous play</span>
+      {status.localEndsAt && (
+        <span className="control-banner-countdown">
+          {formatRemaining(status.localEndsAt - now)} left{status.extended && ' (extended)'}
+        </span>
+      )}
+      {canControl && (
+        <button className="control-banner-btn" onClick={onStop}>
+          Stop session
+        </button>
+      )}
+    </div>
+  );
+}
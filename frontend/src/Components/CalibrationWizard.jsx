@@ -0,0 +1,290 @@
+import * as React from 'react';
+import List from '@mui/material/List';
+import ListItem from '@mui/material/ListItem';
+import ListItemText from '@mui/material/ListItemText';
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+import IconButton from '@mui/material/IconButton';
+import ArrowUpwardIcon from '@mui/icons-material/ArrowUpward';
+import ArrowDownwardIcon from '@mui/icons-material/ArrowDownward';
+import ArrowBackIcon from '@mui/icons-material/ArrowBack';
+import ArrowForwardIcon from '@mui/icons-material/ArrowForward';
+import { getNormalizedClick, getImagePoint } from '../videoCoordinates';
+
+// Where the user is asked to put the laser, in normalized video coordinates
+const REFERENCE_TARGETS = [
+  { label: 'top-left', x: 0.15, y: 0.15 },
+  { label: 'top-right', x: 0.85, y: 0.15 },
+  { label: 'bottom-right', x: 0.85, y: 0.85 },
+  { label: 'bottom-left', x: 0.15, y: 0.85 },
+  { label: 'center', x: 0.5, y: 0.5 },
+];
+const MIN_POINTS = 3;
+
+/**
+ * Short summary line for a stored calibration
+ */
+function describeCalibration(calibration) {
+  const error = calibration.transform.rmsError;
+  const fit = typeof error === 'number' ? ` · fit error ${error.toFixed(1)}°` : '';
+  return `${calibration.points.length} points${fit}`;
+}
+
+export default function CalibrationWizard({ showSnackbar, onLaserMove, onLaserOn }) {
+  const [calibration, setCalibration] = React.useState(null);
+  const [history, setHistory] = React.useState([]);
+  const [active, setActive] = React.useState(false);
+  const [points, setPoints] = React.useState([]);
+  const [busy, setBusy] = React.useState(false);
+  // Bumped when the video frame size is known so overlays get positioned
+  const [, setImageReady] = React.useState(0);
+  const videoRef = React.useRef(null);
+
+  React.useEffect(() => {
+    loadCalibration();
+  }, []);
+
+  const loadCalibration = async () => {
+    try {
+      const [currentResponse, historyResponse] = await Promise.all([
+        fetch('/api/calibration'),
+        fetch('/api/calibration/history'),
+      ]);
+      const current = await currentResponse.json();
+      const previous = await historyResponse.json();
+
+      if (current.status === 'success') setCalibration(current.data);
+      if (previous.status === 'success') setHistory(previous.data);
+    } catch (error) {
+      console.error('Error loading calibration:', error);
+      showSnackbar('Error loading calibration', 'error');
+    }
+  };
+
+  const startWizard = async () => {
+    setPoints([]);
+    setActive(true);
+    await onLaserOn();
+  };
+
+  const handleVideoClick = async (event) => {
+    if (busy || points.length >= REFERENCE_TARGETS.length) return;
+
+    const point = getNormalizedClick(event, videoRef.current);
+    if (!point) return;
+
+    setBusy(true);
+    try {
+      const response = await fetch('/api/calibration/sample', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(point),
+      });
+      const result = await response.json();
+
+      if (result.status === 'success') {
+        setPoints(prev => [...prev, result.data]);
+      } else {
+        showSnackbar(result.error || 'Failed to read laser position', 'error');
+      }
+    } catch (error) {
+      console.error('Error sampling calibration point:', error);
+      showSnackbar('Error reading laser position', 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSave = async () => {
+    setBusy(true);
+    try {
+      const response = await fetch('/api/calibration', {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ points }),
+      });
+      const result = await response.json();
+
+      if (result.status === 'success') {
+        showSnackbar('Calibration saved', 'success');
+        setActive(false);
+        setPoints([]);
+        loadCalibration();
+      } else {
+        showSnackbar(result.error || 'Failed to save calibration', 'error');
+      }
+    } catch (error) {
+      console.error('Error saving calibration:', error);
+      showSnackbar('Error saving calibration', 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRestore = async (entry) => {
+    if (!window.confirm('Use this calibration again?')) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/calibration/history/${entry.id}/restore`, {
+        method: 'POST',
+      });
+      const result = await response.json();
+
+      if (result.status === 'success') {
+        showSnackbar('Calibration restored', 'success');
+        loadCalibration();
+      } else {
+        showSnackbar(result.error || 'Failed to restore calibration', 'error');
+      }
+    } catch (error) {
+      console.error('Error restoring calibration:', error);
+      showSnackbar('Error restoring calibration', 'error');
+    }
+  };
+
+  const renderMarker = (point, className, key) => {
+    const position = getImagePoint(point, videoRef.current);
+    if (!position) return null;
+    return (
+      <div
+        key={key}
+        className={className}
+        style={{ left: position.left, top: position.top }}
+      />
+    );
+  };
+
+  const renderWizard = () => {
+    const target = REFERENCE_TARGETS[points.length];
+
+    return (
+      <Box className="settings-section">
+        <Typography className="settings-section-title">
+          {target
+            ? `Point ${points.length + 1} of ${REFERENCE_TARGETS.length}`
+            : 'All points marked'}
+        </Typography>
+        <Typography className="settings-helper-text">
+          {target
+            ? `Move the laser onto the ${target.label} target, then tap the laser dot on the video.`
+            : 'Save to use this calibration.'}
+        </Typography>
+
+        <div className="calibration-video">
+          <img
+            ref={videoRef}
+            src="/api/camera/stream"
+            alt="Calibration camera view"
+            className="calibration-video-feed"
+            onClick={handleVideoClick}
+            onLoad={() => setImageReady(n => n + 1)}
+          />
+          {target && renderMarker(target, 'calibration-target')}
+          {points.map((point, index) => renderMarker(point, 'calibration-point', index))}
+        </div>
+
+        <Box className="calibration-pad">
+          <IconButton className="settings-close-btn" onClick={() => onLaserMove('up', 'y')} aria-label="up">
+            <ArrowUpwardIcon />
+          </IconButton>
+          <Box>
+            <IconButton className="settings-close-btn" onClick={() => onLaserMove('left', 'x')} aria-label="left">
+              <ArrowBackIcon />
+            </IconButton>
+            <IconButton className="settings-close-btn" onClick={() => onLaserMove('right', 'x')} aria-label="right">
+              <ArrowForwardIcon />
+            </IconButton>
+          </Box>
+          <IconButton className="settings-close-btn" onClick={() => onLaserMove('down', 'y')} aria-label="down">
+            <ArrowDownwardIcon />
+          </IconButton>
+        </Box>
+
+        <Box className="calibration-actions">
+          <button
+            className="settings-save-btn"
+            onClick={() => setPoints(prev => prev.slice(0, -1))}
+            disabled={busy || points.length === 0}
+          >
+            Undo Point
+          </button>
+          <button
+            className="settings-save-btn"
+            onClick={() => {
+              setActive(false);
+              setPoints([]);
+            }}
+            disabled={busy}
+          >
+            Cancel
+          </button>
+          <button
+            className="settings-save-btn"
+            onClick={handleSave}
+            disabled={busy || points.length < MIN_POINTS}
+          >
+            Save Calibration
+          </button>
+        </Box>
+      </Box>
+    );
+  };
+
+  return (
+    <Box className="settings-detail-view">
+      {active ? renderWizard() : (
+        <Box className="settings-section">
+          <Typography className="settings-section-title">
+            Current Calibration
+          </Typography>
+          <Typography className="settings-helper-text">
+            {calibration
+              ? `Calibrated ${new Date(`${calibration.updatedAt}Z`).toLocaleString()} · ${describeCalibration(calibration)}`
+              : 'Not calibrated yet. Click-to-aim needs a calibration.'}
+          </Typography>
+          <Box className="calibration-actions">
+            <button className="settings-save-btn" onClick={startWizard}>
+              {calibration ? 'Redo Calibration' : 'Start Calibration'}
+            </button>
+          </Box>
+        </Box>
+      )}
+
+      {!active && history.length > 0 && (
+        <Box className="settings-section">
+          <Typography className="settings-section-title">
+            Calibration History
+          </Typography>
+          <List>
+            {history.map((entry) => (
+              <ListItem
+                key={entry.id}
+                className="settings-radio-option"
+                secondaryAction={
+                  <button className="settings-save-btn" onClick={() => handleRestore(entry)}>
+                    Restore
+                  </button>
+                }
+              >
+                <ListItemText
+                  primary={new Date(`${entry.createdAt}Z`).toLocaleString()}
+                  secondary={`${describeCalibration(entry)}${entry.createdBy ? ` · by ${entry.createdBy}` : ''}`}
+                  classes={{
+                    primary: 'settings-radio-primary',
+                    secondary: 'settings-radio-secondary'
+                  }}
+                />
+              </ListItem>
+            ))}
+          </List>
+        </Box>
+      )}
+    </Box>
+  );
+}
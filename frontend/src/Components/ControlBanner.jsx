@@ -0,0 +1,60 @@
+import './ControlBanner.css';
+
+/**
+ * Shows who holds the laser controls, and lets other clients ask for a handover
+ */
+export default function ControlBanner({
+  lease,
+  clientId,
+  canControl,
+  onRequest,
+  onRespond,
+  onRelease,
+}) {
+  if (!lease?.holder) return null;
+
+  const isHolder = lease.holder.clientId === clientId;
+  const request = lease.handoverRequest;
+
+  if (isHolder) {
+    return (
+      <div className="control-banner control-banner--holder">
+        {request ? (
+          <>
+            <span>{request.name} wants control</span>
+            <button className="control-banner-btn" onClick={() => onRespond(true)}>
+              Hand over
+            </button>
+            <button className="control-banner-btn" onClick={() => onRespond(false)}>
+              Keep
+            </button>
+          </>
+        ) : (
+          <>
+            <span>You're in control</span>
+            <button className="control-banner-btn" onClick={onRelease}>
+              Release
+            </button>
+          </>
+        )}
+      </div>
+    );
+  }
+
+  const requestPending = request?.clientId === clientId;
+
+  return (
+    <div className="control-banner">
+      <span>{lease.holder.name} is in control</span>
+      {canControl && (
+        <button
+          className="control-banner-btn"
+          onClick={onRequest}
+          disabled={requestPending}
+        >
+          {requestPending ? 'Requested…' : 'Request control'}
+        </button>
+      )}
+    </div>
+  );
+}
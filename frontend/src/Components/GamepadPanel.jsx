@@ -0,0 +1,85 @@
+import * as React from 'react';
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+import TextField from '@mui/material/TextField';
+import MenuItem from '@mui/material/MenuItem';
+import Divider from '@mui/material/Divider';
+import { DEFAULT_GAMEPAD_MAPPING, GAMEPAD_BUTTONS, useGamepad } from '../gamepad';
+
+const ACTIONS = [
+  { key: 'toggleLaser', label: 'Laser on / off' },
+  { key: 'center', label: 'Center laser' },
+];
+
+/**
+ * Gamepad button mapping - edits settings.gamepadMapping, saved with the other settings
+ */
+export default function GamepadPanel({ mapping, onChange, loading }) {
+  const current = mapping ?? DEFAULT_GAMEPAD_MAPPING;
+  // Only used to show whether a controller is connected
+  const gamepadName = useGamepad({ enabled: false });
+
+  const handleChange = (key, value) => {
+    onChange({ ...current, [key]: value });
+  };
+
+  return (
+    <Box className="settings-detail-view">
+      <Box className="settings-section">
+        <Typography className="settings-section-title">
+          Controller
+        </Typography>
+        <Typography className="settings-helper-text">
+          {gamepadName
+            ? `Connected: ${gamepadName}`
+            : 'No controller found. Connect one and press any button so the browser can see it.'}
+        </Typography>
+      </Box>
+      <Divider className="settings-divider" />
+
+      <Box className="settings-section">
+        <Typography className="settings-section-title">
+          Movement
+        </Typography>
+        <TextField
+          select
+          label="Stick that moves the laser"
+          value={current.stick}
+          onChange={(e) => handleChange('stick', e.target.value)}
+          fullWidth
+          className="settings-text-field"
+          disabled={loading}
+        >
+          <MenuItem value="left">Left stick</MenuItem>
+          <MenuItem value="right">Right stick</MenuItem>
+        </TextField>
+      </Box>
+      <Divider className="settings-divider" />
+
+      <Box className="settings-section">
+        <Typography className="settings-section-title">
+          Buttons
+        </Typography>
+        {ACTIONS.map(action => (
+          <TextField
+            key={action.key}
+            select
+            label={action.label}
+            value={current[action.key]}
+            onChange={(e) => handleChange(action.key, e.target.value)}
+            fullWidth
+            className="settings-text-field"
+            disabled={loading}
+          >
+            {GAMEPAD_BUTTONS.map((name, index) => (
+              <MenuItem key={index} value={index}>{name}</MenuItem>
+            ))}
+          </TextField>
+        ))}
+        <Typography className="settings-helper-text">
+          Each action needs its own button. Press Save to keep your changes.
+        </Typography>
+      </Box>
+    </Box>
+  );
+}
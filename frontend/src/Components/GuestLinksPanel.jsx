@@ -0,0 +1,248 @@
+import * as React from 'react';
+import List from '@mui/material/List';
+import ListItem from '@mui/material/ListItem';
+import ListItemText from '@mui/material/ListItemText';
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+import TextField from '@mui/material/TextField';
+import FormControl from '@mui/material/FormControl';
+import FormControlLabel from '@mui/material/FormControlLabel';
+import RadioGroup from '@mui/material/RadioGroup';
+import Radio from '@mui/material/Radio';
+import IconButton from '@mui/material/IconButton';
+import ContentCopyIcon from '@mui/icons-material/ContentCopy';
+import DeleteIcon from '@mui/icons-material/Delete';
+
+const PERMISSION_LABELS = {
+  view: 'Watch only',
+  control: 'Watch + laser',
+};
+
+/**
+ * Guest link status from its expiry and revocation timestamps (UTC from SQLite)
+ */
+function getGuestLinkStatus(guestToken) {
+  if (guestToken.revokedAt) return 'Revoked';
+  if (new Date(`${guestToken.expiresAt}Z`) <= new Date()) return 'Expired';
+  return `Expires ${new Date(`${guestToken.expiresAt}Z`).toLocaleString()}`;
+}
+
+export default function GuestLinksPanel({ showSnackbar }) {
+  const [guestTokens, setGuestTokens] = React.useState([]);
+  const [newGuest, setNewGuest] = React.useState({
+    label: '',
+    permission: 'view',
+    expiresInHours: 4,
+  });
+  const [createdLink, setCreatedLink] = React.useState(null);
+  const [busy, setBusy] = React.useState(false);
+
+  React.useEffect(() => {
+    loadGuestTokens();
+  }, []);
+
+  const loadGuestTokens = async () => {
+    try {
+      const response = await fetch('/api/guest-tokens');
+      const result = await response.json();
+
+      if (result.status === 'success') {
+        setGuestTokens(result.data);
+      } else {
+        showSnackbar('Failed to load guest links', 'error');
+      }
+    } catch (error) {
+      console.error('Error loading guest links:', error);
+      showSnackbar('Error loading guest links', 'error');
+    }
+  };
+
+  const handleCreate = async () => {
+    setBusy(true);
+    try {
+      const response = await fetch('/api/guest-tokens', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(newGuest),
+      });
+      const result = await response.json();
+
+      if (result.status === 'success') {
+        setCreatedLink(`${window.location.origin}/?guest=${result.data.token}`);
+        setNewGuest(prev => ({ ...prev, label: '' }));
+        showSnackbar('Guest link created', 'success');
+        loadGuestTokens();
+      } else {
+        showSnackbar(result.details?.join(' ') || result.error || 'Failed to create guest link', 'error');
+      }
+    } catch (error) {
+      console.error('Error creating guest link:', error);
+      showSnackbar('Error creating guest link', 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRevoke = async (guestToken) => {
+    if (!window.confirm(`Revoke the guest link for "${guestToken.label}"?`)) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/guest-tokens/${guestToken.id}`, {
+        method: 'DELETE',
+      });
+      const result = await response.json();
+
+      if (result.status === 'success') {
+        showSnackbar('Guest link revoked', 'success');
+        loadGuestTokens();
+      } else {
+        showSnackbar(result.error || 'Failed to revoke guest link', 'error');
+      }
+    } catch (error) {
+      console.error('Error revoking guest link:', error);
+      showSnackbar('Error revoking guest link', 'error');
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(createdLink);
+      showSnackbar('Link copied', 'success');
+    } catch (error) {
+      // Clipboard API needs a secure context - the link stays visible to copy by hand
+      console.error('Failed to copy link:', error);
+    }
+  };
+
+  return (
+    <Box className="settings-detail-view">
+      <Box className="settings-section">
+        <Typography className="settings-section-title">
+          New Guest Link
+        </Typography>
+        <TextField
+          label="Who is it for?"
+          value={newGuest.label}
+          onChange={(e) => setNewGuest(prev => ({ ...prev, label: e.target.value }))}
+          fullWidth
+          className="settings-text-field"
+          disabled={busy}
+        />
+        <TextField
+          type="number"
+          label="Hours until the link expires"
+          value={newGuest.expiresInHours}
+          onChange={(e) => setNewGuest(prev => ({ ...prev, expiresInHours: parseFloat(e.target.value) || 1 }))}
+          InputProps={{ inputProps: { min: 1, max: 168 } }}
+          fullWidth
+          className="settings-text-field"
+          disabled={busy}
+        />
+        <FormControl component="fieldset" className="settings-form-control">
+          <RadioGroup
+            value={newGuest.permission}
+            onChange={(e) => setNewGuest(prev => ({ ...prev, permission: e.target.value }))}
+          >
+            <FormControlLabel
+              value="view"
+              control={<Radio color="primary" disabled={busy} />}
+              label={
+                <Box>
+                  <Typography className="settings-radio-primary">
+                    {PERMISSION_LABELS.view}
+                  </Typography>
+                  <Typography className="settings-radio-secondary">
+                    Live camera feed and cat alerts
+                  </Typography>
+                </Box>
+              }
+              className="settings-radio-option"
+            />
+            <FormControlLabel
+              value="control"
+              control={<Radio color="primary" disabled={busy} />}
+              label={
+                <Box>
+                  <Typography className="settings-radio-primary">
+                    {PERMISSION_LABELS.control}
+                  </Typography>
+                  <Typography className="settings-radio-secondary">
+                    Feed plus moving and switching the laser
+                  </Typography>
+                </Box>
+              }
+              className="settings-radio-option"
+            />
+          </RadioGroup>
+        </FormControl>
+        <button
+          className="settings-save-btn"
+          onClick={handleCreate}
+          disabled={busy || !newGuest.label.trim()}
+        >
+          Create Link
+        </button>
+
+        {createdLink && (
+          <Box className="settings-info-box settings-guest-link">
+            <Typography variant="body2" className="settings-info-text settings-guest-link-text">
+              {createdLink}
+            </Typography>
+            <IconButton className="settings-close-btn" onClick={handleCopy} aria-label="copy link">
+              <ContentCopyIcon fontSize="small" />
+            </IconButton>
+          </Box>
+        )}
+        {createdLink && (
+          <Typography className="settings-helper-text">
+            Copy this link now - it won't be shown again.
+          </Typography>
+        )}
+      </Box>
+
+      <Box className="settings-section">
+        <Typography className="settings-section-title">
+          Guest Links
+        </Typography>
+        {guestTokens.length === 0 && (
+          <Typography className="settings-helper-text">
+            No guest links yet
+          </Typography>
+        )}
+        <List>
+          {guestTokens.map((guestToken) => (
+            <ListItem
+              key={guestToken.id}
+              className="settings-radio-option"
+              secondaryAction={
+                !guestToken.revokedAt && (
+                  <IconButton
+                    edge="end"
+                    className="settings-close-btn"
+                    onClick={() => handleRevoke(guestToken)}
+                    aria-label="revoke"
+                  >
+                    <DeleteIcon />
+                  </IconButton>
+                )
+              }
+            >
+              <ListItemText
+                primary={`${guestToken.label} · ${PERMISSION_LABELS[guestToken.permission]}`}
+                secondary={getGuestLinkStatus(guestToken)}
+                classes={{
+                  primary: 'settings-radio-primary',
+                  secondary: 'settings-radio-secondary'
+                }}
+              />
+            </ListItem>
+          ))}
+        </List>
+      </Box>
+    </Box>
+  );
+}
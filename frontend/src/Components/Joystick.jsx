@@ -11,12 +11,9 @@ export default function Joystick({
 
   const [active, setActive] = useState(false);
 
-  // Active direction label for UI highlighting: null | 'up' | 'down' | 'left' | 'right'
-  const [activeDir, setActiveDir] = useState(null);
-
-  // Ref holding the currently resolved direction object so interval callback
+  // Ref holding the current {dx, dy} vector so the interval callback
   // always reads the latest value without stale closure issues
-  const currentDirectionRef = useRef(null);
+  const currentVectorRef = useRef(null);
 
   // Interval handle for repeated move firing
   const intervalRef = useRef(null);
@@ -28,42 +25,37 @@ export default function Joystick({
   const maxRadius = (size - knobSize) / 2;
 
   /**
-   * Resolve a raw offset {x, y} into a cardinal direction + axis,
+   * Resolve a raw offset {x, y} into a velocity vector {dx, dy} in -1..1,
    * or null if the displacement is within the dead zone.
+   * Magnitude is rescaled so speed starts from zero at the dead zone edge.
    */
-  const resolveDirection = useCallback(
+  const resolveVector = useCallback(
     (x, y) => {
-      const DEAD_ZONE_RATIO = 0.1; // 15% of max radius
-      const magnitude = Math.sqrt(x * x + y * y);
-      if (magnitude < maxRadius * DEAD_ZONE_RATIO) return null;
-
-      // Dominant axis wins
-      if (Math.abs(x) >= Math.abs(y)) {
-        return x > 0
-          ? { direction: 'right', axis: 'x' }
-          : { direction: 'left', axis: 'x' };
-      } else {
-        return y > 0
-          ? { direction: 'down', axis: 'y' }
-          : { direction: 'up', axis: 'y' };
-      }
+      const DEAD_ZONE_RATIO = 0.1; // 10% of max radius
+      const magnitude = Math.sqrt(x * x + y * y) / maxRadius;
+      if (magnitude < DEAD_ZONE_RATIO) return null;
+
+      const scaled = Math.min(1, (magnitude - DEAD_ZONE_RATIO) / (1 - DEAD_ZONE_RATIO));
+      const angle = Math.atan2(y, x);
+      return {
+        dx: Math.cos(angle) * scaled,
+        dy: Math.sin(angle) * scaled,
+      };
     },
     [maxRadius]
   );
 
   /**
    * Begin firing move commands: fire once immediately, then on an interval.
+   * Each tick sends whatever vector the knob is at right now.
    */
-  const startFiring = useCallback(
-    (dirObj) => {
-      if (!dirObj || !onMove) return;
-      onMove(dirObj.direction, dirObj.axis);
-      intervalRef.current = setInterval(() => {
-        onMove(dirObj.direction, dirObj.axis);
-      }, throttleMs);
-    },
-    [onMove, throttleMs]
-  );
+  const startFiring = useCallback(() => {
+    if (!onMove || intervalRef.current) return;
+    onMove(currentVectorRef.current);
+    intervalRef.current = setInterval(() => {
+      if (currentVectorRef.current) onMove(currentVectorRef.current);
+    }, throttleMs);
+  }, [onMove, throttleMs]);
 
   /** Cancel the active firing interval. */
   const stopFiring = useCallback(() => {
@@ -108,30 +100,25 @@ export default function Joystick({
       const clamped = clampToCircle(rawX, rawY);
       setKnobPos(clamped);
 
-      // Determine direction and restart firing interval only if it changed
-      const newDir = resolveDirection(clamped.x, clamped.y);
-      const prevDir = currentDirectionRef.current;
+      // Update the vector; start firing on leaving the dead zone, stop on returning
+      const vector = resolveVector(clamped.x, clamped.y);
+      currentVectorRef.current = vector;
 
-      const changed =
-        newDir?.direction !== prevDir?.direction || newDir?.axis !== prevDir?.axis;
-
-      if (changed) {
+      if (vector) {
+        startFiring();
+      } else {
         stopFiring();
-        currentDirectionRef.current = newDir;
-        setActiveDir(newDir?.direction ?? null);
-        if (newDir) startFiring(newDir);
       }
     },
-    [active, clampToCircle, resolveDirection, startFiring, stopFiring]
+    [active, clampToCircle, resolveVector, startFiring, stopFiring]
   );
 
   const handlePointerUp = useCallback(() => {
     if (!active) return;
     setKnobPos({ x: 0, y: 0 });
     setActive(false);
-    setActiveDir(null);
     stopFiring();
-    currentDirectionRef.current = null;
+    currentVectorRef.current = null;
   }, [active, stopFiring]);
 
   // Attach move/up to window so dragging outside the component still works
@@ -0,0 +1,128 @@
+import { useState, useEffect } from 'react';
+import TextField from '@mui/material/TextField';
+import CircularProgress from '@mui/material/CircularProgress';
+import Alert from '@mui/material/Alert';
+import Logo from '../Logo/Logo.png';
+import './LoginScreen.css';
+
+export default function LoginScreen({ onLogin }) {
+  const [mode, setMode] = useState('login');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [registrationOpen, setRegistrationOpen] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Ask the backend whether an account can be created
+  useEffect(() => {
+    const loadAuthStatus = async () => {
+      try {
+        const response = await fetch('/api/auth/status');
+        const result = await response.json();
+
+        if (result.status === 'success') {
+          setRegistrationOpen(result.data.registrationOpen);
+          // No accounts yet - the first one becomes the device owner
+          if (!result.data.hasUsers) {
+            setMode('register');
+          }
+        }
+      } catch (error) {
+        console.error('Failed to load auth status:', error);
+      }
+    };
+
+    loadAuthStatus();
+  }, []);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      const response = await fetch(`/api/auth/${mode}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ username, password }),
+      });
+      const result = await response.json();
+
+      if (result.status === 'success') {
+        onLogin(result.data);
+      } else {
+        setError(result.details?.join(' ') || result.error || 'Something went wrong');
+      }
+    } catch (error) {
+      console.error(`Failed to ${mode}:`, error);
+      setError('Cannot reach the server');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const isRegister = mode === 'register';
+
+  return (
+    <div className="login-screen">
+      <form className="login-card" onSubmit={handleSubmit}>
+        <img src={Logo} alt="CCLT" className="login-logo" />
+        <h1 className="login-title">{isRegister ? 'Create account' : 'Log in'}</h1>
+
+        <TextField
+          label="Username"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          autoComplete="username"
+          fullWidth
+          className="login-text-field"
+          disabled={submitting}
+        />
+        <TextField
+          label="Password"
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          autoComplete={isRegister ? 'new-password' : 'current-password'}
+          fullWidth
+          className="login-text-field"
+          disabled={submitting}
+        />
+
+        {error && (
+          <Alert severity="error" className="login-error">
+            {error}
+          </Alert>
+        )}
+
+        <button
+          type="submit"
+          className="login-submit-btn"
+          disabled={submitting || !username || !password}
+        >
+          {submitting ? (
+            <CircularProgress size={20} color="inherit" />
+          ) : (
+            isRegister ? 'Create account' : 'Log in'
+          )}
+        </button>
+
+        {registrationOpen && (
+          <button
+            type="button"
+            className="login-switch-btn"
+            onClick={() => {
+              setMode(isRegister ? 'login' : 'register');
+              setError(null);
+            }}
+            disabled={submitting}
+          >
+            {isRegister ? 'Already have an account? Log in' : 'New here? Create an account'}
+          </button>
+        )}
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,310 @@
+import * as React from 'react';
+import List from '@mui/material/List';
+import ListItem from '@mui/material/ListItem';
+import ListItemText from '@mui/material/ListItemText';
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+import TextField from '@mui/material/TextField';
+import Switch from '@mui/material/Switch';
+import IconButton from '@mui/material/IconButton';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { getNormalizedClick, getImagePoint } from '../videoCoordinates';
+
+const EMPTY_RANGES = { panMin: '', panMax: '', tiltMin: '', tiltMax: '' };
+
+/**
+ * Short summary line for a zone
+ */
+function describeZone(zone) {
+  if (zone.type === 'polygon') {
+    return `Drawn on camera · ${zone.definition.points.length} corners`;
+  }
+  const range = (axis) => zone.definition[axis]
+    ? `${axis} ${zone.definition[axis][0]}°–${zone.definition[axis][1]}°`
+    : `any ${axis}`;
+  return `Angles · ${range('pan')}, ${range('tilt')}`;
+}
+
+/**
+ * Build an angle range from two text fields, or undefined if both are blank
+ */
+function toRange(min, max) {
+  if (min === '' && max === '') return undefined;
+  return [Number(min), Number(max)];
+}
+
+export default function NoGoZonesPanel({ showSnackbar }) {
+  const [zones, setZones] = React.useState([]);
+  const [mode, setMode] = React.useState(null); // null | 'polygon' | 'angles'
+  const [name, setName] = React.useState('');
+  const [points, setPoints] = React.useState([]);
+  const [ranges, setRanges] = React.useState(EMPTY_RANGES);
+  const [busy, setBusy] = React.useState(false);
+  // Bumped when the video frame size is known so overlays get positioned
+  const [, setImageReady] = React.useState(0);
+  const videoRef = React.useRef(null);
+
+  React.useEffect(() => {
+    loadZones();
+  }, []);
+
+  const loadZones = async () => {
+    try {
+      const response = await fetch('/api/zones');
+      const result = await response.json();
+
+      if (result.status === 'success') {
+        setZones(result.data);
+      } else {
+        showSnackbar('Failed to load no-go zones', 'error');
+      }
+    } catch (error) {
+      console.error('Error loading no-go zones:', error);
+      showSnackbar('Error loading no-go zones', 'error');
+    }
+  };
+
+  const closeEditor = () => {
+    setMode(null);
+    setName('');
+    setPoints([]);
+    setRanges(EMPTY_RANGES);
+  };
+
+  const handleVideoClick = (event) => {
+    const point = getNormalizedClick(event, videoRef.current);
+    if (point) {
+      setPoints(prev => [...prev, point]);
+    }
+  };
+
+  const sendZone = async (url, method, zone, successMessage) => {
+    setBusy(true);
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(zone),
+      });
+      const result = await response.json();
+
+      if (result.status === 'success') {
+        showSnackbar(successMessage, 'success');
+        loadZones();
+        return true;
+      }
+      showSnackbar(result.details?.join(' ') || result.error || 'Failed to save no-go zone', 'error');
+    } catch (error) {
+      console.error('Error saving no-go zone:', error);
+      showSnackbar('Error saving no-go zone', 'error');
+    } finally {
+      setBusy(false);
+    }
+    return false;
+  };
+
+  const handleCreate = async () => {
+    const definition = mode === 'polygon'
+      ? { points }
+      : {
+          pan: toRange(ranges.panMin, ranges.panMax),
+          tilt: toRange(ranges.tiltMin, ranges.tiltMax),
+        };
+
+    const saved = await sendZone('/api/zones', 'POST', { name, type: mode, definition }, 'No-go zone added');
+    if (saved) {
+      closeEditor();
+    }
+  };
+
+  const handleToggle = (zone) => {
+    sendZone(
+      `/api/zones/${zone.id}`,
+      'PUT',
+      { ...zone, enabled: !zone.enabled },
+      zone.enabled ? 'No-go zone disabled' : 'No-go zone enabled'
+    );
+  };
+
+  const handleDelete = async (zone) => {
+    if (!window.confirm(`Remove the no-go zone "${zone.name}"?`)) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/zones/${zone.id}`, {
+        method: 'DELETE',
+      });
+      const result = await response.json();
+
+      if (result.status === 'success') {
+        showSnackbar('No-go zone removed', 'success');
+        loadZones();
+      } else {
+        showSnackbar(result.error || 'Failed to remove no-go zone', 'error');
+      }
+    } catch (error) {
+      console.error('Error removing no-go zone:', error);
+      showSnackbar('Error removing no-go zone', 'error');
+    }
+  };
+
+  const toSvgPoints = (polygon) => polygon
+    .map(point => getImagePoint(point, videoRef.current))
+    .filter(Boolean)
+    .map(({ left, top }) => `${left},${top}`)
+    .join(' ');
+
+  const renderPolygonEditor = () => (
+    <>
+      <Typography className="settings-helper-text">
+        Tap the corners of the area the laser must stay out of.
+      </Typography>
+      <div className="calibration-video">
+        <img
+          ref={videoRef}
+          src="/api/camera/stream"
+          alt="No-go zone camera view"
+          className="calibration-video-feed"
+          onClick={handleVideoClick}
+          onLoad={() => setImageReady(n => n + 1)}
+        />
+        <svg className="zone-overlay">
+          {zones.filter(zone => zone.type === 'polygon').map(zone => (
+            <polygon
+              key={zone.id}
+              className={zone.enabled ? 'zone-polygon' : 'zone-polygon zone-polygon--disabled'}
+              points={toSvgPoints(zone.definition.points)}
+            />
+          ))}
+          {points.length > 0 && (
+            <polygon className="zone-polygon zone-polygon--draft" points={toSvgPoints(points)} />
+          )}
+        </svg>
+      </div>
+    </>
+  );
+
+  const renderAnglesEditor = () => (
+    <>
+      <Typography className="settings-helper-text">
+        Leave both fields of an axis blank to cover its whole range.
+      </Typography>
+      {[['pan', 'Pan'], ['tilt', 'Tilt']].map(([axis, label]) => (
+        <Box key={axis} className="zone-range">
+          {['Min', 'Max'].map(bound => (
+            <TextField
+              key={bound}
+              type="number"
+              label={`${label} ${bound.toLowerCase()} (°)`}
+              value={ranges[`${axis}${bound}`]}
+              onChange={(e) => setRanges(prev => ({ ...prev, [`${axis}${bound}`]: e.target.value }))}
+              className="settings-text-field"
+              inputProps={{ min: 0, max: 180 }}
+            />
+          ))}
+        </Box>
+      ))}
+    </>
+  );
+
+  return (
+    <Box className="settings-detail-view">
+      {mode ? (
+        <Box className="settings-section">
+          <Typography className="settings-section-title">
+            {mode === 'polygon' ? 'Draw No-Go Zone' : 'Angle No-Go Zone'}
+          </Typography>
+          <TextField
+            fullWidth
+            label="Name"
+            placeholder="e.g. Window, Sofa at eye level"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            className="settings-text-field"
+          />
+          {mode === 'polygon' ? renderPolygonEditor() : renderAnglesEditor()}
+          <Box className="calibration-actions">
+            {mode === 'polygon' && (
+              <button
+                className="settings-save-btn"
+                onClick={() => setPoints(prev => prev.slice(0, -1))}
+                disabled={busy || points.length === 0}
+              >
+                Undo Corner
+              </button>
+            )}
+            <button className="settings-save-btn" onClick={closeEditor} disabled={busy}>
+              Cancel
+            </button>
+            <button
+              className="settings-save-btn"
+              onClick={handleCreate}
+              disabled={busy || !name.trim() || (mode === 'polygon' && points.length < 3)}
+            >
+              Save Zone
+            </button>
+          </Box>
+        </Box>
+      ) : (
+        <Box className="settings-section">
+          <Typography className="settings-section-title">
+            Add a No-Go Zone
+          </Typography>
+          <Typography className="settings-helper-text">
+            The laser never moves into a no-go zone, whether you or autonomous mode is in control.
+            Drawing on the camera view needs a laser calibration.
+          </Typography>
+          <Box className="calibration-actions">
+            <button className="settings-save-btn" onClick={() => setMode('polygon')}>
+              Draw on Camera
+            </button>
+            <button className="settings-save-btn" onClick={() => setMode('angles')}>
+              Angle Range
+            </button>
+          </Box>
+        </Box>
+      )}
+
+      {!mode && zones.length > 0 && (
+        <Box className="settings-section">
+          <Typography className="settings-section-title">
+            Zones
+          </Typography>
+          <List>
+            {zones.map((zone) => (
+              <ListItem
+                key={zone.id}
+                className="settings-radio-option"
+                secondaryAction={
+                  <>
+                    <Switch
+                      checked={zone.enabled}
+                      onChange={() => handleToggle(zone)}
+                      disabled={busy}
+                      inputProps={{ 'aria-label': `Enable ${zone.name}` }}
+                    />
+                    <IconButton onClick={() => handleDelete(zone)} aria-label="remove zone">
+                      <DeleteIcon />
+                    </IconButton>
+                  </>
+                }
+              >
+                <ListItemText
+                  primary={zone.name}
+                  secondary={describeZone(zone)}
+                  classes={{
+                    primary: 'settings-radio-primary',
+                    secondary: 'settings-radio-secondary'
+                  }}
+                />
+              </ListItem>
+            ))}
+          </List>
+        </Box>
+      )}
+    </Box>
+  );
+}
@@ -0,0 +1,178 @@
+import * as React from 'react';
+import List from '@mui/material/List';
+import ListItem from '@mui/material/ListItem';
+import ListItemText from '@mui/material/ListItemText';
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+import IconButton from '@mui/material/IconButton';
+import PlayArrowIcon from '@mui/icons-material/PlayArrow';
+import StopIcon from '@mui/icons-material/Stop';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+
+/**
+ * Format a pattern length as m:ss
+ */
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+export default function PatternsPanel({ showSnackbar, onPlayPattern }) {
+  const [patterns, setPatterns] = React.useState([]);
+  const [playing, setPlaying] = React.useState(null);
+
+  React.useEffect(() => {
+    loadPatterns();
+  }, []);
+
+  const loadPatterns = async () => {
+    try {
+      const response = await fetch('/api/patterns');
+      const result = await response.json();
+
+      if (result.status === 'success') {
+        setPatterns(result.data);
+        setPlaying(result.playback.playing);
+      } else {
+        showSnackbar('Failed to load patterns', 'error');
+      }
+    } catch (error) {
+      console.error('Error loading patterns:', error);
+      showSnackbar('Error loading patterns', 'error');
+    }
+  };
+
+  const handlePlay = async (pattern) => {
+    try {
+      const result = await onPlayPattern(pattern.id);
+
+      if (result?.status === 'success') {
+        setPlaying(result.data.playing);
+      } else {
+        showSnackbar(result?.error || 'Take control of the laser first', 'error');
+      }
+    } catch (error) {
+      console.error('Error playing pattern:', error);
+      showSnackbar('Error playing pattern', 'error');
+    }
+  };
+
+  const handleStop = async () => {
+    try {
+      const response = await fetch('/api/patterns/stop', {
+        method: 'POST',
+      });
+      const result = await response.json();
+
+      if (result.status === 'success') {
+        setPlaying(null);
+      }
+    } catch (error) {
+      console.error('Error stopping pattern:', error);
+      showSnackbar('Error stopping pattern', 'error');
+    }
+  };
+
+  const handleRename = async (pattern) => {
+    const name = window.prompt('Rename pattern', pattern.name);
+    if (name === null || name.trim() === '' || name === pattern.name) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/patterns/${pattern.id}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ name }),
+      });
+      const result = await response.json();
+
+      if (result.status === 'success') {
+        showSnackbar('Pattern renamed', 'success');
+        loadPatterns();
+      } else {
+        showSnackbar(result.error || 'Failed to rename pattern', 'error');
+      }
+    } catch (error) {
+      console.error('Error renaming pattern:', error);
+      showSnackbar('Error renaming pattern', 'error');
+    }
+  };
+
+  const handleDelete = async (pattern) => {
+    if (!window.confirm(`Delete the pattern "${pattern.name}"?`)) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/patterns/${pattern.id}`, {
+        method: 'DELETE',
+      });
+      const result = await response.json();
+
+      if (result.status === 'success') {
+        showSnackbar('Pattern deleted', 'success');
+        loadPatterns();
+      } else {
+        showSnackbar(result.error || 'Failed to delete pattern', 'error');
+      }
+    } catch (error) {
+      console.error('Error deleting pattern:', error);
+      showSnackbar('Error deleting pattern', 'error');
+    }
+  };
+
+  return (
+    <Box className="settings-detail-view">
+      <Box className="settings-section">
+        <Typography className="settings-section-title">
+          Saved Patterns
+        </Typography>
+        <Typography className="settings-helper-text">
+          {patterns.length === 0
+            ? 'Nothing saved yet. Press Record in the side menu, play by hand, then press Stop Rec to save it.'
+            : 'Patterns replay your moves with their original timing. Autonomous mode can use one instead of the built-in routine.'}
+        </Typography>
+        <List>
+          {patterns.map((pattern) => {
+            const isPlaying = playing?.patternId === pattern.id;
+            return (
+              <ListItem
+                key={pattern.id}
+                className="settings-radio-option"
+                secondaryAction={
+                  <>
+                    <IconButton
+                      onClick={() => (isPlaying ? handleStop() : handlePlay(pattern))}
+                      aria-label={isPlaying ? 'stop pattern' : 'play pattern'}
+                    >
+                      {isPlaying ? <StopIcon /> : <PlayArrowIcon />}
+                    </IconButton>
+                    <IconButton onClick={() => handleRename(pattern)} aria-label="rename pattern">
+                      <EditIcon />
+                    </IconButton>
+                    <IconButton onClick={() => handleDelete(pattern)} aria-label="delete pattern">
+                      <DeleteIcon />
+                    </IconButton>
+                  </>
+                }
+              >
+                <ListItemText
+                  primary={pattern.name}
+                  secondary={`${formatDuration(pattern.durationMs)} · ${pattern.commandCount} moves${pattern.createdBy ? ` · by ${pattern.createdBy}` : ''}`}
+                  classes={{
+                    primary: 'settings-radio-primary',
+                    secondary: 'settings-radio-secondary'
+                  }}
+                />
+              </ListItem>
+            );
+          })}
+        </List>
+      </Box>
+    </Box>
+  );
+}
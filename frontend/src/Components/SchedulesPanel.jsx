@@ -0,0 +1,316 @@
+import * as React from 'react';
+import List from '@mui/material/List';
+import ListItem from '@mui/material/ListItem';
+import ListItemText from '@mui/material/ListItemText';
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+import TextField from '@mui/material/TextField';
+import Switch from '@mui/material/Switch';
+import MenuItem from '@mui/material/MenuItem';
+import IconButton from '@mui/material/IconButton';
+import DeleteIcon from '@mui/icons-material/Delete';
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const WEEKDAYS = [1, 2, 3, 4, 5];
+const EMPTY_DRAFT = { name: '', days: WEEKDAYS, times: '', start: '22:00', end: '07:00', presence: 'away' };
+const PRESENCE_LABELS = { home: 'Home', away: 'Away', sleeping: 'Sleeping' };
+const EDITOR_TITLES = { play: 'New Play Schedule', quiet: 'New Quiet Hours', presence: 'New Presence Schedule' };
+const CREATED_MESSAGES = { play: 'Play schedule added', quiet: 'Quiet hours added', presence: 'Presence schedule added' };
+
+/**
+ * "Mon–Fri", "Sat, Sun", "Every day"
+ */
+function describeDays(days) {
+  if (days.length === 7) return 'Every day';
+  if (days.join() === WEEKDAYS.join()) return 'Weekdays';
+  if (days.join() === '0,6') return 'Weekends';
+  return days.map(day => DAY_NAMES[day]).join(', ');
+}
+
+/**
+ * Short summary line for a schedule
+ */
+function describeSchedule(schedule) {
+  const { days, times, start, end, presence } = schedule.definition;
+  if (schedule.type === 'play') {
+    return `${describeDays(days)} at ${times.join(', ')}`;
+  }
+  const label = schedule.type === 'quiet' ? 'Quiet' : PRESENCE_LABELS[presence];
+  return `${label} ${describeDays(days)} ${start}–${end}`;
+}
+
+/**
+ * "10:00, 14:30" -> ['10:00', '14:30'], padding single-digit hours
+ */
+function parseTimes(text) {
+  return text
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map(time => time.padStart(5, '0'));
+}
+
+export default function SchedulesPanel({ showSnackbar, timezone }) {
+  const [schedules, setSchedules] = React.useState([]);
+  const [mode, setMode] = React.useState(null); // null | 'play' | 'quiet' | 'presence'
+  const [draft, setDraft] = React.useState(EMPTY_DRAFT);
+  const [busy, setBusy] = React.useState(false);
+
+  React.useEffect(() => {
+    loadSchedules();
+  }, []);
+
+  const loadSchedules = async () => {
+    try {
+      const response = await fetch('/api/schedules');
+      const result = await response.json();
+
+      if (result.status === 'success') {
+        setSchedules(result.data);
+      } else {
+        showSnackbar('Failed to load schedules', 'error');
+      }
+    } catch (error) {
+      console.error('Error loading schedules:', error);
+      showSnackbar('Error loading schedules', 'error');
+    }
+  };
+
+  const closeEditor = () => {
+    setMode(null);
+    setDraft(EMPTY_DRAFT);
+  };
+
+  const toggleDay = (day) => {
+    setDraft(prev => ({
+      ...prev,
+      days: prev.days.includes(day)
+        ? prev.days.filter(d => d !== day)
+        : [...prev.days, day].sort(),
+    }));
+  };
+
+  const sendSchedule = async (url, method, schedule, successMessage) => {
+    setBusy(true);
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(schedule),
+      });
+      const result = await response.json();
+
+      if (result.status === 'success') {
+        showSnackbar(successMessage, 'success');
+        loadSchedules();
+        return true;
+      }
+      showSnackbar(result.details?.join(' ') || result.error || 'Failed to save schedule', 'error');
+    } catch (error) {
+      console.error('Error saving schedule:', error);
+      showSnackbar('Error saving schedule', 'error');
+    } finally {
+      setBusy(false);
+    }
+    return false;
+  };
+
+  const handleCreate = async () => {
+    const definition = mode === 'play'
+      ? { days: draft.days, times: parseTimes(draft.times) }
+      : { days: draft.days, start: draft.start, end: draft.end };
+    if (mode === 'presence') {
+      definition.presence = draft.presence;
+    }
+
+    const saved = await sendSchedule(
+      '/api/schedules',
+      'POST',
+      { name: draft.name, type: mode, definition },
+      CREATED_MESSAGES[mode]
+    );
+    if (saved) {
+      closeEditor();
+    }
+  };
+
+  const handleToggle = (schedule) => {
+    sendSchedule(
+      `/api/schedules/${schedule.id}`,
+      'PUT',
+      { ...schedule, enabled: !schedule.enabled },
+      schedule.enabled ? 'Schedule disabled' : 'Schedule enabled'
+    );
+  };
+
+  const handleDelete = async (schedule) => {
+    if (!window.confirm(`Remove the schedule "${schedule.name}"?`)) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/schedules/${schedule.id}`, {
+        method: 'DELETE',
+      });
+      const result = await response.json();
+
+      if (result.status === 'success') {
+        showSnackbar('Schedule removed', 'success');
+        loadSchedules();
+      } else {
+        showSnackbar(result.error || 'Failed to remove schedule', 'error');
+      }
+    } catch (error) {
+      console.error('Error removing schedule:', error);
+      showSnackbar('Error removing schedule', 'error');
+    }
+  };
+
+  const renderEditor = () => (
+    <Box className="settings-section">
+      <Typography className="settings-section-title">
+        {EDITOR_TITLES[mode]}
+      </Typography>
+      <TextField
+        fullWidth
+        label="Name"
+        placeholder={mode === 'play' ? 'e.g. Workday breaks' : mode === 'quiet' ? 'e.g. Night' : 'e.g. Office hours'}
+        value={draft.name}
+        onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))}
+        className="settings-text-field"
+      />
+      <Box className="schedule-days">
+        {DAY_NAMES.map((name, day) => (
+          <button
+            key={name}
+            className={`schedule-day ${draft.days.includes(day) ? 'schedule-day--on' : ''}`}
+            onClick={() => toggleDay(day)}
+          >
+            {name}
+          </button>
+        ))}
+      </Box>
+      {mode === 'play' ? (
+        <TextField
+          fullWidth
+          label="Times (24-hour)"
+          placeholder="10:00, 14:30"
+          value={draft.times}
+          onChange={(e) => setDraft(prev => ({ ...prev, times: e.target.value }))}
+          className="settings-text-field"
+        />
+      ) : (
+        <Box className="schedule-times">
+          {[['start', 'From'], ['end', 'Until']].map(([key, label]) => (
+            <TextField
+              key={key}
+              type="time"
+              label={label}
+              value={draft[key]}
+              onChange={(e) => setDraft(prev => ({ ...prev, [key]: e.target.value }))}
+              className="settings-text-field"
+              InputLabelProps={{ shrink: true }}
+            />
+          ))}
+        </Box>
+      )}
+      {mode === 'presence' && (
+        <TextField
+          select
+          fullWidth
+          label="Presence"
+          value={draft.presence}
+          onChange={(e) => setDraft(prev => ({ ...prev, presence: e.target.value }))}
+          className="settings-text-field"
+        >
+          {Object.entries(PRESENCE_LABELS).map(([value, label]) => (
+            <MenuItem key={value} value={value}>{label}</MenuItem>
+          ))}
+        </TextField>
+      )}
+      <Typography className="settings-helper-text">
+        Times are in {timezone}. {mode !== 'play' && 'An end before the start runs past midnight.'}
+      </Typography>
+      <Box className="calibration-actions">
+        <button className="settings-save-btn" onClick={closeEditor} disabled={busy}>
+          Cancel
+        </button>
+        <button
+          className="settings-save-btn"
+          onClick={handleCreate}
+          disabled={busy || !draft.name.trim() || draft.days.length === 0 ||
+            (mode === 'play' && !draft.times.trim())}
+        >
+          Save Schedule
+        </button>
+      </Box>
+    </Box>
+  );
+
+  return (
+    <Box className="settings-detail-view">
+      {mode ? renderEditor() : (
+        <Box className="settings-section">
+          <Typography className="settings-section-title">
+            Add a Schedule
+          </Typography>
+          <Typography className="settings-helper-text">
+            Play schedules start a session at set times when the activation trigger is Schedule.
+            Quiet hours stop every trigger from starting a session.
+            Presence schedules say when you're away or asleep, if presence is set to By Schedule.
+          </Typography>
+          <Box className="calibration-actions">
+            <button className="settings-save-btn" onClick={() => setMode('play')}>
+              Play Times
+            </button>
+            <button className="settings-save-btn" onClick={() => setMode('quiet')}>
+              Quiet Hours
+            </button>
+            <button className="settings-save-btn" onClick={() => setMode('presence')}>
+              Presence
+            </button>
+          </Box>
+        </Box>
+      )}
+
+      {!mode && schedules.length > 0 && (
+        <Box className="settings-section">
+          <Typography className="settings-section-title">
+            Schedules
+          </Typography>
+          <List>
+            {schedules.map((schedule) => (
+              <ListItem
+                key={schedule.id}
+                className="settings-radio-option"
+                secondaryAction={
+                  <>
+                    <Switch
+                      checked={schedule.enabled}
+                      onChange={() => handleToggle(schedule)}
+                      disabled={busy}
+                      inputProps={{ 'aria-label': `Enable ${schedule.name}` }}
+                    />
+                    <IconButton onClick={() => handleDelete(schedule)} aria-label="remove schedule">
+                      <DeleteIcon />
+                    </IconButton>
+                  </>
+                }
+              >
+                <ListItemText
+                  primary={schedule.name}
+                  secondary={describeSchedule(schedule)}
+                  classes={{
+                    primary: 'settings-radio-primary',
+                    secondary: 'settings-radio-secondary'
+                  }}
+                />
+              </ListItem>
+            ))}
+          </List>
+        </Box>
+      )}
+    </Box>
+  );
+}
@@ -21,13 +21,33 @@ import Box from '@mui/material/Box';
 import CircularProgress from '@mui/material/CircularProgress';
 import Snackbar from '@mui/material/Snackbar';
 import Alert from '@mui/material/Alert';
+import GuestLinksPanel from './GuestLinksPanel';
+import CalibrationWizard from './CalibrationWizard';
+import NoGoZonesPanel from './NoGoZonesPanel';
+import PatternsPanel from './PatternsPanel';
+import GamepadPanel from './GamepadPanel';
+import SchedulesPanel from './SchedulesPanel';
+import StatsPanel from './StatsPanel';
+import MenuItem from '@mui/material/MenuItem';
+import { DEFAULT_GAMEPAD_MAPPING } from '../gamepad';
 import './SettingsDialog.css';
 
+// IANA timezones the browser knows, for the schedule timezone picker
+const TIMEZONES = Intl.supportedValuesOf?.('timeZone') ?? [];
+
+// [value, label, description] for the presence picker
+const PRESENCE_OPTIONS = [
+  ['auto', 'By Schedule', 'Follow the presence schedules, home outside them'],
+  ['home', 'Home', 'Someone is around to play - no autonomous play'],
+  ['away', 'Away', 'Nobody is home - autonomous play may start'],
+  ['sleeping', 'Sleeping', 'Everyone is asleep - no autonomous play'],
+];
+
 const Transition = React.forwardRef(function Transition(props, ref) {
   return <Slide direction="up" ref={ref} {...props} />;
 });
 
-export default function FullScreenDialog({ open, onClose }) {
+export default function FullScreenDialog({ open, onClose, onLaserMove, onLaserOn, onPlayPattern }) {
   const [currentView, setCurrentView] = React.useState('main');
   const [settings, setSettings] = React.useState({
     notificationsEnabled: true,
@@ -35,7 +55,22 @@ export default function FullScreenDialog({ open, onClose }) {
     triggerType: 'detection',
     timeInterval: 2,
     sessionDuration: 5,
+    autonomousPatternId: null,
+    gamepadMapping: DEFAULT_GAMEPAD_MAPPING,
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    dailyBudgetMinutes: 0,
+    restMinutes: 0,
+    budgetEnforcement: 'warn',
+    presence: 'home',
+    catTracking: false,
+    trackingDistance: 25,
+    engagementGraceSeconds: 0,
+    maxSessionMinutes: 0,
+    takeoverIdleSeconds: 60,
+    strategyWeights: null,
   });
+  const [patterns, setPatterns] = React.useState([]);
+  const [strategies, setStrategies] = React.useState([]);
   const [originalSettings, setOriginalSettings] = React.useState(null);
   const [loading, setLoading] = React.useState(false);
   const [saving, setSaving] = React.useState(false);
@@ -49,9 +84,44 @@ export default function FullScreenDialog({ open, onClose }) {
   React.useEffect(() => {
     if (open) {
       loadSettings();
+      loadPatterns();
+      loadStrategies();
     }
   }, [open]);
 
+  // Saved patterns autonomous mode can play instead of the built-in routine
+  const loadPatterns = async () => {
+    try {
+      const response = await fetch('/api/patterns');
+      const result = await response.json();
+
+      if (result.status === 'success') {
+        setPatterns(result.data);
+      }
+    } catch (error) {
+      console.error('Error loading patterns:', error);
+    }
+  };
+
+  // Play strategies the built-in routine picks from, by weight
+  const loadStrategies = async () => {
+    try {
+      const response = await fetch('/api/autonomous/strategies');
+      const result = await response.json();
+
+      if (result.status === 'success') {
+        setStrategies(result.data);
+      }
+    } catch (error) {
+      console.error('Error loading play strategies:', error);
+    }
+  };
+
+  const handleStrategyWeightChange = (id, value) => {
+    const weight = Math.min(10, Math.max(0, parseInt(value) || 0));
+    setSettings(prev => ({ ...prev, strategyWeights: { ...prev.strategyWeights, [id]: weight } }));
+  };
+
   const loadSettings = async () => {
     setLoading(true);
     try {
@@ -194,6 +264,126 @@ export default function FullScreenDialog({ open, onClose }) {
         />
       </ListItemButton>
       <Divider className="settings-divider" />
+      <ListItemButton 
+        className="settings-list-item"
+        onClick={() => setCurrentView('schedules')}
+        disabled={loading}
+      >
+        <ListItemText
+          primary="Schedules"
+          secondary="Play times and quiet hours for autonomous mode"
+          classes={{
+            primary: 'settings-item-primary',
+            secondary: 'settings-item-secondary'
+          }}
+        />
+      </ListItemButton>
+      <Divider className="settings-divider" />
+      <ListItemButton 
+        className="settings-list-item"
+        onClick={() => setCurrentView('budget')}
+        disabled={loading}
+      >
+        <ListItemText
+          primary="Play Budget"
+          secondary="Daily play limit and rest between sessions"
+          classes={{
+            primary: 'settings-item-primary',
+            secondary: 'settings-item-secondary'
+          }}
+        />
+      </ListItemButton>
+      <Divider className="settings-divider" />
+      <ListItemButton 
+        className="settings-list-item"
+        onClick={() => setCurrentView('stats')}
+        disabled={loading}
+      >
+        <ListItemText
+          primary="Play Stats"
+          secondary="How often and how long your cat has played"
+          classes={{
+            primary: 'settings-item-primary',
+            secondary: 'settings-item-secondary'
+          }}
+        />
+      </ListItemButton>
+      <Divider className="settings-divider" />
+      <ListItemButton 
+        className="settings-list-item"
+        onClick={() => setCurrentView('calibration')}
+        disabled={loading}
+      >
+        <ListItemText
+          primary="Laser Calibration"
+          secondary="Teach the laser where it lands on the camera view"
+          classes={{
+            primary: 'settings-item-primary',
+            secondary: 'settings-item-secondary'
+          }}
+        />
+      </ListItemButton>
+      <Divider className="settings-divider" />
+      <ListItemButton 
+        className="settings-list-item"
+        onClick={() => setCurrentView('patterns')}
+        disabled={loading}
+      >
+        <ListItemText
+          primary="Patterns"
+          secondary="Replay, rename or delete recorded play"
+          classes={{
+            primary: 'settings-item-primary',
+            secondary: 'settings-item-secondary'
+          }}
+        />
+      </ListItemButton>
+      <Divider className="settings-divider" />
+      <ListItemButton 
+        className="settings-list-item"
+        onClick={() => setCurrentView('zones')}
+        disabled={loading}
+      >
+        <ListItemText
+          primary="No-Go Zones"
+          secondary="Keep the laser away from windows, screens and faces"
+          classes={{
+            primary: 'settings-item-primary',
+            secondary: 'settings-item-secondary'
+          }}
+        />
+      </ListItemButton>
+      <Divider className="settings-divider" />
+      <ListItemButton 
+        className="settings-list-item"
+        onClick={() => setCurrentView('gamepad')}
+        disabled={loading}
+      >
+        <ListItemText
+          primary="Gamepad"
+          secondary="Choose the stick and buttons for a connected controller"
+          classes={{
+            primary: 'settings-item-primary',
+            secondary: 'settings-item-secondary'
+          }}
+        />
+      </ListItemButton>
+      <Divider className="settings-divider" />
+      <ListItemButton 
+        className="settings-list-item"
+        onClick={() => setCurrentView('guests')}
+        disabled={loading}
+      >
+        <ListItemText
+          primary="Guest Links"
+          secondary="Share time-limited access with friends and pet sitters"
+          classes={{
+            primary: 'settings-item-primary',
+            secondary: 'settings-item-secondary'
+          }}
+        />
+      </ListItemButton>
+      <Divider className="settings-divider" />
       <ListItemButton 
         className="settings-list-item"
         onClick={handleReset}
@@ -235,8 +425,8 @@ export default function FullScreenDialog({ open, onClose }) {
           <>
             <Box className="settings-info-box">
               <Typography variant="body2" className="settings-info-text">
-                💡 Tip: When notifications are silenced, you can enable Autonomous Mode 
-                so your cat still gets playtime automatically.
+                💡 Tip: Autonomous Mode plays with your cat while you're away,
+                whether or not notifications are on.
               </Typography>
             </Box>
             <Divider className="settings-divider" />
@@ -246,6 +436,98 @@ export default function FullScreenDialog({ open, onClose }) {
     </Box>
   );
 
+  const renderBudgetSettings = () => (
+    <Box className="settings-detail-view">
+      <Box className="settings-section">
+        <Typography className="settings-section-title">
+          Daily Budget
+        </Typography>
+        <TextField
+          type="number"
+          label="Minutes of laser play per day"
+          value={settings.dailyBudgetMinutes}
+          onChange={(e) => handleSettingChange('dailyBudgetMinutes', Math.max(0, parseInt(e.target.value) || 0))}
+          InputProps={{ inputProps: { min: 0, max: 1440 } }}
+          fullWidth
+          className="settings-text-field"
+          disabled={loading}
+        />
+        <Typography className="settings-helper-text">
+          {settings.dailyBudgetMinutes
+            ? `Manual and autonomous play share ${settings.dailyBudgetMinutes} minutes a day`
+            : 'No daily limit (0)'}
+        </Typography>
+      </Box>
+      <Divider className="settings-divider" />
+
+      <Box className="settings-section">
+        <Typography className="settings-section-title">
+          Rest Between Sessions
+        </Typography>
+        <TextField
+          type="number"
+          label="Minimum minutes between sessions"
+          value={settings.restMinutes}
+          onChange={(e) => handleSettingChange('restMinutes', Math.max(0, parseInt(e.target.value) || 0))}
+          InputProps={{ inputProps: { min: 0, max: 720 } }}
+          fullWidth
+          className="settings-text-field"
+          disabled={loading}
+        />
+        <Typography className="settings-helper-text">
+          Turning the laser back on within a minute continues the same session
+        </Typography>
+      </Box>
+      <Divider className="settings-divider" />
+
+      <Box className="settings-section">
+        <Typography className="settings-section-title">
+          Manual Play Over Budget
+        </Typography>
+        <FormControl component="fieldset" className="settings-form-control">
+          <RadioGroup
+            value={settings.budgetEnforcement}
+            onChange={(e) => handleSettingChange('budgetEnforcement', e.target.value)}
+          >
+            <FormControlLabel
+              value="warn"
+              control={<Radio color="primary" disabled={loading} />}
+              label={
+                <Box>
+                  <Typography className="settings-radio-primary">
+                    Warn
+                  </Typography>
+                  <Typography className="settings-radio-secondary">
+                    Show a warning but let the laser be used
+                  </Typography>
+                </Box>
+              }
+              className="settings-radio-option"
+            />
+            <FormControlLabel
+              value="block"
+              control={<Radio color="primary" disabled={loading} />}
+              label={
+                <Box>
+                  <Typography className="settings-radio-primary">
+                    Block
+                  </Typography>
+                  <Typography className="settings-radio-secondary">
+                    Turn the laser off and refuse to turn it on again
+                  </Typography>
+                </Box>
+              }
+              className="settings-radio-option"
+            />
+          </RadioGroup>
+        </FormControl>
+        <Typography className="settings-helper-text">
+          Autonomous sessions always stop when the budget runs out
+        </Typography>
+      </Box>
+    </Box>
+  );
+
   const renderDetectionSettings = () => (
     <Box className="settings-detail-view">
       <List>
@@ -269,6 +551,41 @@ export default function FullScreenDialog({ open, onClose }) {
 
         {settings.autonomousModeEnabled && (
           <>
+            <Box className="settings-section">
+              <Typography className="settings-section-title">
+                Presence
+              </Typography>
+              <FormControl component="fieldset" className="settings-form-control">
+                <RadioGroup
+                  value={settings.presence}
+                  onChange={(e) => handleSettingChange('presence', e.target.value)}
+                >
+                  {PRESENCE_OPTIONS.map(([value, label, description]) => (
+                    <FormControlLabel
+                      key={value}
+                      value={value}
+                      control={<Radio color="primary" disabled={loading} />}
+                      label={
+                        <Box>
+                          <Typography className="settings-radio-primary">
+                            {label}
+                          </Typography>
+                          <Typography className="settings-radio-secondary">
+                            {description}
+                          </Typography>
+                        </Box>
+                      }
+                      className="settings-radio-option"
+                    />
+                  ))}
+                </RadioGroup>
+              </FormControl>
+              <Typography className="settings-helper-text">
+                Autonomous play only starts while you're away
+              </Typography>
+            </Box>
+            <Divider className="settings-divider" />
+
             <Box className="settings-section">
               <Typography className="settings-section-title">
                 Activation Trigger
@@ -308,11 +625,49 @@ export default function FullScreenDialog({ open, onClose }) {
                     }
                     className="settings-radio-option"
                   />
+                  <FormControlLabel
+                    value="schedule"
+                    control={<Radio color="primary" disabled={loading} />}
+                    label={
+                      <Box>
+                        <Typography className="settings-radio-primary">
+                          Schedule
+                        </Typography>
+                        <Typography className="settings-radio-secondary">
+                          Play at the times set under Schedules
+                        </Typography>
+                      </Box>
+                    }
+                    className="settings-radio-option"
+                  />
                 </RadioGroup>
               </FormControl>
             </Box>
             <Divider className="settings-divider" />
 
+            <Box className="settings-section">
+              <Typography className="settings-section-title">
+                Timezone
+              </Typography>
+              <TextField
+                select
+                label="Timezone for schedules and quiet hours"
+                value={settings.timezone}
+                onChange={(e) => handleSettingChange('timezone', e.target.value)}
+                fullWidth
+                className="settings-text-field"
+                disabled={loading}
+              >
+                {(TIMEZONES.includes(settings.timezone) ? TIMEZONES : [settings.timezone, ...TIMEZONES]).map(zone => (
+                  <MenuItem key={zone} value={zone}>{zone}</MenuItem>
+                ))}
+              </TextField>
+              <Typography className="settings-helper-text">
+                Quiet hours block every trigger, including cat detection
+              </Typography>
+            </Box>
+            <Divider className="settings-divider" />
+
             {settings.triggerType === 'interval' && (
               <>
                 <Box className="settings-section">
@@ -337,6 +692,117 @@ export default function FullScreenDialog({ open, onClose }) {
               </>
             )}
 
+            <Box className="settings-section">
+              <Typography className="settings-section-title">
+                Play Style
+              </Typography>
+              <FormControl component="fieldset" className="settings-form-control">
+                <RadioGroup
+                  value={settings.autonomousPatternId ?? ''}
+                  onChange={(e) => handleSettingChange(
+                    'autonomousPatternId',
+                    e.target.value === '' ? null : parseInt(e.target.value)
+                  )}
+                >
+                  <FormControlLabel
+                    value=""
+                    control={<Radio color="primary" disabled={loading} />}
+                    label={
+                      <Box>
+                        <Typography className="settings-radio-primary">
+                          Built-in Routine
+                        </Typography>
+                        <Typography className="settings-radio-secondary">
+                          A mix of play styles, picked fresh for every session
+                        </Typography>
+                      </Box>
+                    }
+                    className="settings-radio-option"
+                  />
+                  {patterns.map(pattern => (
+                    <FormControlLabel
+                      key={pattern.id}
+                      value={pattern.id}
+                      control={<Radio color="primary" disabled={loading} />}
+                      label={
+                        <Box>
+                          <Typography className="settings-radio-primary">
+                            {pattern.name}
+                          </Typography>
+                          <Typography className="settings-radio-secondary">
+                            Your recorded pattern, on repeat
+                          </Typography>
+                        </Box>
+                      }
+                      className="settings-radio-option"
+                    />
+                  ))}
+                </RadioGroup>
+              </FormControl>
+            </Box>
+            <Divider className="settings-divider" />
+
+            {settings.autonomousPatternId === null && strategies.length > 0 && (
+              <>
+                <Box className="settings-section">
+                  <Typography className="settings-section-title">
+                    Play Style Mix
+                  </Typography>
+                  {strategies.map(strategy => (
+                    <TextField
+                      key={strategy.id}
+                      type="number"
+                      label={strategy.name}
+                      helperText={strategy.description}
+                      value={settings.strategyWeights?.[strategy.id] ?? strategy.weight}
+                      onChange={(e) => handleStrategyWeightChange(strategy.id, e.target.value)}
+                      InputProps={{ inputProps: { min: 0, max: 10 } }}
+                      fullWidth
+                      className="settings-text-field"
+                      disabled={loading}
+                    />
+                  ))}
+                  <Typography className="settings-helper-text">
+                    Higher weights get picked more often; 0 leaves a style out. With all at 0 the device runs its own routine.
+                  </Typography>
+                </Box>
+                <Divider className="settings-divider" />
+              </>
+            )}
+
+            <ListItemButton className="settings-list-item">
+              <ListItemText
+                primary="Cat Tracking"
+                secondary="Chase the cat instead when the camera can see it (needs calibration)"
+                classes={{
+                  primary: 'settings-item-primary',
+                  secondary: 'settings-item-secondary'
+                }}
+              />
+              <Switch
+                checked={settings.catTracking}
+                onChange={(e) => handleSettingChange('catTracking', e.target.checked)}
+                color="primary"
+                disabled={loading}
+              />
+            </ListItemButton>
+            <Box className="settings-section">
+              <TextField
+                type="number"
+                label="Distance ahead of the cat (% of the camera view)"
+                value={settings.trackingDistance}
+                onChange={(e) => handleSettingChange('trackingDistance', parseInt(e.target.value) || 5)}
+                InputProps={{ inputProps: { min: 5, max: 60 } }}
+                fullWidth
+                className="settings-text-field"
+                disabled={loading}
+              />
+              <Typography className="settings-helper-text">
+                Also used by the Chase button. The dot runs ahead of the cat and away as it closes in.
+              </Typography>
+            </Box>
+            <Divider className="settings-divider" />
+
             <Box className="settings-section">
               <Typography className="settings-section-title">
                 Session Duration
@@ -357,10 +823,60 @@ export default function FullScreenDialog({ open, onClose }) {
             </Box>
             <Divider className="settings-divider" />
 
+            <Box className="settings-section">
+              <Typography className="settings-section-title">
+                Follow the Cat's Interest
+              </Typography>
+              <TextField
+                type="number"
+                label="End early after this many seconds without a detection"
+                value={settings.engagementGraceSeconds}
+                onChange={(e) => handleSettingChange('engagementGraceSeconds', Math.max(0, parseInt(e.target.value) || 0))}
+                InputProps={{ inputProps: { min: 0, max: 900 } }}
+                fullWidth
+                className="settings-text-field"
+                disabled={loading}
+              />
+              <TextField
+                type="number"
+                label="Keep going up to this many minutes while detections continue"
+                value={settings.maxSessionMinutes}
+                onChange={(e) => handleSettingChange('maxSessionMinutes', Math.max(0, parseInt(e.target.value) || 0))}
+                InputProps={{ inputProps: { min: 0, max: 120 } }}
+                fullWidth
+                className="settings-text-field"
+                disabled={loading}
+              />
+              <Typography className="settings-helper-text">
+                0 turns either one off. The cap must be at least the session duration.
+              </Typography>
+            </Box>
+            <Divider className="settings-divider" />
+
+            <Box className="settings-section">
+              <Typography className="settings-section-title">
+                Manual Takeover
+              </Typography>
+              <TextField
+                type="number"
+                label="Resume after this many seconds without manual input"
+                value={settings.takeoverIdleSeconds}
+                onChange={(e) => handleSettingChange('takeoverIdleSeconds', parseInt(e.target.value) || 10)}
+                InputProps={{ inputProps: { min: 10, max: 600 } }}
+                fullWidth
+                className="settings-text-field"
+                disabled={loading}
+              />
+              <Typography className="settings-helper-text">
+                Moving the laser or switching it on or off pauses a running session. It picks up where it left off once you stop.
+              </Typography>
+            </Box>
+            <Divider className="settings-divider" />
+
             <Box className="settings-info-box">
               <Typography variant="body2" className="settings-info-text">
                 ℹ️ In Autonomous Mode, the laser will move in randomized patterns 
-                to keep your cat engaged and active.
+                (or replay your saved pattern) to keep your cat engaged and active.
               </Typography>
             </Box>
           </>
@@ -413,6 +929,14 @@ export default function FullScreenDialog({ open, onClose }) {
               {currentView === 'main' && 'Settings'}
               {currentView === 'notifications' && 'Notifications'}
               {currentView === 'detection' && 'Detection Settings'}
+              {currentView === 'guests' && 'Guest Links'}
+              {currentView === 'calibration' && 'Laser Calibration'}
+              {currentView === 'zones' && 'No-Go Zones'}
+              {currentView === 'patterns' && 'Patterns'}
+              {currentView === 'gamepad' && 'Gamepad'}
+              {currentView === 'schedules' && 'Schedules'}
+              {currentView === 'budget' && 'Play Budget'}
+              {currentView === 'stats' && 'Play Stats'}
             </Typography>
             <button 
               className="settings-save-btn" 
@@ -431,6 +955,30 @@ export default function FullScreenDialog({ open, onClose }) {
         {currentView === 'main' && renderMainView()}
         {currentView === 'notifications' && renderNotificationSettings()}
         {currentView === 'detection' && renderDetectionSettings()}
+        {currentView === 'budget' && renderBudgetSettings()}
+        {currentView === 'stats' && <StatsPanel showSnackbar={showSnackbar} />}
+        {currentView === 'guests' && <GuestLinksPanel showSnackbar={showSnackbar} />}
+        {currentView === 'calibration' && (
+          <CalibrationWizard
+            showSnackbar={showSnackbar}
+            onLaserMove={onLaserMove}
+            onLaserOn={onLaserOn}
+          />
+        )}
+        {currentView === 'zones' && <NoGoZonesPanel showSnackbar={showSnackbar} />}
+        {currentView === 'patterns' && (
+          <PatternsPanel showSnackbar={showSnackbar} onPlayPattern={onPlayPattern} />
+        )}
+        {currentView === 'schedules' && (
+          <SchedulesPanel showSnackbar={showSnackbar} timezone={settings.timezone} />
+        )}
+        {currentView === 'gamepad' && (
+          <GamepadPanel
+            mapping={settings.gamepadMapping}
+            onChange={(mapping) => handleSettingChange('gamepadMapping', mapping)}
+            loading={loading}
+          />
+        )}
       </Dialog>
 
       <Snackbar
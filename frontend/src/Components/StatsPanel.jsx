@@ -0,0 +1,231 @@
+import * as React from 'react';
+import List from '@mui/material/List';
+import ListItem from '@mui/material/ListItem';
+import ListItemText from '@mui/material/ListItemText';
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+import TextField from '@mui/material/TextField';
+import MenuItem from '@mui/material/MenuItem';
+
+const RANGES = [7, 30, 90];
+const TRIGGER_LABELS = { manual: 'Manual', detection: 'Cat detected', interval: 'Interval', schedule: 'Schedule' };
+const END_REASON_LABELS = {
+  duration: 'ran its full time',
+  'max-length': 'reached the maximum length',
+  'no-detection': 'cat lost interest',
+  stopped: 'stopped',
+  'emergency-stop': 'emergency stop',
+  watchdog: 'turned off by the watchdog',
+  budget: 'play budget used up',
+  shutdown: 'server shut down',
+  interrupted: 'interrupted by a restart',
+};
+
+/**
+ * Format a session length as "12 min" or "45 s"
+ */
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  return seconds < 60 ? `${seconds} s` : `${Math.round(seconds / 60)} min`;
+}
+
+/**
+ * "Mon 19" for a 'YYYY-MM-DD' day
+ */
+function formatDay(day) {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(year, month - 1, date).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric' });
+}
+
+/**
+ * Vertical bars scaled to the largest value. Only every labelEvery-th bar is labeled.
+ */
+function BarChart({ items, value, label, title, labelEvery = 1 }) {
+  const max = Math.max(...items.map(value), 0);
+
+  return (
+    <Box className="stats-chart">
+      {items.map((item, index) => (
+        <div key={index} className="stats-bar" title={title(item)}>
+          <div className="stats-bar-track">
+            <div
+              className="stats-bar-fill"
+              style={{ height: max > 0 ? `${(value(item) / max) * 100}%` : 0 }}
+            />
+          </div>
+          <span className="stats-bar-label">
+            {index % labelEvery === 0 ? label(item) : ''}
+          </span>
+        </div>
+      ))}
+    </Box>
+  );
+}
+
+export default function StatsPanel({ showSnackbar }) {
+  const [days, setDays] = React.useState(30);
+  const [stats, setStats] = React.useState(null);
+  const [sessions, setSessions] = React.useState([]);
+
+  React.useEffect(() => {
+    loadStats(days);
+  }, [days]);
+
+  React.useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const loadStats = async (range) => {
+    try {
+      const response = await fetch(`/api/sessions/stats?days=${range}`);
+      const result = await response.json();
+
+      if (result.status === 'success') {
+        setStats(result.data);
+      } else {
+        showSnackbar('Failed to load play statistics', 'error');
+      }
+    } catch (error) {
+      console.error('Error loading play statistics:', error);
+      showSnackbar('Error loading play statistics', 'error');
+    }
+  };
+
+  const loadSessions = async () => {
+    try {
+      const response = await fetch('/api/sessions?limit=10');
+      const result = await response.json();
+
+      if (result.status === 'success') {
+        setSessions(result.data);
+      }
+    } catch (error) {
+      console.error('Error loading play sessions:', error);
+    }
+  };
+
+  const totals = stats?.totals;
+
+  return (
+    <Box className="settings-detail-view">
+      <Box className="settings-section">
+        <Typography className="settings-section-title">
+          Overview
+        </Typography>
+        <TextField
+          select
+          fullWidth
+          label="Period"
+          value={days}
+          onChange={(e) => setDays(e.target.value)}
+          className="settings-text-field"
+        >
+          {RANGES.map(range => (
+            <MenuItem key={range} value={range}>Last {range} days</MenuItem>
+          ))}
+        </TextField>
+        {totals && (
+          <Box className="stats-totals">
+            <div className="stats-total">
+              <span className="stats-total-value">{totals.sessions}</span>
+              <span className="stats-total-label">sessions</span>
+            </div>
+            <div className="stats-total">
+              <span className="stats-total-value">{Math.round(totals.minutes)}</span>
+              <span className="stats-total-label">minutes played</span>
+            </div>
+            <div className="stats-total">
+              <span className="stats-total-value">{totals.averageSessionMinutes}</span>
+              <span className="stats-total-label">min per session</span>
+            </div>
+            <div className="stats-total">
+              <span className="stats-total-value">
+                {totals.peakHour === null ? '–' : `${totals.peakHour}:00`}
+              </span>
+              <span className="stats-total-label">busiest hour</span>
+            </div>
+          </Box>
+        )}
+        {totals && (
+          <Typography className="settings-helper-text">
+            {Object.entries(totals.byTrigger)
+              .filter(([, count]) => count > 0)
+              .map(([trigger, count]) => `${TRIGGER_LABELS[trigger] ?? trigger}: ${count}`)
+              .join(' · ') || 'No play sessions yet'}
+          </Typography>
+        )}
+      </Box>
+
+      {stats && (
+        <>
+          <Box className="settings-section">
+            <Typography className="settings-section-title">
+              Minutes per Day
+            </Typography>
+            <BarChart
+              items={stats.minutesPerDay}
+              value={(entry) => entry.minutes}
+              label={(entry) => formatDay(entry.day)}
+              title={(entry) => `${formatDay(entry.day)}: ${entry.minutes} min, ${entry.sessions} sessions`}
+              labelEvery={Math.ceil(stats.minutesPerDay.length / 7)}
+            />
+          </Box>
+
+          <Box className="settings-section">
+            <Typography className="settings-section-title">
+              Sessions per Week
+            </Typography>
+            <BarChart
+              items={stats.sessionsPerWeek}
+              value={(entry) => entry.sessions}
+              label={(entry) => formatDay(entry.weekStart)}
+              title={(entry) => `Week of ${formatDay(entry.weekStart)}: ${entry.sessions} sessions, ${entry.minutes} min`}
+              labelEvery={Math.ceil(stats.sessionsPerWeek.length / 7)}
+            />
+          </Box>
+
+          <Box className="settings-section">
+            <Typography className="settings-section-title">
+              Activity by Hour
+            </Typography>
+            <BarChart
+              items={stats.peakHours}
+              value={(entry) => entry.minutes}
+              label={(entry) => entry.hour}
+              title={(entry) => `${entry.hour}:00–${entry.hour + 1}:00: ${entry.minutes} min`}
+              labelEvery={3}
+            />
+            <Typography className="settings-helper-text">
+              Times are in {stats.timezone}.
+            </Typography>
+          </Box>
+        </>
+      )}
+
+      <Box className="settings-section">
+        <Typography className="settings-section-title">
+          Recent Sessions
+        </Typography>
+        {sessions.length === 0 && (
+          <Typography className="settings-helper-text">
+            Sessions show up here once the laser has played.
+          </Typography>
+        )}
+        <List>
+          {sessions.map(session => (
+            <ListItem key={session.id} className="settings-radio-option">
+              <ListItemText
+                primary={`${new Date(session.startedAt).toLocaleString()} · ${formatDuration(session.durationMs)}`}
+                secondary={`${TRIGGER_LABELS[session.trigger] ?? session.trigger}${session.startedBy && session.trigger === 'manual' ? ` by ${session.startedBy}` : ''} · ${END_REASON_LABELS[session.endReason] ?? session.endReason}`}
+                classes={{
+                  primary: 'settings-radio-primary',
+                  secondary: 'settings-radio-secondary'
+                }}
+              />
+            </ListItem>
+          ))}
+        </List>
+      </Box>
+    </Box>
+  );
+}
@@ -0,0 +1,133 @@
+import { useEffect, useRef, useState } from "react";
+
+// Used until the user saves their own mapping (mirrors the backend default)
+export const DEFAULT_GAMEPAD_MAPPING = {
+  stick: "left",
+  toggleLaser: 0,
+  center: 3,
+};
+
+// Standard Gamepad button indices, labelled as on an Xbox controller
+export const GAMEPAD_BUTTONS = [
+  "A",
+  "B",
+  "X",
+  "Y",
+  "LB",
+  "RB",
+  "LT",
+  "RT",
+  "View",
+  "Menu",
+  "Left stick press",
+  "Right stick press",
+  "D-pad up",
+  "D-pad down",
+  "D-pad left",
+  "D-pad right",
+  "Xbox button",
+];
+
+const STICK_AXES = {
+  left: [0, 1],
+  right: [2, 3],
+};
+const DEAD_ZONE = 0.15; // worn sticks rarely rest at exactly 0
+
+/**
+ * First connected gamepad, or null
+ */
+function getGamepad() {
+  return Array.from(navigator.getGamepads?.() ?? []).find((pad) => pad?.connected) ?? null;
+}
+
+/**
+ * Stick position as a velocity vector {dx, dy} in -1..1 (dy down+),
+ * or null inside the dead zone. Rescaled like the on-screen Joystick.
+ */
+function readStick(pad, stick) {
+  const [xAxis, yAxis] = STICK_AXES[stick] ?? STICK_AXES.left;
+  const x = pad.axes[xAxis] ?? 0;
+  const y = pad.axes[yAxis] ?? 0;
+  const magnitude = Math.min(1, Math.sqrt(x * x + y * y));
+  if (magnitude < DEAD_ZONE) return null;
+
+  const scaled = (magnitude - DEAD_ZONE) / (1 - DEAD_ZONE);
+  const angle = Math.atan2(y, x);
+  return {
+    dx: Math.cos(angle) * scaled,
+    dy: Math.sin(angle) * scaled,
+  };
+}
+
+/**
+ * Drive the laser from a connected gamepad.
+ * The stick sends move vectors every throttleMs while deflected; the mapped
+ * buttons fire once per press. Returns the connected gamepad's name, or null.
+ */
+export function useGamepad({
+  enabled,
+  mapping,
+  onMove,
+  onToggleLaser,
+  onCenter,
+  throttleMs = 100,
+}) {
+  const [gamepadName, setGamepadName] = useState(null);
+
+  // Latest callbacks and mapping, so the polling loop never restarts for them
+  const handlersRef = useRef({});
+  handlersRef.current = { mapping: mapping ?? DEFAULT_GAMEPAD_MAPPING, onMove, onToggleLaser, onCenter };
+
+  useEffect(() => {
+    const updateConnected = () => setGamepadName(getGamepad()?.id ?? null);
+    updateConnected();
+
+    window.addEventListener("gamepadconnected", updateConnected);
+    window.addEventListener("gamepaddisconnected", updateConnected);
+    return () => {
+      window.removeEventListener("gamepadconnected", updateConnected);
+      window.removeEventListener("gamepaddisconnected", updateConnected);
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!enabled || !gamepadName) return;
+
+    let frame = null;
+    let lastMoveAt = 0;
+    // Buttons held on the previous frame, so a press fires only once
+    let held = new Set();
+
+    const poll = () => {
+      frame = requestAnimationFrame(poll);
+      const pad = getGamepad();
+      if (!pad) return;
+
+      const { mapping, onMove, onToggleLaser, onCenter } = handlersRef.current;
+      const now = Date.now();
+
+      const vector = readStick(pad, mapping.stick);
+      if (vector && now - lastMoveAt >= throttleMs) {
+        lastMoveAt = now;
+        onMove?.(vector);
+      }
+
+      const pressed = new Set(
+        pad.buttons.flatMap((button, index) => (button.pressed ? [index] : []))
+      );
+      if (pressed.has(mapping.toggleLaser) && !held.has(mapping.toggleLaser)) {
+        onToggleLaser?.();
+      }
+      if (pressed.has(mapping.center) && !held.has(mapping.center)) {
+        onCenter?.();
+      }
+      held = pressed;
+    };
+
+    frame = requestAnimationFrame(poll);
+    return () => cancelAnimationFrame(frame);
+  }, [enabled, gamepadName, throttleMs]);
+
+  return gamepadName;
+}
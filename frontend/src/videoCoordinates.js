@@ -0,0 +1,39 @@
+/**
+ * Convert a click on an object-fit: contain <img> to normalized image
+ * coordinates (x, y in 0..1, origin top-left).
+ * Returns null for clicks on the letterbox bars or before the first frame.
+ */
+export function getNormalizedClick(event, img) {
+  if (!img?.naturalWidth || !img?.naturalHeight) return null;
+
+  const rect = img.getBoundingClientRect();
+  const scale = Math.min(rect.width / img.naturalWidth, rect.height / img.naturalHeight);
+  const width = img.naturalWidth * scale;
+  const height = img.naturalHeight * scale;
+  const left = rect.left + (rect.width - width) / 2;
+  const top = rect.top + (rect.height - height) / 2;
+
+  const x = (event.clientX - left) / width;
+  const y = (event.clientY - top) / height;
+  if (x < 0 || x > 1 || y < 0 || y > 1) return null;
+
+  return { x, y };
+}
+
+/**
+ * Position of a normalized image point inside an object-fit: contain <img>,
+ * relative to the image element's box (for drawing overlays on top of it)
+ */
+export function getImagePoint(point, img) {
+  if (!img?.naturalWidth || !img?.naturalHeight) return null;
+
+  const rect = img.getBoundingClientRect();
+  const scale = Math.min(rect.width / img.naturalWidth, rect.height / img.naturalHeight);
+  const width = img.naturalWidth * scale;
+  const height = img.naturalHeight * scale;
+
+  return {
+    left: (rect.width - width) / 2 + point.x * width,
+    top: (rect.height - height) / 2 + point.y * height,
+  };
+}
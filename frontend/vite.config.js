@@ -17,6 +17,7 @@ export default defineConfig({
         target: 'http://backend:2000', // Backend service name in Docker
         changeOrigin: true,
         secure: false,
+        ws: true,        // Control channel WebSocket (/api/control/ws)
       }
     }
   },
@@ -0,0 +1,102 @@
+/**
+ * Posts fake cat detections to the backend's /api/detection, signed like the Pi's
+ *
+ * Signing comes from backend/device-signing.js, the same helpers
+ * backend/device-auth.js verifies with. Register a device with
+ * POST /api/devices (see the README) and hand its id and secret to the simulator.
+ */
+const axios = require('axios');
+
+const { buildSignatureHeaders } = require('../backend/device-signing');
+const { FRAME_SIZE } = require('./scene');
+
+const DEFAULT_INTERVAL_MS = 5000;
+
+class DetectionPoster {
+  /**
+   * options:
+   *   backendUrl  where the backend runs, e.g. http://localhost:2000
+   *   deviceId    registered device id
+   *   secret      one of the device's signing secrets
+   *   intervalMs  how often to report while the cat is in view
+   */
+  constructor(scene, options = {}) {
+    this.scene = scene;
+    this.backendUrl = options.backendUrl;
+    this.deviceId = options.deviceId;
+    this.secret = options.secret;
+    this.intervalMs = options.intervalMs || DEFAULT_INTERVAL_MS;
+    this.timer = null;
+    this.catWasVisible = false;
+  }
+
+  /**
+   * The detection payload for the scene as it is now, in pixels of the camera frame
+   */
+  buildPayload() {
+    this.scene.update();
+    const box = this.scene.getCatBox();
+    if (!box) {
+      return { status: 'no_cat', timestamp: new Date().toISOString(), source: 'simulator' };
+    }
+
+    return {
+      status: 'ok',
+      confidence: Math.round((0.8 + Math.random() * 0.19) * 100) / 100,
+      timestamp: new Date().toISOString(),
+      source: 'simulator',
+      bbox: {
+        x: Math.round(box.x * FRAME_SIZE.width),
+        y: Math.round(box.y * FRAME_SIZE.height),
+        width: Math.round(box.width * FRAME_SIZE.width),
+        height: Math.round(box.height * FRAME_SIZE.height)
+      },
+      frame: FRAME_SIZE
+    };
+  }
+
+  /**
+   * Send one detection. Resolves with the backend's response data.
+   */
+  async post(payload = this.buildPayload()) {
+    const rawBody = JSON.stringify(payload);
+    const response = await axios.post(`${this.backendUrl}/api/detection`, rawBody, {
+      headers: {
+        'Content-Type': 'application/json',
+        ...buildSignatureHeaders(this.deviceId, this.secret, rawBody)
+      },
+      timeout: 5000
+    });
+    return response.data;
+  }
+
+  /**
+   * Report on a timer: every interval while the cat is in view, once when it leaves
+   */
+  start() {
+    clearInterval(this.timer);
+    this.timer = setInterval(async () => {
+      const payload = this.buildPayload();
+      const visible = payload.status === 'ok';
+      if (!visible && !this.catWasVisible) {
+        return;
+      }
+      this.catWasVisible = visible;
+
+      try {
+        await this.post(payload);
+      } catch (error) {
+        console.error('Posting detection failed:', error.response?.data?.details || error.message);
+      }
+    }, this.intervalMs);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = {
+  DetectionPoster
+};
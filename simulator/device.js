@@ -0,0 +1,149 @@
+/**
+ * Virtual laser device - the Flask server on the Pi, minus the hardware
+ *
+ * Keeps pan/tilt servo angles and the laser state in memory and serves the
+ * same routes the backend calls: /health, /status, /move-x, /move-y, /center,
+ * /on, /off, /autonomous/start and /autonomous/stop.
+ */
+const express = require('express');
+
+const STEP_DEGREES = Number(process.env.SERVO_STEP_DEGREES) || 5;
+const ANGLE_MIN = 0;
+const ANGLE_MAX = 180;
+const CENTER = 90;
+const ROUTINE_TICK_MS = 700;
+// The built-in routine keeps to the middle of the servo range, like the real one
+const ROUTINE_RANGE = [55, 125];
+
+const clampAngle = (angle) => Math.min(ANGLE_MAX, Math.max(ANGLE_MIN, angle));
+const between = (min, max) => min + Math.random() * (max - min);
+
+class VirtualDevice {
+  constructor() {
+    this.pan = CENTER;
+    this.tilt = CENTER;
+    this.laserOn = false;
+    this.routineTimer = null;
+  }
+
+  /**
+   * One servo step: 'x' left|right, 'y' up|down. Returns false for an unknown direction.
+   */
+  step(axis, direction) {
+    const deltas = axis === 'x'
+      ? { left: -STEP_DEGREES, right: STEP_DEGREES }
+      : { up: STEP_DEGREES, down: -STEP_DEGREES };
+    if (!(direction in deltas)) {
+      return false;
+    }
+
+    if (axis === 'x') {
+      this.pan = clampAngle(this.pan + deltas[direction]);
+    } else {
+      this.tilt = clampAngle(this.tilt + deltas[direction]);
+    }
+    return true;
+  }
+
+  center() {
+    this.pan = CENTER;
+    this.tilt = CENTER;
+  }
+
+  setLaser(on) {
+    this.laserOn = on;
+  }
+
+  /**
+   * Start the device's own random routine
+   */
+  startRoutine() {
+    clearInterval(this.routineTimer);
+    this.routineTimer = setInterval(() => {
+      this.pan = Math.round(between(...ROUTINE_RANGE));
+      this.tilt = Math.round(between(...ROUTINE_RANGE));
+    }, ROUTINE_TICK_MS);
+  }
+
+  stopRoutine() {
+    clearInterval(this.routineTimer);
+    this.routineTimer = null;
+  }
+
+  getStatus() {
+    return {
+      current_pan: this.pan,
+      current_tilt: this.tilt,
+      laser_on: this.laserOn,
+      autonomous_active: this.routineTimer !== null
+    };
+  }
+
+  shutdown() {
+    this.stopRoutine();
+  }
+}
+
+/**
+ * Express app with the Flask routes, backed by a VirtualDevice
+ */
+function createDeviceApp(device) {
+  const app = express();
+
+  app.get('/health', (req, res) => {
+    res.json({
+      status: 'healthy',
+      gpio_initialized: true,
+      simulated: true,
+      details: device.getStatus()
+    });
+  });
+
+  app.get('/status', (req, res) => {
+    res.json({ status: 'success', ...device.getStatus() });
+  });
+
+  for (const axis of ['x', 'y']) {
+    app.get(`/move-${axis}`, (req, res) => {
+      if (!device.step(axis, req.query.direction)) {
+        return res.status(400).json({
+          status: 'error',
+          error: axis === 'x' ? 'Direction must be "left" or "right"' : 'Direction must be "up" or "down"'
+        });
+      }
+      res.json({ status: 'success', ...device.getStatus() });
+    });
+  }
+
+  app.get('/center', (req, res) => {
+    device.center();
+    res.json({ status: 'success', ...device.getStatus() });
+  });
+
+  app.get('/on', (req, res) => {
+    device.setLaser(true);
+    res.json({ status: 'success', laser: 'on' });
+  });
+
+  app.get('/off', (req, res) => {
+    device.setLaser(false);
+    res.json({ status: 'success', laser: 'off' });
+  });
+
+  app.post('/autonomous/start', (req, res) => {
+    device.startRoutine();
+    res.json({ status: 'success', autonomous: 'started' });
+  });
+
+  app.post('/autonomous/stop', (req, res) => {
+    device.stopRoutine();
+    res.json({ status: 'success', autonomous: 'stopped' });
+  });
+
+  return app;
+}
+
+module.exports = {
+  VirtualDevice,
+  createDeviceApp
+};
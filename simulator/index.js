@@ -0,0 +1,98 @@
+/**
+ * Local stand-in for the Raspberry Pi: the Flask laser server and the camera
+ *
+ * Run it with `node index.js` and point the backend at it:
+ *   FLASK_SERVER_URL=http://localhost:8080 CAMERA_URL=http://localhost:5000
+ * Detections are posted only when DEVICE_ID and DEVICE_SECRET are set.
+ *
+ * Tests can start one in-process instead:
+ *   const sim = await startSimulator({ laserPort: 0, cameraPort: 0 });
+ *   ... sim.laserUrl, sim.cameraUrl, sim.device, sim.scene, sim.detections.post() ...
+ *   await sim.close();
+ */
+const { VirtualDevice, createDeviceApp } = require('./device');
+const { Scene, createCameraApp } = require('./scene');
+const { DetectionPoster } = require('./detections');
+
+/**
+ * Listen on a port (0 picks a free one). Resolves with the http server.
+ */
+function listen(app, port) {
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, () => resolve(server));
+    server.on('error', reject);
+  });
+}
+
+/**
+ * Start the simulated laser server and camera.
+ * options: laserPort, cameraPort, backendUrl, deviceId, deviceSecret,
+ * detectionIntervalMs, awayChance, postDetections (default: when a device key is given)
+ */
+async function startSimulator(options = {}) {
+  const device = new VirtualDevice();
+  const scene = new Scene(device, { awayChance: options.awayChance });
+  const detections = new DetectionPoster(scene, {
+    backendUrl: options.backendUrl,
+    deviceId: options.deviceId,
+    secret: options.deviceSecret,
+    intervalMs: options.detectionIntervalMs
+  });
+
+  const laserServer = await listen(createDeviceApp(device), options.laserPort ?? 8080);
+  const cameraServer = await listen(createCameraApp(scene), options.cameraPort ?? 5000);
+
+  const postDetections = options.postDetections ?? Boolean(options.deviceId && options.deviceSecret);
+  if (postDetections) {
+    detections.start();
+  }
+
+  return {
+    device,
+    scene,
+    detections,
+    laserUrl: `http://localhost:${laserServer.address().port}`,
+    cameraUrl: `http://localhost:${cameraServer.address().port}`,
+    close: async () => {
+      detections.stop();
+      device.shutdown();
+      // Open video feeds would keep the camera server from closing
+      cameraServer.closeAllConnections?.();
+      await Promise.all([laserServer, cameraServer].map(server =>
+        new Promise(resolve => server.close(resolve))
+      ));
+    }
+  };
+}
+
+module.exports = {
+  startSimulator
+};
+
+if (require.main === module) {
+  startSimulator({
+    laserPort: Number(process.env.LASER_PORT) || 8080,
+    cameraPort: Number(process.env.CAMERA_PORT) || 5000,
+    backendUrl: process.env.BACKEND_URL || 'http://localhost:2000',
+    deviceId: process.env.DEVICE_ID,
+    deviceSecret: process.env.DEVICE_SECRET,
+    detectionIntervalMs: Number(process.env.DETECTION_INTERVAL_SECONDS) * 1000 || undefined,
+    awayChance: process.env.CAT_AWAY_CHANCE !== undefined ? Number(process.env.CAT_AWAY_CHANCE) : undefined
+  }).then((sim) => {
+    console.log('='.repeat(60));
+    console.log(`Laser:   ${sim.laserUrl}`);
+    console.log(`Camera:  ${sim.cameraUrl}/video_feed`);
+    console.log(`Detections: ${sim.detections.timer ? `posting to ${process.env.BACKEND_URL || 'http://localhost:2000'}` : 'off (set DEVICE_ID and DEVICE_SECRET)'}`);
+    console.log('='.repeat(60));
+
+    const shutdown = async () => {
+      await sim.close();
+      process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+  }).catch((error) => {
+    console.error('Failed to start simulator:', error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,200 @@
+/**
+ * Synthetic camera scene: a floor, a cat that wanders about and chases the
+ * laser dot, and the dot itself wherever the virtual servos point it
+ *
+ * Positions are normalized frame coordinates (0..1, origin top-left). Servo
+ * angles map onto the frame the way the backend's uncalibrated play area
+ * does: pan 45..135 runs left to right, tilt 135..45 top to bottom.
+ */
+const express = require('express');
+const jpeg = require('jpeg-js');
+
+// Small and slow on purpose - encoding JPEGs in plain JS is the expensive part
+const WIDTH = 240;
+const HEIGHT = 180;
+const FRAME_MS = 200;
+const JPEG_QUALITY = 70;
+const CAT_SIZE = { width: 0.16, height: 0.12 };
+const WANDER_SPEED = 0.04; // frames per second
+const CHASE_SPEED = 0.3;
+const POUNCE_DISTANCE = 0.03;
+const BOUNDARY = 'frame';
+
+const between = (min, max) => min + Math.random() * (max - min);
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+class Scene {
+  /**
+   * options:
+   *   awayChance  chance per second that a wandering cat leaves the room (0 keeps it in view)
+   */
+  constructor(device, options = {}) {
+    this.device = device;
+    this.awayChance = options.awayChance ?? 0.005;
+    this.cat = { x: 0.5, y: 0.6, visible: true, target: null, backAt: null };
+    this.lastUpdate = Date.now();
+    // Latest encoded frame, shared by everyone watching: { jpeg, at }
+    this.frame = null;
+  }
+
+  /**
+   * Where the laser dot is in the frame, or null when it is off or out of view
+   */
+  getDot() {
+    if (!this.device.laserOn) {
+      return null;
+    }
+
+    const x = (this.device.pan - 45) / 90;
+    const y = (135 - this.device.tilt) / 90;
+    return x >= 0 && x <= 1 && y >= 0 && y <= 1 ? { x, y } : null;
+  }
+
+  /**
+   * Move the cat on by the time since the last update
+   */
+  update() {
+    const now = Date.now();
+    const seconds = Math.min(1, (now - this.lastUpdate) / 1000);
+    this.lastUpdate = now;
+    const cat = this.cat;
+
+    if (!cat.visible) {
+      if (now >= cat.backAt) {
+        Object.assign(cat, { visible: true, x: Math.random() < 0.5 ? 0.1 : 0.9, y: between(0.3, 0.8), target: null });
+      }
+      return;
+    }
+
+    const dot = this.getDot();
+    if (!dot && Math.random() < this.awayChance * seconds) {
+      Object.assign(cat, { visible: false, backAt: now + between(20000, 60000) });
+      return;
+    }
+
+    // Chase the dot when there is one, otherwise stroll between random spots
+    if (!dot && (!cat.target || Math.hypot(cat.target.x - cat.x, cat.target.y - cat.y) < 0.02)) {
+      cat.target = { x: between(0.15, 0.85), y: between(0.25, 0.85) };
+    }
+    const target = dot || cat.target;
+    const distance = Math.hypot(target.x - cat.x, target.y - cat.y);
+    if (distance > POUNCE_DISTANCE) {
+      const travel = Math.min(distance, (dot ? CHASE_SPEED : WANDER_SPEED) * seconds);
+      cat.x = clamp(cat.x + ((target.x - cat.x) / distance) * travel, 0, 1);
+      cat.y = clamp(cat.y + ((target.y - cat.y) / distance) * travel, 0, 1);
+    }
+  }
+
+  /**
+   * The cat's bounding box as a detection would report it, or null when it is out of view
+   */
+  getCatBox() {
+    if (!this.cat.visible) {
+      return null;
+    }
+
+    return {
+      x: clamp(this.cat.x - CAT_SIZE.width / 2, 0, 1),
+      y: clamp(this.cat.y - CAT_SIZE.height / 2, 0, 1),
+      width: CAT_SIZE.width,
+      height: CAT_SIZE.height
+    };
+  }
+
+  /**
+   * Draw the current frame as RGBA pixels
+   */
+  render() {
+    const pixels = Buffer.alloc(WIDTH * HEIGHT * 4);
+    const dot = this.getDot();
+    const cat = this.cat;
+
+    for (let py = 0; py < HEIGHT; py++) {
+      for (let px = 0; px < WIDTH; px++) {
+        const x = px / WIDTH;
+        const y = py / HEIGHT;
+        // Wall above the floor line, wooden floor below it
+        let color = y < 0.2
+          ? [196, 190, 178]
+          : [150 + 20 * Math.sin(y * 60), 112 + 10 * Math.sin(y * 60), 80];
+
+        if (cat.visible) {
+          const body = ((x - cat.x) / (CAT_SIZE.width / 2)) ** 2 + ((y - cat.y) / (CAT_SIZE.height / 2)) ** 2;
+          const head = ((x - (cat.x + CAT_SIZE.width * 0.45)) / 0.035) ** 2 +
+            ((y - (cat.y - CAT_SIZE.height * 0.35)) / 0.045) ** 2;
+          if (body <= 1 || head <= 1) {
+            color = [70, 70, 76];
+          }
+        }
+
+        if (dot) {
+          const glow = Math.hypot((x - dot.x) * WIDTH, (y - dot.y) * HEIGHT);
+          if (glow <= 2.5) {
+            color = [255, 40, 40];
+          } else if (glow <= 6) {
+            const alpha = 0.5 * (1 - (glow - 2.5) / 3.5);
+            color = color.map((value, channel) => value + ((channel === 0 ? 255 : 60) - value) * alpha);
+          }
+        }
+
+        const offset = (py * WIDTH + px) * 4;
+        pixels[offset] = color[0];
+        pixels[offset + 1] = color[1];
+        pixels[offset + 2] = color[2];
+        pixels[offset + 3] = 255;
+      }
+    }
+
+    return { data: pixels, width: WIDTH, height: HEIGHT };
+  }
+
+  /**
+   * The current frame as a JPEG, rendered at most once per frame interval
+   */
+  renderJpeg() {
+    const now = Date.now();
+    if (!this.frame || now - this.frame.at >= FRAME_MS) {
+      this.update();
+      this.frame = { jpeg: jpeg.encode(this.render(), JPEG_QUALITY).data, at: now };
+    }
+    return this.frame.jpeg;
+  }
+}
+
+/**
+ * Express app with the camera routes: /health and an MJPEG /video_feed
+ */
+function createCameraApp(scene) {
+  const app = express();
+
+  app.get('/health', (req, res) => {
+    res.json({ status: 'healthy', camera: 'simulated', resolution: `${WIDTH}x${HEIGHT}` });
+  });
+
+  app.get('/video_feed', (req, res) => {
+    res.writeHead(200, {
+      'Content-Type': `multipart/x-mixed-replace; boundary=${BOUNDARY}`,
+      'Cache-Control': 'no-cache',
+      Connection: 'close'
+    });
+
+    const sendFrame = () => {
+      const frame = scene.renderJpeg();
+      res.write(`--${BOUNDARY}\r\nContent-Type: image/jpeg\r\nContent-Length: ${frame.length}\r\n\r\n`);
+      res.write(frame);
+      res.write('\r\n');
+    };
+
+    sendFrame();
+    const timer = setInterval(sendFrame, FRAME_MS);
+    req.on('close', () => clearInterval(timer));
+  });
+
+  return app;
+}
+
+module.exports = {
+  Scene,
+  createCameraApp,
+  FRAME_SIZE: { width: WIDTH, height: HEIGHT }
+};
@@ -0,0 +1,143 @@
+/**
+ * Drives the real backend against the simulator
+ *
+ * The backend runs as a child process on a throwaway database, with its
+ * Flask and camera URLs pointing at a simulator started in this process.
+ * Needs the backend's dependencies installed (npm install in backend/).
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const { startSimulator } = require('..');
+
+const BACKEND_DIR = path.join(__dirname, '..', '..', 'backend');
+const DEVICE_ID = 'sim-pi';
+const STARTUP_TIMEOUT_MS = 20000;
+
+let sim;
+let backend;
+let backendUrl;
+let dataDir;
+let cookie;
+let leaseToken;
+
+/**
+ * A port nobody is listening on
+ */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+    server.on('error', reject);
+  });
+}
+
+/**
+ * Poll the backend's health check until it reaches the simulator
+ */
+async function waitForBackend() {
+  const giveUpAt = Date.now() + STARTUP_TIMEOUT_MS;
+  while (Date.now() < giveUpAt) {
+    try {
+      const response = await fetch(`${backendUrl}/api/health`);
+      if (response.ok) {
+        return;
+      }
+    } catch (error) {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+  throw new Error('Backend did not come up');
+}
+
+/**
+ * Call the backend as the logged-in owner, holding the control lease
+ */
+async function api(method, endpoint, body) {
+  const response = await fetch(`${backendUrl}${endpoint}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      Cookie: cookie || '',
+      'X-Lease-Token': leaseToken || ''
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json(), headers: response.headers };
+}
+
+before(async () => {
+  sim = await startSimulator({ laserPort: 0, cameraPort: 0, awayChance: 0 });
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cclt-sim-'));
+  const port = await freePort();
+  backendUrl = `http://localhost:${port}`;
+
+  backend = spawn(process.execPath, ['server.js'], {
+    cwd: BACKEND_DIR,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DB_PATH: path.join(dataDir, 'cclt.db'),
+      DEVICE_ID,
+      FLASK_SERVER_URL: sim.laserUrl,
+      REMOTE_FLASK_SERVER_URL: sim.laserUrl,
+      CAMERA_URL: sim.cameraUrl,
+      REMOTE_CAMERA_URL: sim.cameraUrl
+    },
+    stdio: 'ignore'
+  });
+  await waitForBackend();
+
+  const registered = await api('POST', '/api/auth/register', { username: 'simowner', password: 'password1' });
+  assert.strictEqual(registered.status, 201);
+  cookie = registered.headers.getSetCookie().map(header => header.split(';')[0]).join('; ');
+
+  const lease = await api('POST', '/api/control/lease', { clientId: 'simulator-test' });
+  assert.strictEqual(lease.status, 200);
+  leaseToken = lease.body.data.leaseToken;
+});
+
+after(async () => {
+  backend?.kill();
+  await sim?.close();
+  if (dataDir) {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+});
+
+test('laser commands reach the simulated device', async () => {
+  const moved = await api('GET', '/api/laser/move-x?direction=right');
+  assert.strictEqual(moved.status, 200);
+  assert.ok(sim.device.pan > 90, `pan should have moved right, is ${sim.device.pan}`);
+
+  const on = await api('GET', '/api/laser/on');
+  assert.strictEqual(on.status, 200);
+  assert.strictEqual(sim.device.laserOn, true);
+
+  const off = await api('GET', '/api/laser/off');
+  assert.strictEqual(off.status, 200);
+  assert.strictEqual(sim.device.laserOn, false);
+});
+
+test('signed detections from the simulator are accepted', async () => {
+  const registered = await api('POST', '/api/devices', { deviceId: DEVICE_ID, name: 'Simulator' });
+  assert.strictEqual(registered.status, 201);
+
+  Object.assign(sim.detections, { backendUrl, deviceId: DEVICE_ID, secret: registered.body.data.secret });
+  const result = await sim.detections.post();
+  assert.strictEqual(result.status, 'success');
+  assert.strictEqual(result.received.status, 'ok');
+
+  // The same payload signed with the wrong key is turned away
+  sim.detections.secret = 'not-the-device-key';
+  await assert.rejects(sim.detections.post(), error => error.response?.status === 401);
+});